@@ -0,0 +1,60 @@
+const express = require('express');
+const cors = require('cors');
+const { getKrokiStatus } = require('./utils/kroki');
+const { isLocalRenderingEnabled } = require('./utils/localDiagrams');
+
+const authRoutes = require('./routes/auth');
+const spacesRoutes = require('./routes/spaces');
+const subjectsRoutes = require('./routes/subjects');
+const materialsRoutes = require('./routes/materials');
+const chatRoutes = require('./routes/chat');
+const jobsRoutes = require('./routes/jobs');
+const searchRoutes = require('./routes/search');
+const studyRoutes = require('./routes/study');
+const reviewsRoutes = require('./routes/reviews');
+const quizzesRoutes = require('./routes/quizzes');
+const trashRoutes = require('./routes/trash');
+const filesRoutes = require('./routes/files');
+
+// The Express app without a database connection or listener (index.js starts both; tests use the app directly)
+const app = express();
+
+app.use(cors());
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ limit: '50mb', extended: true }));
+
+app.use('/api/auth', authRoutes);
+app.use('/api/spaces', spacesRoutes);
+app.use('/api/subjects', subjectsRoutes);
+app.use('/api/materials', materialsRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/study', studyRoutes);
+app.use('/api/reviews', reviewsRoutes);
+app.use('/api/quizzes', quizzesRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/files', filesRoutes);
+
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', message: 'StudySpace API is running' });
+});
+
+// Kroki endpoint health as last seen by renders and cooldown probes (unauthenticated, so it never probes itself)
+app.get('/health/diagrams', (req, res) => {
+    const endpoints = getKrokiStatus();
+    const localRenderer = isLocalRenderingEnabled();
+    // Unchecked endpoints (healthy: null) count as available, as they do for rendering
+    const available = localRenderer || endpoints.some(endpoint => endpoint.healthy !== false);
+    res.status(available ? 200 : 503).json({
+        status: available ? 'ok' : 'error',
+        endpoints,
+        localRenderer
+    });
+});
+
+app.use((req, res) => {
+    res.status(404).json({ status: 'error', message: 'Route not found' });
+});
+
+module.exports = app;
@@ -7,6 +7,7 @@ const generationConfig = {
     temperature: 0.7,
 };
 
+// Default fallback chain for every task (see utils/ai.js to configure others)
 const MODEL_HIERARCHY = [
     'gemini-3-flash-preview',
     'gemini-2.5-flash',
@@ -20,35 +21,4 @@ const model = genAI.getGenerativeModel({
     generationConfig
 });
 
-async function generateWithFallback(content, options = {}) {
-    let lastError = null;
-
-    for (let i = 0; i < MODEL_HIERARCHY.length; i++) {
-        const modelId = MODEL_HIERARCHY[i];
-        
-        try {
-            const currentModel = genAI.getGenerativeModel({
-                model: modelId,
-                generationConfig: { ...generationConfig, ...options }
-            });
-            
-            const result = await currentModel.generateContent(content);
-            const response = await result.response;
-            response.text();
-
-            return result;
-        } catch (error) {
-            lastError = error;
-
-            if (error.status === 503 || error.status === 429) {
-                continue;
-            }
-
-            throw error;
-        }
-    }
-
-    throw lastError;
-}
-
-module.exports = { genAI, model, generateWithFallback, MODEL_HIERARCHY, generationConfig };
+module.exports = { genAI, model, MODEL_HIERARCHY, generationConfig };
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const ActivityLogSchema = new mongoose.Schema({
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  // Who did it (empty for system actions such as scheduled jobs)
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Dotted action name, e.g. 'subject.delete', 'member.join', 'material.generate'
+  action: { type: String, required: true },
+  targetType: { type: String }, // 'space', 'member', 'subject', 'material', 'studySet', 'invite', 'joinRequest'
+  targetId: { type: mongoose.Schema.Types.ObjectId },
+  targetName: { type: String }, // Kept so the feed still reads well after the target is deleted
+  summary: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ActivityLogSchema.index({ spaceId: 1, createdAt: -1 });
+ActivityLogSchema.index({ spaceId: 1, actor: 1, createdAt: -1 });
+ActivityLogSchema.index({ spaceId: 1, action: 1, createdAt: -1 });
+
+// The log is append-only: existing entries cannot be changed
+const rejectUpdate = function () {
+  throw new Error('Activity log entries are append-only');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(op => {
+  ActivityLogSchema.pre(op, rejectUpdate);
+});
+ActivityLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Activity log entries are append-only');
+  }
+});
+
+module.exports = mongoose.model('ActivityLog', ActivityLogSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// An uploaded file (diagram or source file) and the materials that use it.
+// Diagrams are deduped by content hash, so one asset can back many materials.
+const AssetSchema = new mongoose.Schema({
+  storage: { type: String, default: 'cloudinary' }, // Storage driver holding the file
+  publicId: { type: String, required: true }, // Storage key (Cloudinary public ID for the cloudinary driver)
+  kind: { type: String, enum: ['diagram', 'source', 'image'], default: 'image' },
+  // Materials (including trashed ones) that reference the asset; destroyed when empty
+  materials: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Material' }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+AssetSchema.index({ storage: 1, publicId: 1 }, { unique: true });
+AssetSchema.index({ materials: 1 });
+
+AssetSchema.virtual('refCount').get(function () {
+  return this.materials.length;
+});
+
+module.exports = mongoose.model('Asset', AssetSchema);
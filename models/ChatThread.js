@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const ChatThreadSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Space the context belongs to (empty for general chats)
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space' },
+  contextType: { type: String, enum: ['material', 'subject', 'space', 'general'], default: 'general' },
+  contextId: { type: mongoose.Schema.Types.ObjectId }, // Material, Subject or Space ID
+  title: { type: String, default: 'New chat' },
+  messages: [{
+    role: { type: String, enum: ['user', 'assistant'], required: true },
+    content: { type: String, required: true },
+    model: String, // Model that produced an assistant message
+    // Materials the answer drew on
+    sources: [{
+      materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Material' },
+      title: String,
+      section: String
+    }],
+    createdAt: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ChatThreadSchema.index({ owner: 1, updatedAt: -1 });
+ChatThreadSchema.index({ owner: 1, contextType: 1, contextId: 1 });
+
+module.exports = mongoose.model('ChatThread', ChatThreadSchema);
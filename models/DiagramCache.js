@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A rendered diagram in storage, keyed by the upload key (which includes the source hash and format).
+// Lets identical diagrams skip Kroki and the upload.
+const DiagramCacheSchema = new mongoose.Schema({
+  storage: { type: String, required: true }, // Storage driver holding the file
+  key: { type: String, required: true }, // Key the diagram was uploaded under
+  publicId: { type: String, required: true }, // Key the driver stored it as (Cloudinary drops the extension)
+  url: { type: String, required: true },
+  diagramType: { type: String },
+  format: { type: String },
+  renderer: { type: String }, // Kroki endpoint or 'local' that first rendered it
+  hits: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now }
+});
+
+DiagramCacheSchema.index({ storage: 1, key: 1 }, { unique: true });
+DiagramCacheSchema.index({ storage: 1, publicId: 1 });
+
+module.exports = mongoose.model('DiagramCache', DiagramCacheSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const GenerationJobSchema = new mongoose.Schema({
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  // 'create' builds a new material, 'refine' revises materialId using instruction, 'study' builds a study set
+  kind: { type: String, enum: ['create', 'refine', 'study'], default: 'create' },
+  prompt: { type: String },
+  instruction: { type: String },
+  useSourceFiles: { type: Boolean, default: false }, // Refine: re-send the material's stored source files
+  diagramFormats: { type: [String], default: ['png'] }, // First is embedded in the content, others stored as variants
+  // Uploaded files are kept in GridFS so a failed job can be retried without re-uploading
+  inputFiles: [{
+    fileId: mongoose.Schema.Types.ObjectId, // GridFS file ID
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    encoding: String // 'multipart' or 'base64' (how the client sent it)
+  }],
+  // Study: source materials, requested count per item type and set title
+  study: {
+    materialIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Material' }],
+    counts: mongoose.Schema.Types.Mixed,
+    title: String
+  },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+  // Current pipeline stage: upload, rasterise, generate, enrich, save (study: generate, save)
+  stage: { type: String },
+  progress: { type: Number, default: 0 }, // 0-100
+  completedStages: [String],
+  failedStage: { type: String },
+  error: { type: String },
+  errorDetails: { type: String },
+  attempts: { type: Number, default: 0 },
+  // Intermediate results so a retry resumes after the last completed stage
+  output: {
+    title: String,
+    content: String,
+    sourceFiles: [mongoose.Schema.Types.Mixed],
+    diagrams: [mongoose.Schema.Types.Mixed],
+    diagramErrors: [mongoose.Schema.Types.Mixed],
+    enrichment: mongoose.Schema.Types.Mixed, // Timing and cache stats from the enrich stage
+    images: [mongoose.Schema.Types.Mixed],
+    studyItems: [mongoose.Schema.Types.Mixed]
+  },
+  materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Material' },
+  baseVersion: { type: Number }, // Refine: material version the instruction was given for
+  revisionVersion: { type: Number }, // Refine: revision created by the job
+  studySetId: { type: mongoose.Schema.Types.ObjectId, ref: 'StudySet' }, // Study: set created by the job
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Jobs saved before 'diagrams' and 'images' were merged into 'enrich' are renamed when loaded.
+// A job that only finished 'diagrams' still has to run 'enrich'; it keeps the diagrams already in output.
+GenerationJobSchema.post('init', function () {
+  const legacy = ['diagrams', 'images'];
+  if (this.completedStages.some(stage => legacy.includes(stage))) {
+    const enrichDone = this.completedStages.includes('images');
+    this.completedStages = this.completedStages
+      .filter(stage => !legacy.includes(stage))
+      .concat(enrichDone && !this.completedStages.includes('enrich') ? ['enrich'] : []);
+  }
+  if (legacy.includes(this.stage)) this.stage = 'enrich';
+  if (legacy.includes(this.failedStage)) this.failedStage = 'enrich';
+});
+
+GenerationJobSchema.index({ createdBy: 1, createdAt: -1 });
+GenerationJobSchema.index({ status: 1 });
+
+module.exports = mongoose.model('GenerationJob', GenerationJobSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Image search results for a normalised query; MongoDB drops entries once expiresAt passes
+const ImageSearchCacheSchema = new mongoose.Schema({
+  query: { type: String, required: true }, // Normalised query text
+  limit: { type: Number, required: true }, // Results requested when cached
+  results: [{
+    _id: false,
+    url: String,
+    thumbnail: String,
+    title: String,
+    sourceUrl: String,
+    license: String,
+    licenseUrl: String,
+    attribution: String,
+    width: Number,
+    height: Number,
+    provider: String
+  }],
+  hits: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+ImageSearchCacheSchema.index({ query: 1 }, { unique: true });
+ImageSearchCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImageSearchCache', ImageSearchCacheSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const InviteSchema = new mongoose.Schema({
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  // Code used with /api/spaces/join (longer than the space's own join code)
+  code: { type: String, required: true, unique: true },
+  // Role granted on joining
+  role: { type: String, enum: ['member', 'editor'], default: 'member' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date }, // Never expires if empty
+  maxUses: { type: Number }, // Unlimited if empty
+  uses: { type: Number, default: 0 },
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+InviteSchema.index({ spaceId: 1, createdAt: -1 });
+
+// Whether the invite can still be redeemed
+InviteSchema.methods.isActive = function (now = new Date()) {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  if (this.maxUses && this.uses >= this.maxUses) return false;
+  return true;
+};
+
+module.exports = mongoose.model('Invite', InviteSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const JoinRequestSchema = new mongoose.Schema({
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  // Role to grant on approval (from the invite that was used, if any)
+  role: { type: String, enum: ['member', 'editor'], default: 'member' },
+  inviteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invite' },
+  message: { type: String }, // Optional note from the requester
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One open request per user and space
+JoinRequestSchema.index(
+  { spaceId: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+JoinRequestSchema.index({ spaceId: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('JoinRequest', JoinRequestSchema);
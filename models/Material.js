@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const MaterialSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -6,21 +7,127 @@ const MaterialSchema = new mongoose.Schema({
   subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
   spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  // Embedded images from Google Image Search
+  // Section headings, extracted from content on save (used by search)
+  headings: [String],
+  // Embedded images from image search, editor uploads and rendered diagrams
   images: [{
+    type: { type: String }, // 'search', 'upload' or 'diagram'
     placeholder: String, // The placeholder text from Gemini
-    url: String, // The image URL from Google Image Search
-    position: Number // Position in content where image should appear
+    url: String, // The image URL; empty if the search found nothing
+    position: Number, // Position in content where image should appear
+    // Where a searched image came from and how it may be used
+    provider: String, // Image provider ('google', 'wikimedia', ...)
+    title: String,
+    sourceUrl: String, // Page the image was found on
+    license: String,
+    licenseUrl: String,
+    attribution: String, // Author or site to credit
+    // Top search results, so an editor can pick another
+    candidates: [{
+      _id: false,
+      url: String,
+      provider: String,
+      title: String,
+      sourceUrl: String,
+      license: String,
+      licenseUrl: String,
+      attribution: String
+    }],
+    searchError: String, // Set when every provider failed
+    // Copy in our storage (publicId/storage) of an external image
+    originalUrl: String, // External URL it was copied from
+    width: Number,
+    height: Number,
+    mirroredAt: Date,
+    mirrorError: String, // Why the copy failed; the external URL is used until a check succeeds
+    linkCheckedAt: Date, // Last periodic check of an external URL
+    linkDead: Boolean, // The external URL no longer loads
+    chosenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Editor who picked or uploaded it
+    diagramType: String, // Kroki diagram type (diagrams only)
+    source: String, // Diagram source code (diagrams only)
+    publicId: String, // Storage key (diagrams, uploads and mirrored images)
+    storage: String, // Storage driver holding it; Cloudinary if empty
+    format: String, // 'png' or 'svg' (diagrams only)
+    // The same diagram in other formats
+    variants: [{
+      _id: false,
+      format: String,
+      url: String,
+      publicId: String,
+      storage: String
+    }],
+    originalSource: String, // Diagram source as generated, if it had to be repaired
+    // Failed renders before the repaired source worked
+    repairAttempts: [{
+      _id: false,
+      source: String,
+      error: String,
+      repairError: String, // Why the AI could not supply a fix, if it could not
+      at: Date
+    }]
   }],
+  // Diagram blocks that still failed to render after repair; they stay in the content as code
+  diagramErrors: [{
+    diagramType: String,
+    source: String,
+    error: String, // Last renderer error
+    // Every failed render, the original first
+    attempts: [{
+      _id: false,
+      source: String,
+      error: String,
+      repairError: String,
+      at: Date
+    }]
+  }],
+  // Timing and cache stats from the last diagram/image enrichment
+  enrichment: {
+    durationMs: Number,
+    diagrams: { total: Number, cached: Number, rendered: Number, failed: Number, durationMs: Number },
+    images: {
+      total: Number,
+      queries: Number,
+      cached: Number,
+      found: Number,
+      failed: Number,
+      mirrored: Number,
+      mirrorFailed: Number,
+      durationMs: Number
+    }
+  },
   // Original files metadata
   sourceFiles: [{
     originalName: String,
     fileType: String, // 'image', 'pdf', 'audio', 'text'
     size: Number,
-    url: String // Cloudinary URL if using cloud storage
+    url: String, // Public URL (Cloudinary only); use the download endpoint otherwise
+    publicId: String, // Storage key if the original was stored
+    storage: String, // Storage driver holding it; Cloudinary if empty
+    mimeType: String
   }],
+  version: { type: Number, default: 1 }, // Current revision number
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
+  updatedAt: { type: Date, default: Date.now },
+  // Subject whose deletion trashed this material (restored together with it)
+  deletedWith: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' }
+});
+
+MaterialSchema.plugin(softDelete);
+
+// Keep headings in sync with the Markdown content
+MaterialSchema.pre('save', function () {
+  if (this.isModified('content')) {
+    this.headings = (this.content.match(/^#{1,6}\s+.+$/gm) || [])
+      .map(heading => heading.replace(/^#{1,6}\s+/, '').replace(/\s*#*\s*$/, ''));
+  }
 });
 
+MaterialSchema.index(
+  { title: 'text', headings: 'text', content: 'text', 'images.source': 'text' },
+  { name: 'material_search', weights: { title: 10, headings: 5, 'images.source': 2, content: 1 } }
+);
+
+MaterialSchema.index({ spaceId: 1, deletedAt: 1 });
+
 module.exports = mongoose.model('Material', MaterialSchema);
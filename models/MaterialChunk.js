@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const MaterialChunkSchema = new mongoose.Schema({
+  materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Material', required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  index: { type: Number, required: true }, // Order within the material
+  section: { type: String }, // Heading path, e.g. "Thermodynamics › First Law"
+  text: { type: String, required: true },
+  embedding: [Number],
+  provider: { type: String, required: true }, // Embedding provider that produced the vector
+  contentHash: { type: String, required: true }, // Hash of the material content when indexed
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One chunk per position for each indexed version of the content, so re-indexing upserts instead of duplicating
+MaterialChunkSchema.index({ materialId: 1, provider: 1, contentHash: 1, index: 1 }, { unique: true });
+MaterialChunkSchema.index({ subjectId: 1 });
+MaterialChunkSchema.index({ spaceId: 1 });
+// Narrows the chunks scored for a question in large scopes
+MaterialChunkSchema.index({ section: 'text', text: 'text' }, { name: 'chunk_search' });
+
+module.exports = mongoose.model('MaterialChunk', MaterialChunkSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const MaterialRevisionSchema = new mongoose.Schema({
+  materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Material', required: true },
+  version: { type: Number, required: true },
+  title: { type: String, required: true },
+  content: { type: String, required: true },
+  // Empty only for automatic changes ('mirror')
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: function () { return this.source !== 'mirror'; } },
+  // How this version was produced: 'create', 'edit', 'restore', 'refine' or 'mirror' (external images copied into storage)
+  source: { type: String, default: 'edit' },
+  restoredFrom: { type: Number }, // Version number a restore copied
+  instruction: { type: String }, // Refine instruction given to the AI
+  // Change compared with the previous version
+  summary: {
+    linesAdded: { type: Number, default: 0 },
+    linesRemoved: { type: Number, default: 0 },
+    titleChanged: { type: Boolean, default: false },
+    text: String
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+MaterialRevisionSchema.index({ materialId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('MaterialRevision', MaterialRevisionSchema);
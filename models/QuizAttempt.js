@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const QuizAttemptSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  setId: { type: mongoose.Schema.Types.ObjectId, ref: 'StudySet', required: true },
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  answers: [{
+    itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'StudyItem', required: true },
+    itemType: String, // 'mcq' or 'short'
+    selectedIndex: Number, // MCQ choice (empty if skipped)
+    response: String, // Short-answer text
+    correct: { type: Boolean, default: false },
+    selfMarked: { type: Boolean, default: false } // Short answer marked by the student after submission
+  }],
+  score: { type: Number, required: true }, // Correct answers
+  total: { type: Number, required: true }, // Questions in the quiz
+  percentage: { type: Number, required: true }, // 0-100
+  missedItemIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'StudyItem' }],
+  timeTakenSeconds: { type: Number },
+  startedAt: { type: Date },
+  submittedAt: { type: Date, default: Date.now },
+  // Subject or material whose deletion trashed the attempt
+  deletedWith: { type: mongoose.Schema.Types.ObjectId }
+});
+
+QuizAttemptSchema.plugin(softDelete);
+
+QuizAttemptSchema.index({ user: 1, setId: 1, submittedAt: -1 });
+QuizAttemptSchema.index({ spaceId: 1, subjectId: 1 });
+
+module.exports = mongoose.model('QuizAttempt', QuizAttemptSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One submitted flashcard review (append-only, used for stats)
+const ReviewLogSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'StudyItem', required: true },
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  grade: { type: Number, required: true }, // 0-5
+  previousInterval: { type: Number },
+  interval: { type: Number },
+  easeFactor: { type: Number },
+  reviewedAt: { type: Date, default: Date.now }
+});
+
+ReviewLogSchema.index({ user: 1, spaceId: 1, reviewedAt: -1 });
+
+module.exports = mongoose.model('ReviewLog', ReviewLogSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Per-user SM-2 scheduling state for one flashcard
+const ReviewStateSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'StudyItem', required: true },
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  repetitions: { type: Number, default: 0 }, // Successful reviews in a row
+  interval: { type: Number, default: 0 }, // Days until the next review
+  easeFactor: { type: Number, default: 2.5 },
+  dueAt: { type: Date, required: true },
+  lastGrade: { type: Number },
+  lastReviewedAt: { type: Date },
+  reviewCount: { type: Number, default: 0 },
+  lapses: { type: Number, default: 0 }, // Times the card was forgotten
+  createdAt: { type: Date, default: Date.now },
+  // Set when the card is trashed along with its subject or material
+  deletedWith: { type: mongoose.Schema.Types.ObjectId }
+});
+
+ReviewStateSchema.plugin(softDelete);
+
+ReviewStateSchema.index({ user: 1, itemId: 1 }, { unique: true });
+ReviewStateSchema.index({ user: 1, spaceId: 1, dueAt: 1 });
+
+module.exports = mongoose.model('ReviewState', ReviewStateSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const SpaceSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -13,7 +14,24 @@ const SpaceSchema = new mongoose.Schema({
   members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   // List of editors (users who can create/edit subjects and materials)
   editors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Join requests wait for owner/admin approval instead of joining instantly
+  requireApproval: { type: Boolean, default: false },
+  // Users blocked from joining again
+  bans: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    bannedAt: { type: Date, default: Date.now }
+  }],
+  // Ownership transfer waiting for the nominated admin to accept
+  pendingOwnerTransfer: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    nominatedAt: { type: Date },
+    expiresAt: { type: Date }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
+SpaceSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Space', SpaceSchema);
\ No newline at end of file
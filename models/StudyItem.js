@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const StudyItemSchema = new mongoose.Schema({
+  setId: { type: mongoose.Schema.Types.ObjectId, ref: 'StudySet', required: true },
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Material' },
+  type: { type: String, enum: ['mcq', 'short', 'flashcard'], required: true },
+  // MCQ and short answer
+  question: String,
+  options: [String], // MCQ only
+  correctIndex: Number, // MCQ only
+  answer: String, // Short answer only
+  explanation: String,
+  // Flashcard
+  front: String,
+  back: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  // Subject or material whose deletion trashed this item
+  deletedWith: { type: mongoose.Schema.Types.ObjectId }
+});
+
+StudyItemSchema.plugin(softDelete);
+
+StudyItemSchema.index({ setId: 1 });
+StudyItemSchema.index({ subjectId: 1, type: 1 });
+
+module.exports = mongoose.model('StudyItem', StudyItemSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const StudySetSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
+  subjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  // Materials the items were generated from
+  materialIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Material' }],
+  itemTypes: [String], // 'mcq', 'short', 'flashcard'
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  // Subject or material whose deletion trashed this set (restored together with it)
+  deletedWith: { type: mongoose.Schema.Types.ObjectId }
+});
+
+StudySetSchema.plugin(softDelete);
+
+StudySetSchema.index({ subjectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StudySet', StudySetSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const SubjectSchema = new mongoose.Schema({
   spaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Space', required: true },
@@ -7,4 +8,7 @@ const SubjectSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+SubjectSchema.plugin(softDelete);
+SubjectSchema.index({ spaceId: 1, deletedAt: 1 });
+
 module.exports = mongoose.model('Subject', SubjectSchema);
\ No newline at end of file
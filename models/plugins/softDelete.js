@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Queries that skip trashed documents unless asked otherwise
+const FILTERED_QUERIES = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'updateOne', 'updateMany'
+];
+
+// Soft delete: documents get deletedAt/deletedBy instead of being removed.
+// Queries exclude them by default; a filter on deletedAt or .withDeleted() opts out.
+// Deletes are not filtered so purges can remove trashed documents.
+function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.pre(FILTERED_QUERIES, function () {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      // Mongoose-only option, not meant for the driver
+      delete options.withDeleted;
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0] && pipeline[0].$match;
+    if (!first || !Object.prototype.hasOwnProperty.call(first, 'deletedAt')) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.isTrashed = function () {
+    return Boolean(this.deletedAt);
+  };
+}
+
+module.exports = softDelete;
@@ -1,27 +1,96 @@
 const express = require('express');
 const router = express.Router();
 const verifyToken = require('../auth_middleware');
-const { generateWithFallback } = require('../config/gemini');
+const { generateText, streamText } = require('../utils/ai');
 const Material = require('../models/Material');
+const Space = require('../models/Space');
+const ChatThread = require('../models/ChatThread');
+const { retrieveChunks, formatChunksForPrompt, toSources } = require('../utils/retrieval');
+const { authorize, loadFrom, can } = require('../utils/policy');
 
-// Context-aware chat endpoint
-router.post('/ask', verifyToken, async (req, res) => {
-    const { question, contextType, contextId } = req.body;
+// Number of most recent thread messages sent to the model with each turn
+const CHAT_HISTORY_WINDOW = parseInt(process.env.CHAT_HISTORY_WINDOW, 10) || 20;
 
-    try {
-        if (!question || !question.trim()) {
-            return res.status(400).json({ status: 'error', message: 'Question is required' });
+// Materials up to this length are sent whole; longer ones go through retrieval
+const FULL_MATERIAL_CONTEXT_LIMIT = 12000;
+
+// Reading a chat context needs the same permission as reading the document itself
+const contextAuthorizers = {
+    material: authorize('material.read', loadFrom('materialId', 'body', 'contextId')),
+    subject: authorize('subject.read', loadFrom('subjectId', 'body', 'contextId')),
+    space: authorize('space.read', loadFrom('spaceId', 'body', 'contextId'))
+};
+
+// Only members of the context's space may chat about it (general chat has no context)
+const authorizeContext = (req, res, next) => {
+    const { contextType, contextId } = req.body || {};
+    const authorizeContextType = contextAuthorizers[contextType];
+
+    if (!authorizeContextType || !contextId) {
+        return next();
+    }
+    return authorizeContextType(req, res, next);
+};
+
+const CITATION_INSTRUCTIONS = 'When you use the study material, cite where it came from inline as (Source: Material Title › Section) using the labels provided.';
+
+// Find the study material relevant to a question.
+// Returns { material?, chunks, sources } or null when there is no usable context.
+const loadStudyContext = async (question, contextType, contextId) => {
+    if (!contextId) {
+        return null;
+    }
+
+    if (contextType === 'material') {
+        const material = await Material.findById(contextId);
+        if (!material) {
+            return null;
+        }
+
+        if (material.content.length <= FULL_MATERIAL_CONTEXT_LIMIT) {
+            return { material, chunks: [], sources: [{ materialId: material._id, title: material.title, section: null }] };
         }
 
-        let contextPrompt = '';
-        let conversationParts = [];
+        const chunks = await retrieveChunks(question, { materialId: material._id });
+        return { material, chunks, sources: toSources(chunks) };
+    }
+
+    if (contextType === 'subject' || contextType === 'space') {
+        const scope = contextType === 'subject' ? { subjectId: contextId } : { spaceId: contextId };
+        const chunks = await retrieveChunks(question, scope);
+        return chunks.length > 0 ? { chunks, sources: toSources(chunks) } : null;
+    }
+
+    return null;
+};
+
+// Describe retrieved excerpts for the prompt
+const excerptsPrompt = (studyContext, contextType) => {
+    const scopeLabel = studyContext.material
+        ? `the study material "${studyContext.material.title}"`
+        : `their ${contextType}`;
+
+    return `The student is asking about ${scopeLabel}. These are the most relevant excerpts from their study materials:
+
+${formatChunksForPrompt(studyContext.chunks)}
+
+---
+
+If the excerpts do not cover the question, say so briefly and answer from general knowledge. ${CITATION_INSTRUCTIONS}`;
+};
+
+// Build the single-question prompt for /ask
+const buildAskPrompt = async (question, contextType, contextId) => {
+    let contextPrompt = '';
+    let conversationParts = [];
 
-        // Build context based on type
-        if (contextType === 'material' && contextId) {
-            // Get material content as context
-            const material = await Material.findById(contextId);
-            if (material) {
-                contextPrompt = `You are a helpful study assistant. The student is currently reading the following study material:
+    const studyContext = await loadStudyContext(question, contextType, contextId);
+
+    // Build context based on type
+    if (studyContext && studyContext.chunks.length === 0) {
+        // Short material: send the whole thing
+        const { material } = studyContext;
+        contextPrompt = `You are a helpful study assistant. The student is currently reading the following study material:
 
 **Title:** ${material.title}
 
@@ -30,25 +99,119 @@ ${material.content}
 
 ---
 
-Based on this material, please answer the following question in a clear, educational manner. Use LaTeX syntax for mathematical formulas ($formula$ for inline, $$formula$$ for block).`;
-            }
-        } else if (contextType === 'subject' && contextId) {
-            contextPrompt = `You are a helpful study assistant. The student is asking a question related to their subject. Provide clear, educational answers. Use LaTeX syntax for mathematical formulas.`;
-        } else {
-            contextPrompt = `You are a helpful study assistant. Answer questions clearly and educationally. Use LaTeX syntax for mathematical formulas ($formula$ for inline, $$formula$$ for block).`;
+Based on this material, please answer the following question in a clear, educational manner. Use LaTeX syntax for mathematical formulas ($formula$ for inline, $$formula$$ for block). ${CITATION_INSTRUCTIONS}`;
+    } else if (studyContext) {
+        contextPrompt = `You are a helpful study assistant. ${excerptsPrompt(studyContext, contextType)}
+
+Provide clear, educational answers. Use LaTeX syntax for mathematical formulas ($formula$ for inline, $$formula$$ for block).`;
+    } else if (contextType === 'subject' && contextId) {
+        contextPrompt = `You are a helpful study assistant. The student is asking a question related to their subject. Provide clear, educational answers. Use LaTeX syntax for mathematical formulas.`;
+    } else {
+        contextPrompt = `You are a helpful study assistant. Answer questions clearly and educationally. Use LaTeX syntax for mathematical formulas ($formula$ for inline, $$formula$$ for block).`;
+    }
+
+    conversationParts.push(contextPrompt);
+    conversationParts.push(`\n\nStudent's Question: ${question}`);
+
+    return {
+        prompt: conversationParts.join('\n'),
+        sources: studyContext ? studyContext.sources : []
+    };
+};
+
+// Build the multi-turn prompt for /conversation
+const buildConversationPrompt = async (messages, contextType, contextId) => {
+    let contextPrompt = '';
+
+    // Retrieve against the latest question
+    const lastQuestion = [...messages].reverse().find(msg => msg.role === 'user');
+    const studyContext = await loadStudyContext(lastQuestion ? lastQuestion.content : '', contextType, contextId);
+
+    // Build context
+    if (studyContext && studyContext.chunks.length === 0) {
+        const { material } = studyContext;
+        contextPrompt = `Study Material Context:\n**${material.title}**\n\n${material.content}\n\n---\n\n${CITATION_INSTRUCTIONS}\n\n`;
+    } else if (studyContext) {
+        contextPrompt = `${excerptsPrompt(studyContext, contextType)}\n\n`;
+    }
+
+    // Build conversation
+    const conversationParts = [
+        `You are a helpful study assistant. ${contextPrompt}Provide clear, educational answers. Use LaTeX for math.`
+    ];
+
+    messages.forEach(msg => {
+        if (msg.role === 'user') {
+            conversationParts.push(`\nStudent: ${msg.content}`);
+        } else if (msg.role === 'assistant' || msg.role === 'model') {
+            conversationParts.push(`\nAssistant: ${msg.content}`);
         }
+    });
 
-        conversationParts.push(contextPrompt);
-        conversationParts.push(`\n\nStudent's Question: ${question}`);
+    return {
+        prompt: conversationParts.join('\n'),
+        sources: studyContext ? studyContext.sources : []
+    };
+};
 
-        // Send to Gemini with automatic fallback
-        const result = await generateWithFallback(conversationParts.join('\n'));
-        const response = await result.response;
-        const answer = response.text();
+// Stream a model answer to the client as Server-Sent Events.
+// Events: `token` ({ text }) per chunk, then `done` ({ answer, model }) or `error` ({ message }).
+// onComplete may return extra fields to merge into the `done` event.
+// The model request is cancelled if the client disconnects.
+const streamAnswer = async (res, prompt, errorMessage, onComplete = null) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let clientClosed = false;
+    const upstream = new AbortController();
+    res.on('close', () => {
+        clientClosed = true;
+        upstream.abort();
+    });
+
+    const sendEvent = (event, data) => {
+        if (!clientClosed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const { text, modelId } = await streamText('chat', prompt, chunk => {
+            sendEvent('token', { text: chunk });
+        }, { signal: upstream.signal });
+
+        const extra = onComplete ? await onComplete(text, modelId) : {};
+        sendEvent('done', { answer: text, model: modelId, ...extra });
+    } catch (error) {
+        sendEvent('error', { message: errorMessage });
+    }
+
+    res.end();
+};
+
+// Context-aware chat endpoint
+router.post('/ask', verifyToken, authorizeContext, async (req, res) => {
+    const { question, contextType, contextId } = req.body;
+
+    try {
+        if (!question || !question.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Question is required' });
+        }
+
+        const { prompt, sources } = await buildAskPrompt(question, contextType, contextId);
+
+        // Send to the chat model chain with automatic fallback
+        const result = await generateText('chat', prompt);
+        const answer = result.text;
 
         res.json({
             status: 'success',
-            answer: answer
+            answer: answer,
+            sources
         });
 
     } catch (error) {
@@ -59,8 +222,26 @@ Based on this material, please answer the following question in a clear, educati
     }
 });
 
+// Streaming variant of /ask (Server-Sent Events)
+router.post('/ask/stream', verifyToken, authorizeContext, async (req, res) => {
+    const { question, contextType, contextId } = req.body;
+
+    try {
+        if (!question || !question.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Question is required' });
+        }
+
+        const { prompt, sources } = await buildAskPrompt(question, contextType, contextId);
+        await streamAnswer(res, prompt, 'Failed to process question', async () => ({ sources }));
+    } catch (error) {
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'Failed to process question' });
+        }
+    }
+});
+
 // Multi-turn conversation support
-router.post('/conversation', verifyToken, async (req, res) => {
+router.post('/conversation', verifyToken, authorizeContext, async (req, res) => {
     const { messages, contextType, contextId } = req.body;
 
     try {
@@ -68,44 +249,284 @@ router.post('/conversation', verifyToken, async (req, res) => {
             return res.status(400).json({ status: 'error', message: 'Messages array is required' });
         }
 
-        let contextPrompt = '';
+        const { prompt, sources } = await buildConversationPrompt(messages, contextType, contextId);
 
-        // Build context
-        if (contextType === 'material' && contextId) {
-            const material = await Material.findById(contextId);
-            if (material) {
-                contextPrompt = `Study Material Context:\n**${material.title}**\n\n${material.content.substring(0, 2000)}...\n\n---\n\n`;
-            }
+        // Send to the chat model chain with automatic fallback
+        const result = await generateText('chat', prompt);
+        const answer = result.text;
+
+        res.json({
+            status: 'success',
+            answer: answer,
+            sources
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to process conversation'
+        });
+    }
+});
+
+// Streaming variant of /conversation (Server-Sent Events)
+router.post('/conversation/stream', verifyToken, authorizeContext, async (req, res) => {
+    const { messages, contextType, contextId } = req.body;
+
+    try {
+        if (!messages || !Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'Messages array is required' });
         }
 
-        // Build conversation
-        const conversationParts = [
-            `You are a helpful study assistant. ${contextPrompt}Provide clear, educational answers. Use LaTeX for math.`
-        ];
+        const { prompt, sources } = await buildConversationPrompt(messages, contextType, contextId);
+        await streamAnswer(res, prompt, 'Failed to process conversation', async () => ({ sources }));
+    } catch (error) {
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'Failed to process conversation' });
+        }
+    }
+});
 
-        messages.forEach(msg => {
-            if (msg.role === 'user') {
-                conversationParts.push(`\nStudent: ${msg.content}`);
-            } else if (msg.role === 'assistant' || msg.role === 'model') {
-                conversationParts.push(`\nAssistant: ${msg.content}`);
-            }
+// Validate a 24-char hex ObjectId
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+// Load a thread owned by the current user
+const findOwnThread = async (req, res) => {
+    const { threadId } = req.params;
+
+    if (!isValidId(threadId)) {
+        res.status(400).json({ status: 'error', message: 'Invalid thread ID format' });
+        return null;
+    }
+
+    const thread = await ChatThread.findById(threadId);
+    if (!thread || thread.owner.toString() !== req.user._id.toString()) {
+        res.status(404).json({ status: 'error', message: 'Thread not found' });
+        return null;
+    }
+
+    return thread;
+};
+
+// Threads tied to a space can only be continued while the user is still a member
+const canContinueThread = async (thread, userId) => {
+    if (!thread.spaceId) return true;
+
+    const space = await Space.findById(thread.spaceId);
+    return Boolean(space) && can(space, userId, 'space.read');
+};
+
+// Thread metadata without the message history
+const formatThreadSummary = (thread) => {
+    const lastMessage = thread.messages[thread.messages.length - 1];
+    return {
+        _id: thread._id,
+        title: thread.title,
+        spaceId: thread.spaceId,
+        contextType: thread.contextType,
+        contextId: thread.contextId,
+        messageCount: thread.messages.length,
+        lastMessage: lastMessage ? {
+            role: lastMessage.role,
+            content: lastMessage.content.substring(0, 200),
+            createdAt: lastMessage.createdAt
+        } : null,
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt
+    };
+};
+
+// Save the user's turn and build the prompt from the bounded history window.
+// The question is kept even if the model fails, so the client can retry from the thread.
+const prepareThreadTurn = async (thread, content) => {
+    thread.messages.push({ role: 'user', content: content.trim() });
+
+    // Name untitled threads after their first question
+    if (thread.title === 'New chat' && thread.messages.length === 1) {
+        thread.title = content.trim().substring(0, 60);
+    }
+
+    thread.updatedAt = new Date();
+    await thread.save();
+
+    const history = thread.messages.slice(-CHAT_HISTORY_WINDOW);
+    return buildConversationPrompt(history, thread.contextType, thread.contextId);
+};
+
+// Save the assistant's reply on the thread
+const recordThreadReply = async (thread, answer, modelId, sources) => {
+    thread.messages.push({ role: 'assistant', content: answer, model: modelId, sources });
+    thread.updatedAt = new Date();
+    await thread.save();
+    return thread.messages[thread.messages.length - 1];
+};
+
+// Create a chat thread
+router.post('/threads', verifyToken, authorizeContext, async (req, res) => {
+    const { contextType = 'general', contextId, title } = req.body;
+
+    try {
+        if (!['material', 'subject', 'space', 'general'].includes(contextType)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid context type' });
+        }
+
+        if (contextType !== 'general' && !isValidId(contextId)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid context ID format' });
+        }
+
+        const thread = new ChatThread({
+            owner: req.user._id,
+            spaceId: req.space ? req.space._id : undefined,
+            contextType,
+            contextId: contextType === 'general' ? undefined : contextId,
+            title: title && title.trim() ? title.trim() : undefined
         });
 
-        // Send to Gemini with automatic fallback
-        const result = await generateWithFallback(conversationParts.join('\n'));
-        const response = await result.response;
-        const answer = response.text();
+        await thread.save();
+
+        res.json({ status: 'success', thread });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to create thread' });
+    }
+});
+
+// List the current user's threads (optionally for one context or space)
+router.get('/threads', verifyToken, async (req, res) => {
+    const { contextType, contextId, spaceId } = req.query;
+
+    try {
+        const filter = { owner: req.user._id };
+        if (contextType) filter.contextType = contextType;
+        if (contextId) {
+            if (!isValidId(contextId)) {
+                return res.status(400).json({ status: 'error', message: 'Invalid context ID format' });
+            }
+            filter.contextId = contextId;
+        }
+        if (spaceId) {
+            if (!isValidId(spaceId)) {
+                return res.status(400).json({ status: 'error', message: 'Invalid space ID format' });
+            }
+            filter.spaceId = spaceId;
+        }
+
+        const threads = await ChatThread.find(filter).sort({ updatedAt: -1 });
+
+        res.json({ status: 'success', threads: threads.map(formatThreadSummary) });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch threads' });
+    }
+});
+
+// Get a thread with its full message history
+router.get('/threads/:threadId', verifyToken, async (req, res) => {
+    try {
+        const thread = await findOwnThread(req, res);
+        if (!thread) return;
+
+        res.json({ status: 'success', thread });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch thread' });
+    }
+});
+
+// Continue a thread: the server appends both turns
+router.post('/threads/:threadId/messages', verifyToken, async (req, res) => {
+    const { content } = req.body;
+
+    try {
+        if (!content || !content.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Message content is required' });
+        }
+
+        const thread = await findOwnThread(req, res);
+        if (!thread) return;
+
+        if (!(await canContinueThread(thread, req.user._id))) {
+            return res.status(403).json({ status: 'error', message: 'Not a member of this space' });
+        }
+
+        const { prompt, sources } = await prepareThreadTurn(thread, content);
+
+        // Send to the chat model chain with automatic fallback
+        const result = await generateText('chat', prompt);
+        const answer = result.text;
+
+        const message = await recordThreadReply(thread, answer, result.modelId, sources);
 
         res.json({
             status: 'success',
-            answer: answer
+            answer,
+            message,
+            thread: formatThreadSummary(thread)
         });
-
     } catch (error) {
-        res.status(500).json({
-            status: 'error',
-            message: 'Failed to process conversation'
+        res.status(500).json({ status: 'error', message: 'Failed to process message' });
+    }
+});
+
+// Streaming variant of thread continuation (Server-Sent Events)
+router.post('/threads/:threadId/messages/stream', verifyToken, async (req, res) => {
+    const { content } = req.body;
+
+    try {
+        if (!content || !content.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Message content is required' });
+        }
+
+        const thread = await findOwnThread(req, res);
+        if (!thread) return;
+
+        if (!(await canContinueThread(thread, req.user._id))) {
+            return res.status(403).json({ status: 'error', message: 'Not a member of this space' });
+        }
+
+        const { prompt, sources } = await prepareThreadTurn(thread, content);
+
+        await streamAnswer(res, prompt, 'Failed to process message', async (answer, modelId) => {
+            const message = await recordThreadReply(thread, answer, modelId, sources);
+            return { message, thread: formatThreadSummary(thread) };
         });
+    } catch (error) {
+        if (!res.headersSent) {
+            res.status(500).json({ status: 'error', message: 'Failed to process message' });
+        }
+    }
+});
+
+// Rename a thread
+router.patch('/threads/:threadId', verifyToken, async (req, res) => {
+    const { title } = req.body;
+
+    try {
+        if (!title || !title.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Title is required' });
+        }
+
+        const thread = await findOwnThread(req, res);
+        if (!thread) return;
+
+        thread.title = title.trim();
+        thread.updatedAt = new Date();
+        await thread.save();
+
+        res.json({ status: 'success', thread: formatThreadSummary(thread), message: 'Thread renamed successfully' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to rename thread' });
+    }
+});
+
+// Delete a thread
+router.delete('/threads/:threadId', verifyToken, async (req, res) => {
+    try {
+        const thread = await findOwnThread(req, res);
+        if (!thread) return;
+
+        await ChatThread.findByIdAndDelete(thread._id);
+
+        res.json({ status: 'success', message: 'Thread deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to delete thread' });
     }
 });
 
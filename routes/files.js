@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../utils/storage');
+
+// Serve a file from the local storage driver. No login: access is granted by the URL signature
+// (permanent for diagrams, short-lived for original files from the download endpoint).
+router.get('/*key', async (req, res) => {
+    const key = req.params.key.join('/');
+    const { expires, signature, filename } = req.query;
+    const storage = getStorage('local');
+
+    try {
+        if (!signature || !storage.verify(key, expires, signature)) {
+            return res.status(403).json({ status: 'error', message: 'Invalid or expired link' });
+        }
+
+        const filePath = storage.pathFor(key);
+        // Stored SVGs are served from the API origin, so keep any embedded script or markup inert
+        res.set({
+            'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+            'X-Content-Type-Options': 'nosniff'
+        });
+        if (filename) {
+            res.attachment(filename);
+        }
+        res.sendFile(filePath, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ status: 'error', message: 'File not found' });
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to serve file' });
+    }
+});
+
+module.exports = router;
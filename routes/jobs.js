@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../auth_middleware');
+const GenerationJob = require('../models/GenerationJob');
+const Material = require('../models/Material');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+const { getStages, enqueueGenerationJob } = require('../utils/materialPipeline');
+
+// Shape a job for API responses (never exposes stored input file IDs)
+const formatJob = (job) => ({
+    id: job._id,
+    kind: job.kind,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    stages: getStages(job),
+    completedStages: job.completedStages,
+    failedStage: job.failedStage,
+    error: job.error,
+    details: process.env.NODE_ENV === 'development' ? job.errorDetails : undefined,
+    attempts: job.attempts,
+    subjectId: job.subjectId,
+    materialId: job.materialId,
+    revisionVersion: job.revisionVersion,
+    studySetId: job.studySetId,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+});
+
+// Load a job owned by the current user
+const findOwnJob = async (req, res) => {
+    const { jobId } = req.params;
+
+    if (!jobId.match(/^[0-9a-fA-F]{24}$/)) {
+        res.status(400).json({ status: 'error', message: 'Invalid job ID format' });
+        return null;
+    }
+
+    const job = await GenerationJob.findById(jobId);
+    if (!job || job.createdBy.toString() !== req.user._id.toString()) {
+        res.status(404).json({ status: 'error', message: 'Job not found' });
+        return null;
+    }
+
+    return job;
+};
+
+// List the current user's recent generation jobs
+router.get('/', verifyToken, async (req, res) => {
+    try {
+        const filter = { createdBy: req.user._id };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const jobs = await GenerationJob.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(20);
+
+        res.json({ status: 'success', jobs: jobs.map(formatJob) });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch jobs' });
+    }
+});
+
+// Get job status and progress
+router.get('/:jobId', verifyToken, async (req, res) => {
+    try {
+        const job = await findOwnJob(req, res);
+        if (!job) return;
+
+        res.json({ status: 'success', job: formatJob(job) });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch job' });
+    }
+});
+
+// Get the generated material (or study set) once the job has completed
+router.get('/:jobId/result', verifyToken, async (req, res) => {
+    try {
+        const job = await findOwnJob(req, res);
+        if (!job) return;
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                status: 'error',
+                message: job.status === 'failed' ? 'Job failed' : 'Job is still in progress',
+                job: formatJob(job)
+            });
+        }
+
+        if (job.kind === 'study') {
+            const studySet = await StudySet.findById(job.studySetId);
+            if (!studySet) {
+                return res.status(404).json({ status: 'error', message: 'Study set not found' });
+            }
+
+            const items = await StudyItem.find({ setId: studySet._id }).sort({ type: 1, createdAt: 1 });
+            return res.json({ status: 'success', set: studySet, items });
+        }
+
+        const material = await Material.findById(job.materialId);
+        if (!material) {
+            return res.status(404).json({ status: 'error', message: 'Material not found' });
+        }
+
+        res.json({
+            status: 'success',
+            material: {
+                id: material._id,
+                title: material.title,
+                content: material.content,
+                images: material.images
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch job result' });
+    }
+});
+
+// Retry a failed job from the stage that failed (stored files are reused)
+router.post('/:jobId/retry', verifyToken, async (req, res) => {
+    try {
+        const job = await findOwnJob(req, res);
+        if (!job) return;
+
+        if (job.status !== 'failed') {
+            return res.status(400).json({ status: 'error', message: 'Only failed jobs can be retried' });
+        }
+
+        job.status = 'queued';
+        job.updatedAt = new Date();
+        await job.save();
+
+        enqueueGenerationJob(job._id);
+
+        res.status(202).json({ status: 'success', job: formatJob(job) });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to retry job' });
+    }
+});
+
+module.exports = router;
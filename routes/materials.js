@@ -1,40 +1,59 @@
+const crypto = require('crypto');
 const express = require('express');
+const sharp = require('sharp');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
-const { pdf } = require('pdf-to-img');
 const verifyToken = require('../auth_middleware');
 const upload = require('../config/multer');
-const { generateWithFallback } = require('../config/gemini');
 const Material = require('../models/Material');
-const Subject = require('../models/Subject');
-const Space = require('../models/Space');
-const { searchImages, extractImagePlaceholders, replaceImagePlaceholders } = require('../utils/imageSearch');
-const { processDiagramBlocks } = require('../utils/kroki');
-
-// Helper function to add timeout to promises
-const withTimeout = (promise, timeoutMs, operationName) => {
-    return Promise.race([
-        promise,
-        new Promise((_, reject) => 
-            setTimeout(() => reject(new Error(`${operationName} timed out after ${timeoutMs/1000}s`)), timeoutMs)
-        )
-    ]);
+const GenerationJob = require('../models/GenerationJob');
+const { saveJobFile } = require('../utils/jobFiles');
+const { STAGES, enqueueGenerationJob, repairDiagramSource } = require('../utils/materialPipeline');
+const MaterialRevision = require('../models/MaterialRevision');
+const { reindexQuietly } = require('../utils/retrieval');
+const { ensureCurrentRevision, saveMaterialRevision, RevisionConflictError } = require('../utils/revisions');
+const { diffLines, summarizeChange } = require('../utils/diff');
+const { processDiagramBlocks, toMaterialImage, parseDiagramFormats } = require('../utils/kroki');
+const { authorize, loadFrom } = require('../utils/policy');
+const { recordActivity } = require('../utils/activity');
+const { getPurgeDate, trashMaterial } = require('../utils/trash');
+const { retainAssetsQuietly, publicIdFromUrl } = require('../utils/assets');
+const { getStorage, DEFAULT_URL_TTL_SECONDS } = require('../utils/storage');
+const { swapImageInContent, imageDetails } = require('../utils/imageSearch');
+const { isMirroringEnabled, mirrorSearchImage } = require('../utils/imageMirror');
+
+// Image types editors may upload in place of a searched image: storage extension and sharp format
+const UPLOAD_IMAGE_TYPES = {
+    'image/png': { extension: 'png', format: 'png' },
+    'image/jpeg': { extension: 'jpg', format: 'jpeg' },
+    'image/gif': { extension: 'gif', format: 'gif' },
+    'image/webp': { extension: 'webp', format: 'webp' }
 };
-
-// Helper function to check if user can edit
-const canUserEdit = async (spaceId, userId) => {
-    const space = await Space.findById(spaceId);
-    if (!space) return false;
-
-    const userIdStr = userId.toString();
-    const isOwner = space.owner.toString() === userIdStr;
-    const isAdmin = space.admins.some(admin => admin.toString() === userIdStr);
-    const isEditor = space.editors && space.editors.some(editor => editor.toString() === userIdStr);
-    return isOwner || isAdmin || isEditor;
+// Refuse decompression bombs before sharp allocates them
+const MAX_UPLOAD_PIXELS = 50 * 1000 * 1000;
+
+// Clears what a previous image's mirroring recorded
+const NOT_MIRRORED = {
+    originalUrl: undefined,
+    width: undefined,
+    height: undefined,
+    mirroredAt: undefined,
+    mirrorError: undefined,
+    linkDead: undefined
 };
 
-// Scan Notes - Upload files and convert to Markdown with LaTeX
+// Revision metadata without the full content
+const formatRevision = (revision) => ({
+    version: revision.version,
+    title: revision.title,
+    author: revision.author,
+    source: revision.source,
+    restoredFrom: revision.restoredFrom,
+    instruction: revision.instruction,
+    summary: revision.summary,
+    createdAt: revision.createdAt
+});
+
+// Scan Notes - Upload files and queue a background job that converts them to Markdown with LaTeX
 router.post('/create', verifyToken, (req, res, next) => {
     if (req.headers['content-type']?.includes('application/json')) {
         return next();
@@ -50,416 +69,576 @@ router.post('/create', verifyToken, (req, res, next) => {
         }
         next();
     });
-}, async (req, res) => {
+}, authorize('material.create', loadFrom('subjectId', 'body')), async (req, res) => {
     const uploadedFiles = req.files || [];
-    const { subjectId, prompt, files: base64Files } = req.body;
+    const { prompt, files: base64Files } = req.body;
+    const subject = req.subject;
 
     try {
-        if (!subjectId) {
-            return res.status(400).json({ status: 'error', message: 'Subject ID is required' });
-        }
-
-        // Validate ObjectId format
-        if (!subjectId.match(/^[0-9a-fA-F]{24}$/)) {
-            return res.status(400).json({ status: 'error', message: 'Invalid subject ID format' });
-        }
-
-        // Verify subject exists and get space ID
-        const subject = await Subject.findById(subjectId);
-        if (!subject) {
-            return res.status(404).json({ status: 'error', message: 'Subject not found' });
-        }
-
-        // Check if user has edit permission
-        if (!(await canUserEdit(subject.spaceId, req.user._id))) {
-            return res.status(403).json({ status: 'error', message: 'You do not have permission to create materials in this space' });
-        }
-
-        let contentParts = [];
-        let sourceFiles = [];
-
-
-        const systemPrompt = `# Role
-You are an expert Academic Assistant that transforms rough study materials (blackboard photos, scribbled notes, or transcripts) into high-quality, structured Markdown notes.
-
-# Task
-Analyze the input and generate a comprehensive study guide. Expand fragmented thoughts into clear explanations and solve any homework questions or math problems found in the notes.
-
-# Guidelines
-1. **Formatting:** Use the full range of Markdown. Use # for titles, ## and ### for hierarchy, and **bold** for key terms. Use tables for comparisons and --- (horizontal rules) to separate different topics or sections.
-2. **Mathematical Notation:** Use LaTeX for all formulas and variables.
-   * Inline: $E = mc^2$
-   * Block: $$x = \frac{-b \pm \sqrt{b^2 - 4ac}}{2a}$$
-3. **Diagrams (Kroki.io):** Use code blocks to recreate sketches or logic. Use the best engine for the data (mermaid, plantuml, graphviz, dot, blockdiag, seqdiag, actdiag, nwdiag, packetdiag, rackdiag, c4plantuml, ditaa, erd, structurizr, vega, vegalite, wireviz).
-   * **Example: (Use the most relevant engine provided above, not only mermaid)**
-     \`\`\`mermaid
-     graph TD;
-     A[Light] --> B{Photosynthesis};
-     B --> C[Oxygen];
-     B --> D[Glucose];
-     \`\`\`
-4. **Visual Placeholders:** Use {{IMAGE: description}} for common graphs, anatomy, or complex photos, maps that cannot be coded.
-   * **Example:** {{IMAGE: supply and demand curve graph}} or {{IMAGE: structure of a plant cell}} or {{IMAGE: visible light spectrum}}.
-5. **Tone & Style:** Maintain a "Helpful Peer" tone—approachable, clear, and easy to read. Avoid dense jargon unless it is a key term being defined. Preferably use Indian English conventions.
-6. **Fallback Logic:** If the input is missing, blurry, or extremely sparse, generate a comprehensive college-level overview of the identified topic so the user still gets a useful study guide.
-7. **Safety:** If the content is inappropriate, harmful, or nonsensical, respond ONLY with "REFUSE".
-
-# Output Format
-# [Title]
-> **Summary:** A brief overview of the notes.
-
----
-[Structured Markdown Content with Diagrams and Placeholders]
-
----
-## Solutions
-[Step-by-step solutions for any problems found in the notes]
-`;
-
-        contentParts.push(systemPrompt);
-
-        // Handle base64 encoded files (from JSON)
-        if (base64Files && Array.isArray(base64Files)) {
-            for (const encodedFile of base64Files) {
-                const { filename, data, mimetype } = encodedFile;
-                
-                if (!filename || !data || !mimetype) {
-                    continue;
-                }
-                
-                sourceFiles.push({
-                    originalName: filename,
-                    fileType: mimetype.includes('pdf') ? 'pdf' : 'image',
-                    size: data.length,
-                    url: 'base64'
-                });
-                
-                contentParts.push({
-                    inlineData: {
-                        data: data,
-                        mimeType: mimetype
-                    }
-                });
-            }
+        const diagramFormats = parseDiagramFormats(req.body.diagramFormats);
+        if (!diagramFormats) {
+            return res.status(400).json({ status: 'error', message: 'diagramFormats must be png and/or svg' });
         }
 
-        // Process uploaded files (multipart)
-        for (const file of uploadedFiles) {
-            const ext = path.extname(file.originalname).toLowerCase();
-            const isPdf = ext === '.pdf';
-
-            let fileUrl = null;
-            if (!isPdf && process.env.USE_CLOUDINARY === 'true') {
-                try {
-                    const cloudinary = require('../config/cloudinary');
-                    
-                    const uploadResult = await new Promise((resolve, reject) => {
-                        const uploadStream = cloudinary.uploader.upload_stream(
-                            {
-                                folder: 'study_space',
-                                resource_type: 'auto'
-                            },
-                            (error, result) => {
-                                if (error) reject(error);
-                                else resolve(result);
-                            }
-                        );
-                        uploadStream.end(file.buffer);
-                    });
-                    
-                    fileUrl = uploadResult.secure_url;
-                } catch (uploadError) {
-                    fileUrl = 'memory';
-                }
-            } else {
-                fileUrl = isPdf ? 'memory' : (file.path || 'memory');
-            }
+        const validBase64Files = Array.isArray(base64Files)
+            ? base64Files.filter(file => file && file.filename && file.data && file.mimetype)
+            : [];
 
-            sourceFiles.push({
+        // Check if we have any content
+        if (validBase64Files.length === 0 && uploadedFiles.length === 0 && !(prompt && prompt.trim())) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Please provide at least one file or a text prompt'
+            });
+        }
+
+        // Persist inputs so the job survives reconnects and can be retried
+        const inputFiles = [];
+
+        for (const encodedFile of validBase64Files) {
+            const buffer = Buffer.from(encodedFile.data, 'base64');
+            inputFiles.push({
+                fileId: await saveJobFile(buffer, encodedFile.filename, encodedFile.mimetype),
+                originalName: encodedFile.filename,
+                mimeType: encodedFile.mimetype,
+                size: encodedFile.data.length,
+                encoding: 'base64'
+            });
+        }
+
+        for (const file of uploadedFiles) {
+            inputFiles.push({
+                fileId: await saveJobFile(file.buffer, file.originalname, file.mimetype),
                 originalName: file.originalname,
-                fileType: isPdf ? 'pdf' : 'image',
+                mimeType: file.mimetype,
                 size: file.size,
-                url: fileUrl
+                encoding: 'multipart'
             });
+        }
+
+        const job = new GenerationJob({
+            createdBy: req.user._id,
+            subjectId: subject._id,
+            spaceId: subject.spaceId,
+            prompt,
+            inputFiles,
+            diagramFormats,
+            stage: STAGES[0]
+        });
 
-            if (isPdf) {
-                const pdfBuffer = file.buffer;
-                const pdfSizeMB = pdfBuffer.length / 1024 / 1024;
-                
-                if (pdfSizeMB > 20) {
-                    contentParts.push({
-                        text: `PDF "${file.originalname}" is too large (${pdfSizeMB.toFixed(1)} MB). Please use a smaller file.`
-                    });
-                    continue;
-                }
-                
-                try {
-                    const document = await pdf(pdfBuffer, { scale: 2.0 });
-                    let pageNum = 0;
-                    
-                    for await (const image of document) {
-                        pageNum++;
-                        
-                        if (pageNum > 20) {
-                            break;
-                        }
-                        
-                        const base64Image = image.toString('base64');
-                        contentParts.push({
-                            inlineData: {
-                                data: base64Image,
-                                mimeType: 'image/png'
-                            }
-                        });
-                    }
-                } catch (conversionError) {
-                    const base64Pdf = pdfBuffer.toString('base64');
-                    contentParts.push({
-                        inlineData: {
-                            data: base64Pdf,
-                            mimeType: 'application/pdf'
-                        }
-                    });
-                }
-            } else if (['.jpg', '.jpeg', '.png', '.gif', '.webp'].includes(ext)) {
-                const imageBuffer = file.buffer;
-
-                const base64Image = imageBuffer.toString('base64');
-                const mimeTypes = {
-                    '.jpg': 'image/jpeg',
-                    '.jpeg': 'image/jpeg',
-                    '.png': 'image/png',
-                    '.gif': 'image/gif',
-                    '.webp': 'image/webp'
-                };
-                const mimeType = mimeTypes[ext] || 'image/jpeg';
-
-                contentParts.push({
-                    inlineData: {
-                        data: base64Image,
-                        mimeType: mimeType
-                    }
-                });
+        await job.save();
+        enqueueGenerationJob(job._id);
+
+        res.status(202).json({
+            status: 'success',
+            job: {
+                id: job._id,
+                status: job.status,
+                stage: job.stage,
+                progress: job.progress
             }
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            status: 'error',
+            message: 'Failed to queue material generation',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Get materials for a subject (members only)
+router.get('/:subjectId', verifyToken, authorize('material.read', loadFrom('subjectId')), async (req, res) => {
+    try {
+        const materials = await Material.find({ subjectId: req.subject._id })
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'name email');
+
+        res.json({ status: 'success', materials });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch materials' });
+    }
+});
+
+// Get single material by ID (members only)
+router.get('/material/:id', verifyToken, authorize('material.read', loadFrom('materialId', 'params', 'id')), async (req, res) => {
+    try {
+        const material = await req.material.populate([
+            { path: 'createdBy', select: 'name email' },
+            { path: 'subjectId', select: 'name' }
+        ]);
+
+        res.json({ status: 'success', material });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch material' });
+    }
+});
+
+// Get a short-lived download URL for one of a Material's original files (members only)
+router.get('/:materialId/files/:fileId/download', verifyToken, authorize('material.read', loadFrom('materialId')), async (req, res) => {
+    const { fileId } = req.params;
+
+    try {
+        if (!fileId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid file ID format' });
         }
 
-        // Add text prompt if provided
-        if (prompt && prompt.trim()) {
-            contentParts.push({
-                text: `User Prompt: ${prompt}`
-            });
+        const file = req.material.sourceFiles.id(fileId);
+        if (!file) {
+            return res.status(404).json({ status: 'error', message: 'File not found' });
         }
 
-        // Check if we have any content
-        if (contentParts.length === 1) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'Please provide at least one file or a text prompt'
-            });
+        // Files saved before storage keys were recorded only have their Cloudinary URL
+        const key = file.publicId || publicIdFromUrl(file.url);
+        if (!key) {
+            return res.status(404).json({ status: 'error', message: 'The original file was not stored' });
         }
 
-        const result = await withTimeout(
-            generateWithFallback(contentParts),
-            300000,
-            'Gemini API generation'
-        );
-        
-        const response = await result.response;
-        let generatedText = response.text();
+        // Those older files were public uploads; stored originals are private
+        const url = await getStorage(file.storage || 'cloudinary').signedUrl(key, {
+            expiresIn: DEFAULT_URL_TTL_SECONDS,
+            filename: file.originalName,
+            public: !file.publicId
+        });
 
-        if (generatedText.trim() === 'REFUSE' || generatedText.trim().startsWith('REFUSE')) {
-            return res.status(400).json({
-                status: 'error',
-                message: 'The provided content was deemed inappropriate, harmful, or unsuitable for processing. Please review your input and try again with valid study materials.'
-            });
+        res.json({
+            status: 'success',
+            url,
+            filename: file.originalName,
+            expiresAt: new Date(Date.now() + DEFAULT_URL_TTL_SECONDS * 1000)
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to create download link' });
+    }
+});
+
+// Move a Material to the trash (owner/admin/editor only)
+router.delete('/:materialId', verifyToken, authorize('material.delete', loadFrom('materialId')), async (req, res) => {
+    const material = req.material;
+
+    try {
+        await trashMaterial(material, req.user._id);
+
+        await recordActivity({
+            spaceId: material.spaceId,
+            actor: req.user._id,
+            action: 'material.delete',
+            targetType: 'material',
+            targetId: material._id,
+            targetName: material.title,
+            summary: `Moved material "${material.title}" to the trash`,
+            metadata: { subjectId: material.subjectId }
+        });
+
+        res.json({ status: 'success', message: 'Material moved to trash', purgeAt: getPurgeDate(material) });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to delete material' });
+    }
+});
+
+// Refine a Material with AI - queues a job that saves the result as a new revision (owner/admin/editor only)
+router.post('/:materialId/refine', verifyToken, authorize('material.update', loadFrom('materialId')), async (req, res) => {
+    const { instruction, useSourceFiles = true } = req.body;
+    const material = req.material;
+
+    try {
+        if (!instruction || typeof instruction !== 'string' || !instruction.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Instruction is required' });
         }
 
-        // Extract title and content
-        let title = 'Study Notes';
-        let content = generatedText;
+        const diagramFormats = parseDiagramFormats(req.body.diagramFormats);
+        if (!diagramFormats) {
+            return res.status(400).json({ status: 'error', message: 'diagramFormats must be png and/or svg' });
+        }
 
-        // Match the expected format: # Title\n> **Summary:** ...\n---\nContent
-        // First try: title followed by summary blockquote then separator
-        let titleMatch = generatedText.match(/^#\s+(.+?)[\r\n]+>[\s\S]*?[\r\n]+---[\r\n]+([\s\S]+)/);
-        
-        if (titleMatch) {
-            title = titleMatch[1].trim();
-            content = titleMatch[2].trim();
-        } else {
-            // Second try: title followed by separator
-            titleMatch = generatedText.match(/^#\s+(.+?)[\r\n]+---[\r\n]+([\s\S]+)/);
-            if (titleMatch) {
-                title = titleMatch[1].trim();
-                content = titleMatch[2].trim();
-            } else {
-                // Fallback: try to extract first H1 heading as title
-                const h1Match = generatedText.match(/^#\s+(.+?)[\r\n]+([\s\S]+)/);
-                if (h1Match) {
-                    title = h1Match[1].trim();
-                    content = h1Match[2].trim();
-                }
+        const job = new GenerationJob({
+            kind: 'refine',
+            createdBy: req.user._id,
+            subjectId: material.subjectId,
+            spaceId: material.spaceId,
+            materialId: material._id,
+            instruction: instruction.trim(),
+            baseVersion: material.version || 1,
+            useSourceFiles: Boolean(useSourceFiles),
+            diagramFormats,
+            stage: STAGES[0]
+        });
+
+        await job.save();
+        enqueueGenerationJob(job._id);
+
+        res.status(202).json({
+            status: 'success',
+            job: {
+                id: job._id,
+                status: job.status,
+                stage: job.stage,
+                progress: job.progress
             }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to queue material refinement' });
+    }
+});
+
+// Edit a Material's title and content (owner/admin/editor only)
+router.put('/:materialId', verifyToken, authorize('material.update', loadFrom('materialId')), async (req, res) => {
+    const { title, content, version } = req.body;
+    const material = req.material;
+
+    try {
+        if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+            return res.status(400).json({ status: 'error', message: 'Title cannot be empty' });
+        }
+        if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+            return res.status(400).json({ status: 'error', message: 'Content cannot be empty' });
         }
 
-        // Process Kroki diagrams (mermaid, plantuml, graphviz, etc.)
-        const diagramResult = await processDiagramBlocks(content);
-        content = diagramResult.content;
-        const diagrams = diagramResult.diagrams;
-
-        // Process image placeholders (search-based)
-        const placeholders = extractImagePlaceholders(content);
-        const images = [];
-
-        if (placeholders.length > 0) {
-            for (const placeholder of placeholders) {
-                const searchResults = await searchImages(placeholder.description, 1);
-                if (searchResults.length > 0) {
-                    images.push({
-                        placeholder: placeholder.description,
-                        url: searchResults[0].url,
-                        position: placeholder.position,
-                        type: 'search'
-                    });
-                }
-            }
+        if (version !== undefined && !Number.isInteger(version)) {
+            return res.status(400).json({ status: 'error', message: 'Version must be an integer' });
+        }
 
-            // Replace placeholders with actual images
-            content = replaceImagePlaceholders(content, images);
+        const diagramFormats = parseDiagramFormats(req.body.diagramFormats);
+        if (!diagramFormats) {
+            return res.status(400).json({ status: 'error', message: 'diagramFormats must be png and/or svg' });
         }
 
-        // Combine diagrams and searched images
-        const allImages = [
-            ...images,
-            ...diagrams.map(d => ({ type: 'diagram', diagramType: d.type, url: d.url }))
-        ];
+        const previousTitle = material.title;
+        const newTitle = title !== undefined ? title.trim() : material.title;
+        let newContent = content !== undefined ? content : material.content;
 
-        // Save to database
-        const material = new Material({
-            title,
-            content,
-            subjectId: subject._id,
-            spaceId: subject.spaceId,
-            createdBy: req.user._id,
-            images: allImages,
-            sourceFiles
+        if (newTitle === material.title && newContent === material.content) {
+            return res.status(400).json({ status: 'error', message: 'No changes to save' });
+        }
+
+        // Fail a stale edit before rendering its diagrams (saveMaterialRevision re-checks atomically)
+        if (version !== undefined && version !== (material.version || 1)) {
+            return res.status(409).json({ status: 'error', message: new RevisionConflictError(material._id, version).userMessage });
+        }
+
+        // Render any new or edited diagram code blocks
+        const diagramResult = await processDiagramBlocks(newContent, { formats: diagramFormats, repair: repairDiagramSource });
+        newContent = diagramResult.content;
+        diagramResult.diagrams.forEach(d => material.images.push(toMaterialImage(d)));
+        material.diagramErrors = diagramResult.errors;
+        if (diagramResult.stats.total > 0) {
+            material.enrichment = { durationMs: diagramResult.stats.durationMs, diagrams: diagramResult.stats };
+        }
+
+        const revision = await saveMaterialRevision(
+            material,
+            { title: newTitle, content: newContent },
+            req.user._id,
+            { expectedVersion: version }
+        );
+
+        if (diagramResult.diagrams.length > 0) {
+            await retainAssetsQuietly(material);
+        }
+
+        await recordActivity({
+            spaceId: material.spaceId,
+            actor: req.user._id,
+            action: 'material.update',
+            targetType: 'material',
+            targetId: material._id,
+            targetName: material.title,
+            summary: `Edited material "${material.title}" (${revision.summary.text})`,
+            before: previousTitle !== newTitle ? { title: previousTitle } : undefined,
+            after: previousTitle !== newTitle ? { title: newTitle } : undefined,
+            metadata: { version: revision.version }
         });
 
-        await material.save();
+        await reindexQuietly(material);
 
         res.json({
             status: 'success',
-            material: {
-                id: material._id,
-                title: material.title,
-                content: material.content,
-                images: material.images
-            }
+            material,
+            revision: formatRevision(revision),
+            message: 'Material updated successfully'
         });
-
     } catch (error) {
-        if (uploadedFiles && uploadedFiles.length > 0) {
-            uploadedFiles.forEach(file => {
-                try {
-                    if (fs.existsSync(file.path)) {
-                        fs.unlinkSync(file.path);
-                    }
-                } catch (cleanupError) {
-                    // Ignore cleanup errors
-                }
+        if (error instanceof RevisionConflictError) {
+            return res.status(409).json({ status: 'error', message: error.userMessage });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to update material' });
+    }
+});
+
+// Replace a searched image with another candidate ({ candidate: index }) or an uploaded file
+// (multipart "file", optional title, license, attribution). Saved as a new revision (owner/admin/editor only).
+router.put('/:materialId/images/:imageId', verifyToken, authorize('material.update', loadFrom('materialId')), (req, res, next) => {
+    if (req.headers['content-type']?.includes('application/json')) {
+        return next();
+    }
+
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ status: 'error', message: `File upload failed: ${err.message}` });
+        }
+        next();
+    });
+}, async (req, res) => {
+    const { imageId } = req.params;
+    const material = req.material;
+
+    try {
+        if (!imageId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid image ID format' });
+        }
+
+        const image = material.images.id(imageId);
+        if (!image) {
+            return res.status(404).json({ status: 'error', message: 'Image not found' });
+        }
+        if (image.type === 'diagram') {
+            return res.status(400).json({ status: 'error', message: 'Diagrams are changed by editing their source' });
+        }
+
+        let details;
+        if (req.file) {
+            const uploadType = Object.prototype.hasOwnProperty.call(UPLOAD_IMAGE_TYPES, req.file.mimetype) ? UPLOAD_IMAGE_TYPES[req.file.mimetype] : null;
+            if (!uploadType) {
+                return res.status(400).json({ status: 'error', message: 'Upload a PNG, JPEG, GIF or WebP image' });
+            }
+
+            // The declared type is only a claim; the bytes have to decode as that image format
+            let metadata;
+            try {
+                metadata = await sharp(req.file.buffer, { limitInputPixels: MAX_UPLOAD_PIXELS }).metadata();
+            } catch (imageError) {
+                metadata = {};
+            }
+            if (metadata.format !== uploadType.format || !metadata.width || !metadata.height) {
+                return res.status(400).json({ status: 'error', message: 'The file is not a valid PNG, JPEG, GIF or WebP image' });
+            }
+
+            const hash = crypto.createHash('md5').update(req.file.buffer).digest('hex').substring(0, 12);
+            const stored = await getStorage().put(req.file.buffer, {
+                key: `study_space/images/${material._id}_${hash}.${uploadType.extension}`,
+                contentType: req.file.mimetype,
+                public: true
             });
+            details = {
+                ...NOT_MIRRORED,
+                type: 'upload',
+                url: stored.url,
+                publicId: stored.key,
+                storage: stored.storage,
+                provider: 'upload',
+                title: req.body.title || req.file.originalname,
+                sourceUrl: undefined,
+                license: req.body.license || undefined,
+                licenseUrl: undefined,
+                attribution: req.body.attribution || undefined
+            };
+        } else {
+            const index = Number(req.body.candidate);
+            if (!Number.isInteger(index) || index < 0 || index >= image.candidates.length) {
+                return res.status(400).json({ status: 'error', message: 'Provide a file or a valid candidate index' });
+            }
+            const candidate = image.candidates[index];
+            if (candidate.url === (image.originalUrl || image.url)) {
+                return res.status(400).json({ status: 'error', message: 'That image is already in use' });
+            }
+
+            details = {
+                ...NOT_MIRRORED,
+                type: 'search',
+                ...imageDetails(candidate),
+                publicId: undefined,
+                storage: undefined
+            };
+
+            if (isMirroringEnabled()) {
+                const { updates, error } = await mirrorSearchImage({ ...details, candidates: [] });
+                Object.assign(details, updates || { mirrorError: error });
+            }
         }
 
-        // Determine appropriate error message and status code
-        let statusCode = 500;
-        let errorMessage = 'Failed to process files';
+        if (details.url === image.url) {
+            return res.status(400).json({ status: 'error', message: 'That image is already in use' });
+        }
 
-        if (error.name === 'ValidationError') {
-            statusCode = 400;
-            errorMessage = 'Invalid data provided';
-        } else if (error.message && error.message.includes('timed out')) {
-            statusCode = 504;
-            errorMessage = 'Processing took too long. Try with a smaller file or fewer pages.';
-        } else if (error.message && error.message.includes('API')) {
-            errorMessage = 'AI processing service temporarily unavailable. Please try again later.';
-        } else if (error.code === 'ENOSPC') {
-            errorMessage = 'Server storage full. Please contact administrator.';
-        } else if (error.code === 'ENOENT') {
-            errorMessage = 'File system error occurred.';
+        const newContent = swapImageInContent(material.content, image, details.url);
+        if (newContent === null) {
+            return res.status(409).json({ status: 'error', message: 'This image is no longer in the material content' });
         }
 
-        res.status(statusCode).json({
-            status: 'error',
-            message: errorMessage,
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        const previousUrl = image.url;
+        image.set({ ...details, searchError: undefined, chosenBy: req.user._id });
+
+        const revision = await saveMaterialRevision(material, { title: material.title, content: newContent }, req.user._id);
+
+        if (details.publicId) {
+            await retainAssetsQuietly(material);
+        }
+
+        await recordActivity({
+            spaceId: material.spaceId,
+            actor: req.user._id,
+            action: 'material.image',
+            targetType: 'material',
+            targetId: material._id,
+            targetName: material.title,
+            summary: `${req.file ? 'Uploaded' : 'Chose'} an image for "${image.placeholder}" in "${material.title}"`,
+            before: { url: previousUrl },
+            after: { url: details.url },
+            metadata: { version: revision.version, imageId: image._id, provider: details.provider }
         });
+
+        await reindexQuietly(material);
+
+        res.json({
+            status: 'success',
+            image,
+            revision: formatRevision(revision),
+            message: 'Image updated successfully'
+        });
+    } catch (error) {
+        if (error instanceof RevisionConflictError) {
+            return res.status(409).json({ status: 'error', message: error.userMessage });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to update image' });
     }
 });
 
-// Get materials for a subject
-router.get('/:subjectId', verifyToken, async (req, res) => {
+// List a Material's revisions (newest first)
+router.get('/:materialId/revisions', verifyToken, authorize('material.read', loadFrom('materialId')), async (req, res) => {
+    const material = req.material;
+
     try {
-        // Validate ObjectId format
-        if (!req.params.subjectId.match(/^[0-9a-fA-F]{24}$/)) {
-            return res.status(400).json({ status: 'error', message: 'Invalid subject ID format' });
+        await ensureCurrentRevision(material);
+
+        const revisions = await MaterialRevision.find({ materialId: material._id })
+            .sort({ version: -1 })
+            .select('-content')
+            .populate('author', 'name email');
+
+        res.json({
+            status: 'success',
+            currentVersion: material.version || 1,
+            revisions: revisions.map(formatRevision)
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch revisions' });
+    }
+});
+
+// Get one revision with its full content
+router.get('/:materialId/revisions/:version', verifyToken, authorize('material.read', loadFrom('materialId')), async (req, res) => {
+    const material = req.material;
+
+    try {
+        const version = Number(req.params.version);
+        if (!Number.isInteger(version)) {
+            return res.status(400).json({ status: 'error', message: 'Version must be an integer' });
         }
 
-        const materials = await Material.find({ subjectId: req.params.subjectId })
-            .sort({ createdAt: -1 })
-            .populate('createdBy', 'name email');
+        await ensureCurrentRevision(material);
 
-        res.json({ status: 'success', materials });
+        const revision = await MaterialRevision.findOne({ materialId: material._id, version })
+            .populate('author', 'name email');
+
+        if (!revision) {
+            return res.status(404).json({ status: 'error', message: 'Revision not found' });
+        }
+
+        res.json({ status: 'success', revision: { ...formatRevision(revision), content: revision.content } });
     } catch (error) {
-        res.status(500).json({ status: 'error', message: 'Failed to fetch materials' });
+        res.status(500).json({ status: 'error', message: 'Failed to fetch revision' });
     }
 });
 
-// Get single material by ID
-router.get('/material/:id', verifyToken, async (req, res) => {
+// Diff two revisions (?from=1&to=3, "to" defaults to the current version)
+router.get('/:materialId/diff', verifyToken, authorize('material.read', loadFrom('materialId')), async (req, res) => {
+    const material = req.material;
+
     try {
-        // Validate ObjectId format
-        if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-            return res.status(400).json({ status: 'error', message: 'Invalid material ID format' });
+        await ensureCurrentRevision(material);
+
+        const fromVersion = Number(req.query.from);
+        const toVersion = req.query.to !== undefined ? Number(req.query.to) : (material.version || 1);
+
+        if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion)) {
+            return res.status(400).json({ status: 'error', message: 'Versions must be integers' });
         }
 
-        const material = await Material.findById(req.params.id)
-            .populate('createdBy', 'name email')
-            .populate('subjectId', 'name');
+        const [from, to] = await Promise.all([
+            MaterialRevision.findOne({ materialId: material._id, version: fromVersion }),
+            MaterialRevision.findOne({ materialId: material._id, version: toVersion })
+        ]);
 
-        if (!material) {
-            return res.status(404).json({ status: 'error', message: 'Material not found' });
+        if (!from || !to) {
+            return res.status(404).json({ status: 'error', message: 'Revision not found' });
         }
 
-        res.json({ status: 'success', material });
+        res.json({
+            status: 'success',
+            from: fromVersion,
+            to: toVersion,
+            title: { from: from.title, to: to.title },
+            summary: summarizeChange(from, to),
+            changes: diffLines(from.content, to.content)
+        });
     } catch (error) {
-        res.status(500).json({ status: 'error', message: 'Failed to fetch material' });
+        res.status(500).json({ status: 'error', message: 'Failed to diff revisions' });
     }
 });
 
-// Delete a Material (owner/admin/editor only)
-router.delete('/:materialId', verifyToken, async (req, res) => {
-    const { materialId } = req.params;
+// Restore an old revision as a new version (owner/admin/editor only)
+router.post('/:materialId/revisions/:version/restore', verifyToken, authorize('material.update', loadFrom('materialId')), async (req, res) => {
+    const material = req.material;
 
     try {
-        // Validate ObjectId format
-        if (!materialId.match(/^[0-9a-fA-F]{24}$/)) {
-            return res.status(400).json({ status: 'error', message: 'Invalid material ID format' });
+        const version = Number(req.params.version);
+        if (!Number.isInteger(version)) {
+            return res.status(400).json({ status: 'error', message: 'Version must be an integer' });
         }
 
-        const material = await Material.findById(materialId);
-        if (!material) {
-            return res.status(404).json({ status: 'error', message: 'Material not found' });
+        await ensureCurrentRevision(material);
+
+        const target = await MaterialRevision.findOne({ materialId: material._id, version });
+        if (!target) {
+            return res.status(404).json({ status: 'error', message: 'Revision not found' });
         }
 
-        // Check if user has edit permission
-        if (!(await canUserEdit(material.spaceId, req.user._id))) {
-            return res.status(403).json({ status: 'error', message: 'You do not have permission to delete this material' });
+        if (version === (material.version || 1)) {
+            return res.status(400).json({ status: 'error', message: 'This is already the current version' });
         }
 
-        await Material.findByIdAndDelete(materialId);
+        const revision = await saveMaterialRevision(
+            material,
+            { title: target.title, content: target.content },
+            req.user._id,
+            { source: 'restore', restoredFrom: version }
+        );
+
+        await recordActivity({
+            spaceId: material.spaceId,
+            actor: req.user._id,
+            action: 'material.restore',
+            targetType: 'material',
+            targetId: material._id,
+            targetName: material.title,
+            summary: `Restored material "${material.title}" to version ${version}`,
+            metadata: { version: revision.version, restoredFrom: version }
+        });
+
+        await reindexQuietly(material);
 
-        res.json({ status: 'success', message: 'Material deleted successfully' });
+        res.json({
+            status: 'success',
+            material,
+            revision: formatRevision(revision),
+            message: `Restored version ${version}`
+        });
     } catch (error) {
-        res.status(500).json({ status: 'error', message: 'Failed to delete material' });
+        if (error instanceof RevisionConflictError) {
+            return res.status(409).json({ status: 'error', message: error.userMessage });
+        }
+        res.status(500).json({ status: 'error', message: 'Failed to restore revision' });
     }
 });
 
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../auth_middleware');
+const Subject = require('../models/Subject');
+const StudyItem = require('../models/StudyItem');
+const QuizAttempt = require('../models/QuizAttempt');
+const { QUIZ_ITEM_TYPES, scoreAttempt, summarizeAnswers, applySelfMarks, computeMastery } = require('../utils/quizzes');
+const { authorize, loadFrom, can } = require('../utils/policy');
+
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+const canViewAll = (req) => can(req.space, req.user._id, 'progress.viewAll');
+
+// Owners/admins may pass ?userId to see someone else's stats; members only see their own
+const resolveTargetUser = (req, res) => {
+    const { userId } = req.query;
+    if (!userId || userId === req.user._id.toString()) {
+        return req.user._id;
+    }
+
+    if (!canViewAll(req)) {
+        res.status(403).json({ status: 'error', message: 'Only owner or admins can view other members\' progress' });
+        return null;
+    }
+    if (!isValidId(userId) || !req.space.members.some(member => member.toString() === userId)) {
+        res.status(400).json({ status: 'error', message: 'User is not a member of this space' });
+        return null;
+    }
+    return userId;
+};
+
+// Submit a quiz attempt for a study set
+router.post('/:setId/attempts', verifyToken, authorize('study.practice', loadFrom('setId')), async (req, res) => {
+    const { answers, timeTakenSeconds, startedAt } = req.body;
+    const studySet = req.studySet;
+
+    try {
+        if (!Array.isArray(answers)) {
+            return res.status(400).json({ status: 'error', message: 'Answers array is required' });
+        }
+
+        const started = startedAt ? new Date(startedAt) : undefined;
+        if (started && Number.isNaN(started.getTime())) {
+            return res.status(400).json({ status: 'error', message: 'startedAt must be a valid date' });
+        }
+
+        const items = await StudyItem.find({ setId: studySet._id, type: { $in: QUIZ_ITEM_TYPES } })
+            .sort({ type: 1, createdAt: 1 });
+        if (items.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'This study set has no quiz questions' });
+        }
+
+        const result = scoreAttempt(items, answers);
+        const seconds = Number(timeTakenSeconds);
+
+        const attempt = new QuizAttempt({
+            user: req.user._id,
+            setId: studySet._id,
+            spaceId: studySet.spaceId,
+            subjectId: studySet.subjectId,
+            ...result,
+            timeTakenSeconds: Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds) : undefined,
+            startedAt: started
+        });
+        await attempt.save();
+
+        // Reveal correct answers only after submission
+        const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+        const review = result.answers.map(answer => {
+            const item = itemsById.get(answer.itemId.toString());
+            return {
+                ...answer,
+                question: item.question,
+                correctIndex: item.correctIndex,
+                answer: item.answer,
+                explanation: item.explanation
+            };
+        });
+
+        res.json({ status: 'success', attempt, review });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to submit quiz attempt' });
+    }
+});
+
+// List attempts for a study set (own attempts; owner/admin may pass ?userId or ?all=true)
+router.get('/:setId/attempts', verifyToken, authorize('study.read', loadFrom('setId')), async (req, res) => {
+    try {
+        const filter = { setId: req.studySet._id };
+        if (req.query.all === 'true') {
+            if (!canViewAll(req)) {
+                return res.status(403).json({ status: 'error', message: 'Only owner or admins can view other members\' progress' });
+            }
+        } else {
+            const targetUser = resolveTargetUser(req, res);
+            if (!targetUser) return;
+            filter.user = targetUser;
+        }
+
+        const attempts = await QuizAttempt.find(filter)
+            .sort({ submittedAt: -1 })
+            .select('-answers')
+            .populate('user', 'name email');
+
+        res.json({ status: 'success', attempts });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch attempts' });
+    }
+});
+
+// Get one attempt with its answers (attempt owner, or space owner/admin)
+router.get('/attempts/:attemptId', verifyToken, authorize('study.read', loadFrom('attemptId')), async (req, res) => {
+    try {
+        const isOwnAttempt = req.quizAttempt.user.toString() === req.user._id.toString();
+        if (!isOwnAttempt && !canViewAll(req)) {
+            return res.status(403).json({ status: 'error', message: 'Permission denied' });
+        }
+
+        const attempt = await req.quizAttempt.populate('user', 'name email');
+
+        res.json({ status: 'success', attempt });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch attempt' });
+    }
+});
+
+// Mark your own short answers after submission, once the model answers have been revealed (attempt author only)
+router.put('/attempts/:attemptId/marks', verifyToken, authorize('study.practice', loadFrom('attemptId')), async (req, res) => {
+    const { marks } = req.body;
+    const attempt = req.quizAttempt;
+
+    try {
+        if (attempt.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ status: 'error', message: 'You can only mark your own attempts' });
+        }
+        if (!Array.isArray(marks) || marks.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'Marks array is required' });
+        }
+
+        const { answers, errors } = applySelfMarks(attempt.answers.map(answer => answer.toObject()), marks);
+        if (errors.length > 0) {
+            return res.status(400).json({ status: 'error', message: 'Invalid marks', errors });
+        }
+
+        const summary = summarizeAnswers(answers);
+        const updated = await QuizAttempt.findOneAndUpdate(
+            { _id: attempt._id },
+            { $set: { answers, ...summary } },
+            { new: true }
+        );
+
+        res.json({ status: 'success', attempt: updated });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to update marks' });
+    }
+});
+
+// Per-subject mastery for a user in a space
+router.get('/progress', verifyToken, authorize('study.read', loadFrom('spaceId', 'query')), async (req, res) => {
+    const spaceId = req.space._id;
+
+    try {
+        const targetUser = resolveTargetUser(req, res);
+        if (!targetUser) return;
+
+        const [subjects, attempts, itemCounts] = await Promise.all([
+            Subject.find({ spaceId }).sort({ createdAt: 1 }),
+            QuizAttempt.find({ spaceId, user: targetUser }).select('subjectId answers percentage submittedAt'),
+            StudyItem.aggregate([
+                { $match: { spaceId, type: { $in: QUIZ_ITEM_TYPES } } },
+                { $group: { _id: '$subjectId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countsBySubject = new Map(itemCounts.map(entry => [entry._id.toString(), entry.count]));
+
+        const progress = subjects.map(subject => ({
+            subjectId: subject._id,
+            name: subject.name,
+            ...computeMastery(
+                attempts.filter(attempt => attempt.subjectId.toString() === subject._id.toString()),
+                countsBySubject.get(subject._id.toString()) || 0
+            )
+        }));
+
+        res.json({ status: 'success', userId: targetUser, subjects: progress });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch progress' });
+    }
+});
+
+// Space leaderboard (owner/admin only)
+router.get('/leaderboard', verifyToken, authorize('progress.viewAll', loadFrom('spaceId', 'query')), async (req, res) => {
+    const { subjectId } = req.query;
+
+    try {
+        if (subjectId && !isValidId(subjectId)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid subject ID format' });
+        }
+
+        const scope = { spaceId: req.space._id };
+        if (subjectId) scope.subjectId = subjectId;
+
+        const space = await req.space.populate('members', 'name email picture');
+        const [attempts, totalItems] = await Promise.all([
+            QuizAttempt.find(scope).select('user answers percentage submittedAt'),
+            StudyItem.countDocuments({ ...scope, type: { $in: QUIZ_ITEM_TYPES } })
+        ]);
+
+        const leaderboard = space.members
+            .map(member => ({
+                user: { _id: member._id, name: member.name, email: member.email, picture: member.picture },
+                ...computeMastery(
+                    attempts.filter(attempt => attempt.user.toString() === member._id.toString()),
+                    totalItems
+                )
+            }))
+            .sort((a, b) => b.mastery - a.mastery || (b.averagePercentage || 0) - (a.averagePercentage || 0))
+            .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+        res.json({ status: 'success', leaderboard });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch leaderboard' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../auth_middleware');
+const StudyItem = require('../models/StudyItem');
+const ReviewState = require('../models/ReviewState');
+const ReviewLog = require('../models/ReviewLog');
+const { initialState, scheduleReview, dayBounds, PASSING_GRADE } = require('../utils/sm2');
+const { authorize, loadFrom, loadFirstOf } = require('../utils/policy');
+
+// New (never reviewed) cards introduced per day
+const NEW_CARDS_PER_DAY = parseInt(process.env.NEW_CARDS_PER_DAY, 10) || 20;
+const STATS_HISTORY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review queues cover a whole space or one subject
+const loadReviewScope = loadFirstOf(['subjectId', 'spaceId']);
+
+// Query scope for the space or subject resolved by loadReviewScope
+const reviewScope = (req) => (req.subject
+    ? { spaceId: req.subject.spaceId, subjectId: req.subject._id }
+    : { spaceId: req.space._id });
+
+// Parse ?tzOffset (minutes east of UTC) so "today" matches the student's calendar day
+const parseTzOffset = (value) => {
+    const offset = parseInt(value, 10);
+    return Number.isInteger(offset) && Math.abs(offset) <= 14 * 60 ? offset : 0;
+};
+
+// Flashcards in scope the user has never reviewed
+const findNewCards = async (userId, scope, limit) => {
+    if (limit <= 0) return [];
+
+    const seenIds = await ReviewState.find({ user: userId, ...scope }).distinct('itemId');
+    return StudyItem.find({ ...scope, type: 'flashcard', _id: { $nin: seenIds } })
+        .sort({ createdAt: 1 })
+        .limit(limit);
+};
+
+// How many new cards can still be introduced today
+const remainingNewCards = async (userId, scope, today) => {
+    const introducedToday = await ReviewState.countDocuments({
+        user: userId,
+        ...scope,
+        createdAt: { $gte: today.start }
+    });
+    return Math.max(NEW_CARDS_PER_DAY - introducedToday, 0);
+};
+
+// The user's scheduling state for a card, created on the first review.
+// Concurrent first reviews race on the unique {user, itemId} index; the loser reads the winner's state.
+const findOrCreateState = async (userId, item, now) => {
+    const filter = { user: userId, itemId: item._id };
+    try {
+        return await ReviewState.findOneAndUpdate(
+            filter,
+            { $setOnInsert: { spaceId: item.spaceId, subjectId: item.subjectId, ...initialState(), dueAt: now } },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return ReviewState.findOne(filter);
+    }
+};
+
+// Today's review queue: due cards first, then new cards up to the daily limit
+router.get('/due', verifyToken, authorize('study.practice', loadReviewScope), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const scope = reviewScope(req);
+
+    try {
+        const today = dayBounds(new Date(), parseTzOffset(req.query.tzOffset));
+
+        const dueStates = await ReviewState.find({ user: req.user._id, ...scope, dueAt: { $lt: today.end } })
+            .sort({ dueAt: 1 })
+            .limit(limit)
+            .populate('itemId');
+
+        // Skip states whose card has since been deleted
+        const due = dueStates
+            .filter(state => state.itemId)
+            .map(state => ({
+                item: state.itemId,
+                state: {
+                    repetitions: state.repetitions,
+                    interval: state.interval,
+                    easeFactor: state.easeFactor,
+                    dueAt: state.dueAt,
+                    lastReviewedAt: state.lastReviewedAt
+                }
+            }));
+
+        const newLimit = Math.min(await remainingNewCards(req.user._id, scope, today), limit - due.length);
+        const newCards = await findNewCards(req.user._id, scope, newLimit);
+
+        res.json({
+            status: 'success',
+            due,
+            new: newCards,
+            counts: { due: due.length, new: newCards.length }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch review queue' });
+    }
+});
+
+// Submit a review grade (0-5) for a flashcard
+router.post('/:itemId', verifyToken, authorize('study.practice', loadFrom('itemId')), async (req, res) => {
+    const grade = Number(req.body.grade);
+    const item = req.studyItem;
+
+    try {
+        if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+            return res.status(400).json({ status: 'error', message: 'Grade must be an integer from 0 to 5' });
+        }
+        if (item.type !== 'flashcard') {
+            return res.status(400).json({ status: 'error', message: 'Only flashcards can be reviewed' });
+        }
+
+        const now = new Date();
+        const state = await findOrCreateState(req.user._id, item, now);
+
+        const previousInterval = state.interval;
+        const next = scheduleReview(
+            { repetitions: state.repetitions, interval: state.interval, easeFactor: state.easeFactor },
+            grade,
+            now
+        );
+
+        state.repetitions = next.repetitions;
+        state.interval = next.interval;
+        state.easeFactor = next.easeFactor;
+        state.dueAt = next.dueAt;
+        state.lastGrade = grade;
+        state.lastReviewedAt = now;
+        state.reviewCount += 1;
+        if (next.lapsed && previousInterval > 0) {
+            state.lapses += 1;
+        }
+        await state.save();
+
+        await ReviewLog.create({
+            user: req.user._id,
+            itemId: item._id,
+            spaceId: item.spaceId,
+            subjectId: item.subjectId,
+            grade,
+            previousInterval,
+            interval: next.interval,
+            easeFactor: next.easeFactor,
+            reviewedAt: now
+        });
+
+        res.json({
+            status: 'success',
+            state: {
+                repetitions: state.repetitions,
+                interval: state.interval,
+                easeFactor: state.easeFactor,
+                dueAt: state.dueAt,
+                reviewCount: state.reviewCount,
+                lapses: state.lapses
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to record review' });
+    }
+});
+
+// Daily review stats: due, reviewed and retention rate, plus a 30-day history
+router.get('/stats', verifyToken, authorize('study.practice', loadReviewScope), async (req, res) => {
+    const scope = reviewScope(req);
+
+    try {
+        const tzOffset = parseTzOffset(req.query.tzOffset);
+        const today = dayBounds(new Date(), tzOffset);
+        const historyStart = new Date(today.start.getTime() - (STATS_HISTORY_DAYS - 1) * DAY_MS);
+
+        const [dueToday, remainingNew, logs] = await Promise.all([
+            ReviewState.countDocuments({ user: req.user._id, ...scope, dueAt: { $lt: today.end } }),
+            remainingNewCards(req.user._id, scope, today),
+            ReviewLog.find({ user: req.user._id, ...scope, reviewedAt: { $gte: historyStart } })
+                .select('grade reviewedAt')
+        ]);
+        const newAvailable = (await findNewCards(req.user._id, scope, remainingNew)).length;
+
+        const summarize = (entries) => {
+            const passed = entries.filter(log => log.grade >= PASSING_GRADE).length;
+            return {
+                reviewed: entries.length,
+                retentionRate: entries.length > 0 ? Math.round((passed / entries.length) * 1000) / 1000 : null
+            };
+        };
+
+        const history = [];
+        for (let day = 0; day < STATS_HISTORY_DAYS; day++) {
+            const start = new Date(historyStart.getTime() + day * DAY_MS);
+            const end = new Date(start.getTime() + DAY_MS);
+            const entries = logs.filter(log => log.reviewedAt >= start && log.reviewedAt < end);
+            history.push({ date: start, ...summarize(entries) });
+        }
+
+        res.json({
+            status: 'success',
+            today: {
+                due: dueToday,
+                newAvailable,
+                ...summarize(logs.filter(log => log.reviewedAt >= today.start))
+            },
+            last30Days: summarize(logs),
+            history
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch review stats' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../auth_middleware');
+const Material = require('../models/Material');
+const Space = require('../models/Space');
+const { tokenizeQuery, buildHighlights } = require('../utils/search');
+
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+// Search materials across every space the user is a member of
+router.get('/', verifyToken, async (req, res) => {
+    const { q, spaceId, subjectId, author, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    try {
+        if (!q || !q.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Search query is required' });
+        }
+
+        for (const [name, value] of [['space', spaceId], ['subject', subjectId], ['author', author]]) {
+            if (value && !isValidId(value)) {
+                return res.status(400).json({ status: 'error', message: `Invalid ${name} ID format` });
+            }
+        }
+
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json({ status: 'error', message: 'Invalid date range' });
+        }
+
+        // Only ever search spaces the caller belongs to
+        const memberSpaces = await Space.find({ members: req.user._id }).select('_id');
+        const memberSpaceIds = memberSpaces.map(space => space._id.toString());
+
+        if (spaceId && !memberSpaceIds.includes(spaceId)) {
+            return res.status(403).json({ status: 'error', message: 'Not a member of this space' });
+        }
+
+        const filter = {
+            $text: { $search: q.trim() },
+            spaceId: { $in: spaceId ? [spaceId] : memberSpaceIds }
+        };
+        if (subjectId) filter.subjectId = subjectId;
+        if (author) filter.createdBy = author;
+        if (fromDate || toDate) {
+            filter.createdAt = {};
+            if (fromDate) filter.createdAt.$gte = fromDate;
+            if (toDate) filter.createdAt.$lte = toDate;
+        }
+
+        const [materials, total] = await Promise.all([
+            Material.find(filter, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('title content headings images.type images.source subjectId spaceId createdBy createdAt')
+                .populate('subjectId', 'name')
+                .populate('spaceId', 'name')
+                .populate('createdBy', 'name email'),
+            Material.countDocuments(filter)
+        ]);
+
+        const terms = tokenizeQuery(q);
+        const results = materials.map(material => ({
+            materialId: material._id,
+            score: material.get('score'),
+            subject: material.subjectId,
+            space: material.spaceId,
+            createdBy: material.createdBy,
+            createdAt: material.createdAt,
+            ...buildHighlights(material, terms)
+        }));
+
+        res.json({
+            status: 'success',
+            results,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Search failed' });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,74 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const verifyToken = require('../auth_middleware');
 const Space = require('../models/Space');
-const { generateJoinCode } = require('../utils/helpers');
+const Invite = require('../models/Invite');
+const JoinRequest = require('../models/JoinRequest');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const { saveWithUniqueCode } = require('../utils/helpers');
+const { authorize, can, getRole, outranks, getCapabilities } = require('../utils/policy');
+const { recordActivity, changedFields } = require('../utils/activity');
+const { getPurgeDate } = require('../utils/trash');
+
+// How long a nominated admin has to accept ownership
+const OWNER_TRANSFER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Invite codes are longer than space join codes so the two never collide
+const INVITE_CODE_LENGTH = 10;
+const INVITE_ROLES = ['member', 'editor'];
+const MAX_INVITE_HOURS = 365 * 24;
+
+// Join codes and invite codes share one namespace (both are accepted by /join)
+const isCodeTaken = async (code) => Boolean(
+    (await Space.exists({ joinCode: code }).withDeleted()) || (await Invite.exists({ code }))
+);
+
+// Add a user to a space with the given role
+const addMember = (space, userId, role = 'member') => {
+    space.members.push(userId);
+    if (role === 'editor' && !space.editors.some(editor => editor.toString() === userId.toString())) {
+        space.editors.push(userId);
+    }
+};
+
+// Check whether a user is on the space's ban list
+const isBanned = (space, userId) => (space.bans || []).some(ban => ban.user.toString() === userId.toString());
+
+// Invite details for owners/admins
+const formatInvite = (invite) => ({
+    _id: invite._id,
+    code: invite.code,
+    role: invite.role,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    remainingUses: invite.maxUses ? Math.max(invite.maxUses - invite.uses, 0) : null,
+    lastUsedAt: invite.lastUsedAt,
+    revokedAt: invite.revokedAt,
+    active: invite.isActive()
+});
+
+// Check whether a user is the nominee of a pending ownership transfer
+const isPendingOwner = (space, userId) => Boolean(
+    space.pendingOwnerTransfer &&
+    space.pendingOwnerTransfer.user &&
+    space.pendingOwnerTransfer.user.toString() === userId.toString()
+);
+
+// Drop a user from every role list in the space
+const removeFromSpace = (space, userId) => {
+    const userIdStr = userId.toString();
+    space.members = space.members.filter(member => member.toString() !== userIdStr);
+    space.admins = space.admins.filter(admin => admin.toString() !== userIdStr);
+    space.editors = space.editors.filter(editor => editor.toString() !== userIdStr);
+    if (isPendingOwner(space, userIdStr)) {
+        space.pendingOwnerTransfer = undefined;
+    }
+};
 
 // Create a new space
 router.post('/create', verifyToken, async (req, res) => {
@@ -12,13 +78,25 @@ router.post('/create', verifyToken, async (req, res) => {
         const newSpace = new Space({
             name,
             description,
-            joinCode: generateJoinCode(),
             owner: req.user._id,
             members: [req.user._id],
             admins: [] // Owner has all permissions by default
         });
 
-        await newSpace.save();
+        await saveWithUniqueCode(isCodeTaken, code => {
+            newSpace.joinCode = code;
+            return newSpace.save();
+        });
+
+        await recordActivity({
+            spaceId: newSpace._id,
+            actor: req.user._id,
+            action: 'space.create',
+            targetType: 'space',
+            targetId: newSpace._id,
+            targetName: newSpace.name,
+            summary: `Created space "${newSpace.name}"`
+        });
 
         res.json({ status: 'success', space: newSpace });
     } catch (error) {
@@ -41,53 +119,150 @@ router.get('/my-spaces', verifyToken, async (req, res) => {
 });
 
 // Update space details (owner only)
-router.put('/:spaceId', verifyToken, async (req, res) => {
-    const { spaceId } = req.params;
-    const { name, description } = req.body;
+router.put('/:spaceId', verifyToken, authorize('space.update'), async (req, res) => {
+    const { name, description, requireApproval } = req.body;
 
     try {
-        const space = await Space.findById(spaceId);
+        const space = req.space;
 
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
+        if (requireApproval !== undefined && typeof requireApproval !== 'boolean') {
+            return res.status(400).json({ status: 'error', message: 'requireApproval must be true or false' });
         }
 
-        // Only owner can update
-        if (space.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ status: 'error', message: 'Only owner can update space details' });
-        }
+        const before = { name: space.name, description: space.description, requireApproval: space.requireApproval };
 
         if (name) space.name = name;
         if (description !== undefined) space.description = description;
+        if (requireApproval !== undefined) space.requireApproval = requireApproval;
         
         await space.save();
 
+        const changes = changedFields(before, { name: space.name, description: space.description, requireApproval: space.requireApproval });
+        if (changes) {
+            await recordActivity({
+                spaceId: space._id,
+                actor: req.user._id,
+                action: 'space.update',
+                targetType: 'space',
+                targetId: space._id,
+                targetName: space.name,
+                summary: `Updated space settings (${Object.keys(changes.after).join(', ')})`,
+                ...changes
+            });
+        }
+
         res.json({ status: 'success', space, message: 'Space updated successfully' });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not update space' });
     }
 });
 
-// Join space with code
+// Join space with the space's join code or an invite code
 router.post('/join', verifyToken, async (req, res) => {
-    const { joinCode } = req.body;
+    const joinCode = typeof req.body.joinCode === 'string' ? req.body.joinCode.trim().toUpperCase() : '';
 
     try {
-        const space = await Space.findOne({ joinCode });
+        if (!joinCode) {
+            return res.status(400).json({ status: 'error', message: 'Join code is required' });
+        }
+
+        let space = await Space.findOne({ joinCode });
+        let invite = null;
 
         if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Invalid join code' });
+            invite = await Invite.findOne({ code: joinCode });
+            if (!invite) {
+                return res.status(404).json({ status: 'error', message: 'Invalid join code' });
+            }
+            if (!invite.isActive()) {
+                return res.status(410).json({ status: 'error', message: 'This invite has expired or been revoked' });
+            }
+
+            space = await Space.findById(invite.spaceId);
+            if (!space) {
+                return res.status(404).json({ status: 'error', message: 'Invalid join code' });
+            }
         }
 
         // Check if already a member
-        if (space.members.includes(req.user._id)) {
+        if (space.members.some(member => member.toString() === req.user._id.toString())) {
             return res.status(400).json({ status: 'error', message: 'Already a member of this space' });
         }
 
+        if (isBanned(space, req.user._id)) {
+            return res.status(403).json({ status: 'error', message: 'You are banned from this space' });
+        }
+
+        if (space.requireApproval && await JoinRequest.exists({ spaceId: space._id, user: req.user._id, status: 'pending' })) {
+            return res.status(400).json({ status: 'error', message: 'Your join request is already waiting for approval' });
+        }
+
+        if (invite) {
+            // Claim one use atomically so concurrent joins cannot exceed maxUses
+            const now = new Date();
+            const claimed = await Invite.findOneAndUpdate(
+                {
+                    _id: invite._id,
+                    revokedAt: null,
+                    $and: [
+                        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+                        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+                    ]
+                },
+                { $inc: { uses: 1 }, $set: { lastUsedAt: now } },
+                { new: true }
+            );
+
+            if (!claimed) {
+                return res.status(410).json({ status: 'error', message: 'This invite has expired or been revoked' });
+            }
+        }
+
+        const role = invite ? invite.role : 'member';
+
+        // Spaces that require approval queue the request for owner/admins
+        if (space.requireApproval) {
+            const joinRequest = await JoinRequest.create({
+                spaceId: space._id,
+                user: req.user._id,
+                role,
+                inviteId: invite ? invite._id : undefined,
+                message: typeof req.body.message === 'string' ? req.body.message.trim().substring(0, 500) : undefined
+            });
+
+            await recordActivity({
+                spaceId: space._id,
+                actor: req.user._id,
+                action: 'member.request',
+                targetType: 'joinRequest',
+                targetId: joinRequest._id,
+                summary: 'Asked to join',
+                metadata: { role, inviteId: invite ? invite._id : undefined }
+            });
+
+            return res.status(202).json({
+                status: 'success',
+                pending: true,
+                joinRequest: { _id: joinRequest._id, status: joinRequest.status, createdAt: joinRequest.createdAt },
+                space: { _id: space._id, name: space.name },
+                message: 'Join request sent. An admin needs to approve it.'
+            });
+        }
+
         // Add user to members
-        space.members.push(req.user._id);
+        addMember(space, req.user._id, role);
         await space.save();
 
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'member.join',
+            targetType: 'member',
+            targetId: req.user._id,
+            summary: invite ? `Joined with an invite as ${role}` : 'Joined with the join code',
+            metadata: { role, inviteId: invite ? invite._id : undefined }
+        });
+
         res.json({ status: 'success', space, message: 'Successfully joined space' });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not join space' });
@@ -95,25 +270,12 @@ router.post('/join', verifyToken, async (req, res) => {
 });
 
 // Make user admin (owner or existing admin only)
-router.post('/:spaceId/make-admin', verifyToken, async (req, res) => {
+router.post('/:spaceId/make-admin', verifyToken, authorize('admin.add'), async (req, res) => {
     const { userId, memberId } = req.body;
     const targetUserId = userId || memberId; // Accept both for compatibility
-    const { spaceId } = req.params;
 
     try {
-        const space = await Space.findById(spaceId);
-
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        // Check if requester is owner or admin
-        const isOwner = space.owner.toString() === req.user._id.toString();
-        const isAdmin = space.admins.some(admin => admin.toString() === req.user._id.toString());
-
-        if (!isOwner && !isAdmin) {
-            return res.status(403).json({ status: 'error', message: 'Permission denied' });
-        }
+        const space = req.space;
 
         // Check if target user is a member
         if (!space.members.some(member => member.toString() === targetUserId)) {
@@ -129,6 +291,17 @@ router.post('/:spaceId/make-admin', verifyToken, async (req, res) => {
         space.admins.push(targetUserId);
         await space.save();
 
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'member.role',
+            targetType: 'member',
+            targetId: targetUserId,
+            summary: 'Promoted to admin',
+            before: { admin: false },
+            after: { admin: true }
+        });
+
         res.json({ status: 'success', message: 'User promoted to admin', space });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not make user admin' });
@@ -136,88 +309,89 @@ router.post('/:spaceId/make-admin', verifyToken, async (req, res) => {
 });
 
 // Remove admin (owner only)
-router.post('/:spaceId/remove-admin', verifyToken, async (req, res) => {
+router.post('/:spaceId/remove-admin', verifyToken, authorize('admin.remove'), async (req, res) => {
     const { userId, adminId } = req.body;
     const targetUserId = userId || adminId; // Accept both for compatibility
-    const { spaceId } = req.params;
 
     try {
-        const space = await Space.findById(spaceId);
+        const space = req.space;
 
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        // Only owner can remove admins
-        if (space.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ status: 'error', message: 'Only owner can remove admins' });
-        }
-
-        // Remove from admins
+        // Remove from admins (only admins can be nominated as owner)
         space.admins = space.admins.filter(admin => admin.toString() !== targetUserId);
+        if (isPendingOwner(space, targetUserId)) {
+            space.pendingOwnerTransfer = undefined;
+        }
         await space.save();
 
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'member.role',
+            targetType: 'member',
+            targetId: targetUserId,
+            summary: 'Removed admin role',
+            before: { admin: true },
+            after: { admin: false }
+        });
+
         res.json({ status: 'success', message: 'Admin removed', space });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not remove admin' });
     }
 });
 
-// Delete space (owner only)
-router.delete('/:spaceId', verifyToken, async (req, res) => {
-    const { spaceId } = req.params;
+// Move space to the trash (owner only); it is purged after the retention period
+router.delete('/:spaceId', verifyToken, authorize('space.delete'), async (req, res) => {
+    const space = req.space;
 
     try {
-        const space = await Space.findById(spaceId);
-
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        // Only owner can delete
-        if (space.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ status: 'error', message: 'Only owner can delete space' });
-        }
-
-        // Delete all materials in this space
-        const Material = require('../models/Material');
-        await Material.deleteMany({ spaceId: spaceId });
-
-        // Delete all subjects in this space
-        const Subject = require('../models/Subject');
-        await Subject.deleteMany({ spaceId: spaceId });
+        space.deletedAt = new Date();
+        space.deletedBy = req.user._id;
+        await space.save();
 
-        // Delete the space
-        await Space.findByIdAndDelete(spaceId);
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'space.delete',
+            targetType: 'space',
+            targetId: space._id,
+            targetName: space.name,
+            summary: `Moved space "${space.name}" to the trash`
+        });
 
-        res.json({ status: 'success', message: 'Space deleted successfully' });
+        res.json({
+            status: 'success',
+            message: 'Space moved to trash',
+            purgeAt: getPurgeDate(space)
+        });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not delete space' });
     }
 });
 
 // Leave space
-router.post('/:spaceId/leave', verifyToken, async (req, res) => {
-    const { spaceId } = req.params;
-
+router.post('/:spaceId/leave', verifyToken, authorize('space.leave'), async (req, res) => {
     try {
-        const space = await Space.findById(spaceId);
-
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
+        const space = req.space;
 
         // Owner cannot leave
         if (space.owner.toString() === req.user._id.toString()) {
-            return res.status(400).json({ status: 'error', message: 'Owner cannot leave space. Delete it instead.' });
+            return res.status(400).json({ status: 'error', message: 'Owner cannot leave space. Transfer ownership or delete it instead.' });
         }
 
         // Remove from members, admins, and editors
-        space.members = space.members.filter(member => member.toString() !== req.user._id.toString());
-        space.admins = space.admins.filter(admin => admin.toString() !== req.user._id.toString());
-        space.editors = space.editors.filter(editor => editor.toString() !== req.user._id.toString());
+        removeFromSpace(space, req.user._id);
         await space.save();
 
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'member.leave',
+            targetType: 'member',
+            targetId: req.user._id,
+            summary: 'Left the space'
+        });
+
         res.json({ status: 'success', message: 'Left space successfully' });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not leave space' });
@@ -225,30 +399,18 @@ router.post('/:spaceId/leave', verifyToken, async (req, res) => {
 });
 
 // Get space members with their roles
-router.get('/:spaceId/members', verifyToken, async (req, res) => {
-    const { spaceId } = req.params;
-
+router.get('/:spaceId/members', verifyToken, authorize('member.list'), async (req, res) => {
     try {
-        const space = await Space.findById(spaceId)
-            .populate('members', 'name email picture uid')
-            .populate('owner', 'name email picture uid')
-            .populate('admins', 'name email picture uid')
-            .populate('editors', 'name email picture uid');
-
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        // Check if requester is a member
-        if (!space.members.some(member => member._id.toString() === req.user._id.toString())) {
-            return res.status(403).json({ status: 'error', message: 'Not a member of this space' });
-        }
+        const space = await req.space.populate([
+            { path: 'members', select: 'name email picture uid' },
+            { path: 'owner', select: 'name email picture uid' },
+            { path: 'admins', select: 'name email picture uid' },
+            { path: 'editors', select: 'name email picture uid' }
+        ]);
 
         // Build members list with roles
         const membersWithRoles = space.members.map(member => {
-            const isOwner = space.owner._id.toString() === member._id.toString();
-            const isAdmin = space.admins.some(admin => admin._id.toString() === member._id.toString());
-            const isEditor = space.editors.some(editor => editor._id.toString() === member._id.toString());
+            const role = getRole(space, member._id);
             
             return {
                 _id: member._id,
@@ -256,17 +418,25 @@ router.get('/:spaceId/members', verifyToken, async (req, res) => {
                 email: member.email,
                 picture: member.picture,
                 uid: member.uid,
-                isOwner,
-                isAdmin,
-                isEditor,
-                canEdit: isOwner || isAdmin || isEditor // Owner and admins can always edit
+                role,
+                isOwner: role === 'owner',
+                isAdmin: role === 'admin',
+                isEditor: space.editors.some(editor => editor._id.toString() === member._id.toString()),
+                canEdit: can(space, member._id, 'material.update')
             };
         });
 
+        const pending = space.pendingOwnerTransfer;
+
         res.json({ 
             status: 'success', 
             members: membersWithRoles,
-            currentUserIsOwner: space.owner._id.toString() === req.user._id.toString()
+            currentUserIsOwner: space.owner._id.toString() === req.user._id.toString(),
+            pendingOwnerTransfer: pending && pending.user ? {
+                userId: pending.user,
+                nominatedAt: pending.nominatedAt,
+                expiresAt: pending.expiresAt
+            } : null
         });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not fetch members' });
@@ -274,21 +444,11 @@ router.get('/:spaceId/members', verifyToken, async (req, res) => {
 });
 
 // Toggle editor permission (owner only)
-router.post('/:spaceId/toggle-editor', verifyToken, async (req, res) => {
+router.post('/:spaceId/toggle-editor', verifyToken, authorize('member.setEditor'), async (req, res) => {
     const { userId } = req.body;
-    const { spaceId } = req.params;
 
     try {
-        const space = await Space.findById(spaceId);
-
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        // Only owner can toggle editors
-        if (space.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ status: 'error', message: 'Only owner can manage editor permissions' });
-        }
+        const space = req.space;
 
         // Cannot change owner's permissions
         if (userId === space.owner.toString()) {
@@ -314,6 +474,17 @@ router.post('/:spaceId/toggle-editor', verifyToken, async (req, res) => {
         }
         await space.save();
 
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'member.role',
+            targetType: 'member',
+            targetId: userId,
+            summary: isEditor ? 'Removed editor permission' : 'Granted editor permission',
+            before: { editor: isEditor },
+            after: { editor: !isEditor }
+        });
+
         res.json({ 
             status: 'success', 
             message: isEditor ? 'Editor permission removed' : 'Editor permission granted',
@@ -324,21 +495,18 @@ router.post('/:spaceId/toggle-editor', verifyToken, async (req, res) => {
     }
 });
 
-// Remove member from space (owner only)
-router.post('/:spaceId/remove-member', verifyToken, async (req, res) => {
-    const { userId } = req.body;
-    const { spaceId } = req.params;
+// Remove member from space (owner only); pass ban: true to block rejoining
+router.post('/:spaceId/remove-member', verifyToken, authorize('member.remove'), async (req, res) => {
+    const { userId, ban = false, reason } = req.body;
 
     try {
-        const space = await Space.findById(spaceId);
+        const space = req.space;
 
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
+        if (typeof userId !== 'string' || !userId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid user ID format' });
         }
-
-        // Only owner can remove members
-        if (space.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ status: 'error', message: 'Only owner can remove members' });
+        if (typeof ban !== 'boolean') {
+            return res.status(400).json({ status: 'error', message: 'ban must be true or false' });
         }
 
         // Cannot remove owner
@@ -346,41 +514,608 @@ router.post('/:spaceId/remove-member', verifyToken, async (req, res) => {
             return res.status(400).json({ status: 'error', message: 'Cannot remove owner from space' });
         }
 
+        // Non-members can only be banned pre-emptively
+        if (!ban && !getRole(space, userId)) {
+            return res.status(404).json({ status: 'error', message: 'User is not a member of this space' });
+        }
+
         // Remove from members, admins, and editors
-        space.members = space.members.filter(member => member.toString() !== userId);
-        space.admins = space.admins.filter(admin => admin.toString() !== userId);
-        space.editors = space.editors.filter(editor => editor.toString() !== userId);
+        removeFromSpace(space, userId);
+        if (ban && !isBanned(space, userId)) {
+            space.bans.push({ user: userId, bannedBy: req.user._id, reason });
+        }
         await space.save();
 
-        res.json({ status: 'success', message: 'Member removed successfully' });
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: ban ? 'member.ban' : 'member.remove',
+            targetType: 'member',
+            targetId: userId,
+            summary: ban ? 'Removed and banned from the space' : 'Removed from the space',
+            metadata: reason ? { reason } : undefined
+        });
+
+        if (ban) {
+            // Close any request they had waiting
+            await JoinRequest.updateMany(
+                { spaceId: space._id, user: userId, status: 'pending' },
+                { status: 'rejected', decidedBy: req.user._id, decidedAt: new Date() }
+            );
+        }
+
+        res.json({ status: 'success', message: ban ? 'Member removed and banned' : 'Member removed successfully' });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not remove member' });
     }
 });
 
-// Check if user can edit (owner, admin, or editor)
-router.get('/:spaceId/can-edit', verifyToken, async (req, res) => {
-    const { spaceId } = req.params;
+// List a user's own pending join requests
+router.get('/my-join-requests', verifyToken, async (req, res) => {
+    try {
+        const requests = await JoinRequest.find({ user: req.user._id, status: 'pending' })
+            .sort({ createdAt: -1 })
+            .populate('spaceId', 'name description');
 
+        res.json({ status: 'success', requests });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not fetch join requests' });
+    }
+});
+
+// List pending join requests (owner/admin)
+router.get('/:spaceId/join-requests', verifyToken, authorize('member.approve'), async (req, res) => {
     try {
-        const space = await Space.findById(spaceId);
+        const requests = await JoinRequest.find({ spaceId: req.space._id, status: 'pending' })
+            .sort({ createdAt: 1 })
+            .populate('user', 'name email picture');
 
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
+        res.json({ status: 'success', requests });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not fetch join requests' });
+    }
+});
+
+// Approve or reject a pending join request
+const decideJoinRequest = async (req, res, approve) => {
+    const { requestId } = req.params;
+
+    try {
+        if (!requestId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid request ID format' });
+        }
+
+        const space = req.space;
+        const joinRequest = await JoinRequest.findOne({ _id: requestId, spaceId: space._id, status: 'pending' });
+        if (!joinRequest) {
+            return res.status(404).json({ status: 'error', message: 'Join request not found' });
         }
 
-        const userId = req.user._id.toString();
-        const isOwner = space.owner.toString() === userId;
-        const isAdmin = space.admins.some(admin => admin.toString() === userId);
-        const isEditor = space.editors && space.editors.some(editor => editor.toString() === userId);
-        const canEdit = isOwner || isAdmin || isEditor;
+        if (approve) {
+            if (isBanned(space, joinRequest.user)) {
+                return res.status(400).json({ status: 'error', message: 'This user is banned. Unban them first.' });
+            }
+            if (!space.members.some(member => member.toString() === joinRequest.user.toString())) {
+                addMember(space, joinRequest.user, joinRequest.role);
+                // A ban saved after the space was loaded must still block the approval
+                space.$where = { 'bans.user': { $ne: joinRequest.user } };
+                try {
+                    await space.save();
+                } catch (saveError) {
+                    if (saveError.name === 'DocumentNotFoundError') {
+                        return res.status(400).json({ status: 'error', message: 'This user is banned. Unban them first.' });
+                    }
+                    throw saveError;
+                } finally {
+                    space.$where = undefined;
+                }
+            }
+        }
 
-        res.json({ 
-            status: 'success', 
-            canEdit,
-            isOwner,
-            isAdmin,
-            isEditor
+        joinRequest.status = approve ? 'approved' : 'rejected';
+        joinRequest.decidedBy = req.user._id;
+        joinRequest.decidedAt = new Date();
+        await joinRequest.save();
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: approve ? 'member.approve' : 'member.reject',
+            targetType: 'member',
+            targetId: joinRequest.user,
+            summary: approve ? `Approved join request as ${joinRequest.role}` : 'Rejected join request',
+            metadata: { joinRequestId: joinRequest._id }
+        });
+
+        res.json({
+            status: 'success',
+            joinRequest,
+            message: approve ? 'Join request approved' : 'Join request rejected'
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not update join request' });
+    }
+};
+
+// Approve a join request (owner/admin)
+router.post('/:spaceId/join-requests/:requestId/approve', verifyToken, authorize('member.approve'), (req, res) => decideJoinRequest(req, res, true));
+
+// Reject a join request (owner/admin)
+router.post('/:spaceId/join-requests/:requestId/reject', verifyToken, authorize('member.approve'), (req, res) => decideJoinRequest(req, res, false));
+
+// List banned users (owner/admin)
+router.get('/:spaceId/bans', verifyToken, authorize('member.ban'), async (req, res) => {
+    try {
+        const space = await req.space.populate([
+            { path: 'bans.user', select: 'name email picture' },
+            { path: 'bans.bannedBy', select: 'name email' }
+        ]);
+
+        res.json({ status: 'success', bans: space.bans });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not fetch bans' });
+    }
+});
+
+// Ban a user: removes them if they are a member and blocks rejoining (owner, or admins for members below them)
+router.post('/:spaceId/bans', verifyToken, authorize('member.ban'), async (req, res) => {
+    const { userId, reason } = req.body;
+
+    try {
+        const space = req.space;
+
+        if (typeof userId !== 'string' || !userId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid user ID format' });
+        }
+        if (userId === space.owner.toString() || userId === req.user._id.toString()) {
+            return res.status(400).json({ status: 'error', message: 'You cannot ban yourself or the owner' });
+        }
+        if (space.members.some(member => member.toString() === userId) && !outranks(space, req.user._id, userId)) {
+            return res.status(403).json({ status: 'error', message: 'You cannot ban a member with an equal or higher role' });
+        }
+        if (isBanned(space, userId)) {
+            return res.status(400).json({ status: 'error', message: 'User is already banned' });
+        }
+
+        removeFromSpace(space, userId);
+        space.bans.push({ user: userId, bannedBy: req.user._id, reason });
+        await space.save();
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'member.ban',
+            targetType: 'member',
+            targetId: userId,
+            summary: 'Banned from the space',
+            metadata: reason ? { reason } : undefined
+        });
+
+        // Close any request they had waiting
+        await JoinRequest.updateMany(
+            { spaceId: space._id, user: userId, status: 'pending' },
+            { status: 'rejected', decidedBy: req.user._id, decidedAt: new Date() }
+        );
+
+        res.json({ status: 'success', message: 'User banned' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not ban user' });
+    }
+});
+
+// Lift a ban (owner/admin); the user still needs a code to rejoin
+router.delete('/:spaceId/bans/:userId', verifyToken, authorize('member.ban'), async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const space = req.space;
+
+        if (!isBanned(space, userId)) {
+            return res.status(404).json({ status: 'error', message: 'User is not banned' });
+        }
+
+        space.bans = space.bans.filter(ban => ban.user.toString() !== userId);
+        await space.save();
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'member.unban',
+            targetType: 'member',
+            targetId: userId,
+            summary: 'Ban lifted'
+        });
+
+        res.json({ status: 'success', message: 'Ban lifted' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not lift ban' });
+    }
+});
+
+// Rotate the space's join code; the old code stops working immediately (owner/admin)
+router.post('/:spaceId/join-code/rotate', verifyToken, authorize('invite.manage'), async (req, res) => {
+    try {
+        const space = req.space;
+
+        await saveWithUniqueCode(isCodeTaken, code => {
+            space.joinCode = code;
+            return space.save();
+        });
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'invite.rotate',
+            targetType: 'space',
+            targetId: space._id,
+            targetName: space.name,
+            summary: 'Rotated the join code'
+        });
+
+        res.json({ status: 'success', joinCode: space.joinCode, message: 'Join code rotated' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not rotate join code' });
+    }
+});
+
+// Create an invite code with an optional expiry, use limit and role (owner/admin)
+router.post('/:spaceId/invites', verifyToken, authorize('invite.manage'), async (req, res) => {
+    const { role = 'member', expiresInHours, maxUses } = req.body;
+
+    try {
+        if (!INVITE_ROLES.includes(role)) {
+            return res.status(400).json({ status: 'error', message: `Role must be one of: ${INVITE_ROLES.join(', ')}` });
+        }
+
+        let expiresAt;
+        if (expiresInHours !== undefined && expiresInHours !== null) {
+            const hours = Number(expiresInHours);
+            if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_HOURS) {
+                return res.status(400).json({ status: 'error', message: `Expiry must be between 0 and ${MAX_INVITE_HOURS} hours` });
+            }
+            expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+        }
+
+        let usesLimit;
+        if (maxUses !== undefined && maxUses !== null) {
+            usesLimit = Number(maxUses);
+            if (!Number.isInteger(usesLimit) || usesLimit < 1) {
+                return res.status(400).json({ status: 'error', message: 'Max uses must be a positive integer' });
+            }
+        }
+
+        const invite = new Invite({
+            spaceId: req.space._id,
+            role,
+            createdBy: req.user._id,
+            expiresAt,
+            maxUses: usesLimit
+        });
+        await saveWithUniqueCode(isCodeTaken, code => {
+            invite.code = code;
+            return invite.save();
+        }, INVITE_CODE_LENGTH);
+
+        await recordActivity({
+            spaceId: req.space._id,
+            actor: req.user._id,
+            action: 'invite.create',
+            targetType: 'invite',
+            targetId: invite._id,
+            summary: `Created a ${role} invite`,
+            metadata: { expiresAt, maxUses: usesLimit }
+        });
+
+        res.json({ status: 'success', invite: formatInvite(invite) });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not create invite' });
+    }
+});
+
+// List invites with their usage (active only unless ?includeInactive=true) (owner/admin)
+router.get('/:spaceId/invites', verifyToken, authorize('invite.manage'), async (req, res) => {
+    try {
+        const invites = await Invite.find({ spaceId: req.space._id })
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'name email');
+
+        const visible = req.query.includeInactive === 'true'
+            ? invites
+            : invites.filter(invite => invite.isActive());
+
+        res.json({ status: 'success', invites: visible.map(formatInvite) });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not fetch invites' });
+    }
+});
+
+// Revoke an invite (owner/admin)
+router.delete('/:spaceId/invites/:inviteId', verifyToken, authorize('invite.manage'), async (req, res) => {
+    const { inviteId } = req.params;
+
+    try {
+        if (!inviteId.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid invite ID format' });
+        }
+
+        const invite = await Invite.findOne({ _id: inviteId, spaceId: req.space._id });
+        if (!invite) {
+            return res.status(404).json({ status: 'error', message: 'Invite not found' });
+        }
+
+        if (!invite.revokedAt) {
+            invite.revokedAt = new Date();
+            invite.revokedBy = req.user._id;
+            await invite.save();
+
+            await recordActivity({
+                spaceId: req.space._id,
+                actor: req.user._id,
+                action: 'invite.revoke',
+                targetType: 'invite',
+                targetId: invite._id,
+                summary: `Revoked a ${invite.role} invite`,
+                metadata: { uses: invite.uses }
+            });
+        }
+
+        res.json({ status: 'success', invite: formatInvite(invite), message: 'Invite revoked' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not revoke invite' });
+    }
+});
+
+// Nominate an admin as the next owner (owner only); the nominee has to accept
+router.post('/:spaceId/transfer-ownership', verifyToken, authorize('space.transfer'), async (req, res) => {
+    const { userId } = req.body;
+
+    try {
+        const space = req.space;
+
+        if (!userId || userId === space.owner.toString()) {
+            return res.status(400).json({ status: 'error', message: 'Choose another member to become owner' });
+        }
+
+        if (!space.members.some(member => member.toString() === userId)) {
+            return res.status(400).json({ status: 'error', message: 'User is not a member of this space' });
+        }
+
+        if (!space.admins.some(admin => admin.toString() === userId)) {
+            return res.status(400).json({ status: 'error', message: 'Only admins can become owner. Make them an admin first.' });
+        }
+
+        const now = new Date();
+        space.pendingOwnerTransfer = {
+            user: userId,
+            nominatedAt: now,
+            expiresAt: new Date(now.getTime() + OWNER_TRANSFER_TTL_MS)
+        };
+        await space.save();
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'owner.nominate',
+            targetType: 'member',
+            targetId: userId,
+            summary: 'Nominated as the next owner'
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Ownership transfer requested. The new owner must accept it.',
+            pendingOwnerTransfer: space.pendingOwnerTransfer
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not request ownership transfer' });
+    }
+});
+
+// Accept a pending ownership transfer (nominee only); the old owner stays on as an admin
+router.post('/:spaceId/transfer-ownership/accept', verifyToken, authorize('space.read'), async (req, res) => {
+    try {
+        const space = req.space;
+
+        if (!isPendingOwner(space, req.user._id)) {
+            return res.status(404).json({ status: 'error', message: 'No ownership transfer is pending for you' });
+        }
+
+        if (space.pendingOwnerTransfer.expiresAt < new Date()) {
+            space.pendingOwnerTransfer = undefined;
+            await space.save();
+            return res.status(410).json({ status: 'error', message: 'This ownership transfer has expired' });
+        }
+
+        const oldOwnerId = space.owner;
+        const newOwnerId = new mongoose.Types.ObjectId(req.user._id.toString());
+
+        // Swap roles in one atomic update; it only matches while the nomination is still valid
+        const updated = await Space.findOneAndUpdate(
+            {
+                _id: space._id,
+                owner: oldOwnerId,
+                'pendingOwnerTransfer.user': newOwnerId,
+                admins: newOwnerId,
+                members: { $all: [newOwnerId, oldOwnerId] }
+            },
+            [
+                {
+                    $set: {
+                        owner: newOwnerId,
+                        admins: {
+                            $concatArrays: [
+                                { $filter: { input: '$admins', cond: { $ne: ['$$this', newOwnerId] } } },
+                                [oldOwnerId]
+                            ]
+                        }
+                    }
+                },
+                { $unset: 'pendingOwnerTransfer' }
+            ],
+            { new: true, updatePipeline: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({ status: 'error', message: 'The space changed before the transfer could complete. Ask the owner to nominate you again.' });
+        }
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'owner.transfer',
+            targetType: 'member',
+            targetId: req.user._id,
+            summary: 'Accepted ownership; the previous owner is now an admin',
+            before: { owner: oldOwnerId },
+            after: { owner: newOwnerId }
+        });
+
+        res.json({ status: 'success', message: 'You are now the owner of this space', space: updated });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not accept ownership transfer' });
+    }
+});
+
+// Cancel a pending ownership transfer (owner) or decline it (nominee)
+router.delete('/:spaceId/transfer-ownership', verifyToken, authorize('space.read'), async (req, res) => {
+    try {
+        const space = req.space;
+        const isOwner = space.owner.toString() === req.user._id.toString();
+
+        if (!space.pendingOwnerTransfer || !space.pendingOwnerTransfer.user) {
+            return res.status(404).json({ status: 'error', message: 'No ownership transfer is pending' });
+        }
+
+        if (!isOwner && !isPendingOwner(space, req.user._id)) {
+            return res.status(403).json({ status: 'error', message: 'Only the owner or the nominee can cancel this transfer' });
+        }
+
+        const nomineeId = space.pendingOwnerTransfer.user;
+        space.pendingOwnerTransfer = undefined;
+        await space.save();
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: isOwner ? 'owner.cancel' : 'owner.decline',
+            targetType: 'member',
+            targetId: nomineeId,
+            summary: isOwner ? 'Cancelled the ownership transfer' : 'Declined the ownership transfer'
+        });
+
+        res.json({ status: 'success', message: isOwner ? 'Ownership transfer cancelled' : 'Ownership transfer declined' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not cancel ownership transfer' });
+    }
+});
+
+// Activity feed, newest first (members). Owner/admins can filter by actor, action
+// (full name like 'subject.delete' or a category like 'member'), targetType, from and to.
+router.get('/:spaceId/activity', verifyToken, authorize('activity.read'), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const { actor, action, targetType, from, to } = req.query;
+
+    try {
+        const canFilter = can(req.space, req.user._id, 'activity.filter');
+        if ((actor || action || targetType || from || to) && !canFilter) {
+            return res.status(403).json({ status: 'error', message: 'Only owner or admins can filter activity' });
+        }
+
+        const filter = { spaceId: req.space._id };
+
+        if (actor) {
+            if (!actor.match(/^[0-9a-fA-F]{24}$/)) {
+                return res.status(400).json({ status: 'error', message: 'Invalid actor ID format' });
+            }
+            filter.actor = actor;
+        }
+        if (action) {
+            filter.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^a-zA-Z]/g, '')}\\.` };
+        }
+        if (targetType) {
+            filter.targetType = targetType;
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+            if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+                return res.status(400).json({ status: 'error', message: 'Invalid date filter' });
+            }
+        }
+
+        const [entries, total] = await Promise.all([
+            ActivityLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('actor', 'name email picture'),
+            ActivityLog.countDocuments(filter)
+        ]);
+
+        // Resolve member targets to names (they may have left the space since)
+        const memberIds = entries.filter(entry => entry.targetType === 'member').map(entry => entry.targetId);
+        const users = memberIds.length > 0
+            ? await User.find({ _id: { $in: memberIds } }).select('name email picture')
+            : [];
+        const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+        const activity = entries.map(entry => ({
+            _id: entry._id,
+            actor: entry.actor,
+            action: entry.action,
+            targetType: entry.targetType,
+            targetId: entry.targetId,
+            targetName: entry.targetName,
+            target: entry.targetType === 'member' && entry.targetId ? usersById.get(entry.targetId.toString()) || null : undefined,
+            summary: entry.summary,
+            before: entry.before,
+            after: entry.after,
+            // Details like ban reasons are for owner/admins
+            metadata: canFilter ? entry.metadata : undefined,
+            createdAt: entry.createdAt
+        }));
+
+        res.json({
+            status: 'success',
+            activity,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not fetch activity' });
+    }
+});
+
+// Get everything the current user may do in this space
+router.get('/:spaceId/capabilities', verifyToken, authorize('space.read'), async (req, res) => {
+    try {
+        const { role, capabilities } = getCapabilities(req.space, req.user._id);
+
+        res.json({ status: 'success', role, capabilities });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not check permissions' });
+    }
+});
+
+// Check if user can edit (members; legacy - use /capabilities)
+router.get('/:spaceId/can-edit', verifyToken, authorize('space.read'), async (req, res) => {
+    try {
+        const { role, capabilities } = getCapabilities(req.space, req.user._id);
+
+        res.json({
+            status: 'success',
+            canEdit: capabilities['material.update'],
+            isOwner: role === 'owner',
+            isAdmin: role === 'admin',
+            isEditor: role === 'editor',
+            role,
+            capabilities
         });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Could not check permissions' });
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../auth_middleware');
+const Subject = require('../models/Subject');
+const Material = require('../models/Material');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+const ReviewState = require('../models/ReviewState');
+const QuizAttempt = require('../models/QuizAttempt');
+const GenerationJob = require('../models/GenerationJob');
+const { ITEM_TYPES, MAX_ITEMS_PER_TYPE, validateStudyItem, normalizeStudyItem } = require('../utils/studyItems');
+const { STUDY_STAGES, enqueueGenerationJob } = require('../utils/materialPipeline');
+const { authorize, loadFrom, loadFirstOf, can } = require('../utils/policy');
+const { recordActivity } = require('../utils/activity');
+
+// Queue generation of a study set from one material or every material in a subject (owner/admin/editor only)
+router.post('/generate', verifyToken, authorize('study.generate', loadFirstOf(['materialId', 'subjectId'], 'body')), async (req, res) => {
+    const { materialId, types = ITEM_TYPES, count = 5, title } = req.body;
+
+    try {
+        if (!Array.isArray(types) || types.length === 0 || !types.every(type => ITEM_TYPES.includes(type))) {
+            return res.status(400).json({ status: 'error', message: `Types must be a non-empty array of: ${ITEM_TYPES.join(', ')}` });
+        }
+
+        // count is either one number for every type or a per-type object
+        const perType = count !== null && typeof count === 'object' && !Array.isArray(count);
+        const counts = {};
+        for (const type of new Set(types)) {
+            const requested = perType ? count[type] : count;
+            const value = parseInt(requested, 10);
+            if (!Number.isInteger(value) || value < 1 || value > MAX_ITEMS_PER_TYPE) {
+                return res.status(400).json({ status: 'error', message: `Count for ${type} must be between 1 and ${MAX_ITEMS_PER_TYPE}` });
+            }
+            counts[type] = value;
+        }
+
+        const subject = req.material ? await Subject.findById(req.material.subjectId) : req.subject;
+        if (!subject) {
+            return res.status(404).json({ status: 'error', message: 'Subject not found' });
+        }
+
+        const materials = req.material ? [req.material] : await Material.find({ subjectId: subject._id }).sort({ createdAt: 1 });
+        if (materials.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'This subject has no materials yet' });
+        }
+
+        const job = new GenerationJob({
+            createdBy: req.user._id,
+            subjectId: subject._id,
+            spaceId: subject.spaceId,
+            kind: 'study',
+            study: {
+                materialIds: materials.map(material => material._id),
+                counts,
+                title: title && title.trim() ? title.trim() : (materialId ? materials[0].title : subject.name)
+            },
+            stage: STUDY_STAGES[0]
+        });
+
+        await job.save();
+        enqueueGenerationJob(job._id);
+
+        res.status(202).json({
+            status: 'success',
+            job: {
+                id: job._id,
+                status: job.status,
+                stage: job.stage,
+                progress: job.progress
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to queue study set generation' });
+    }
+});
+
+// List study sets in a space, subject or for a material
+router.get('/sets', verifyToken, authorize('study.read', loadFirstOf(['materialId', 'subjectId', 'spaceId'])), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.material) {
+            filter.materialIds = req.material._id;
+        } else if (req.subject) {
+            filter.subjectId = req.subject._id;
+        } else {
+            filter.spaceId = req.space._id;
+        }
+
+        const sets = await StudySet.find(filter)
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'name email');
+
+        res.json({ status: 'success', sets });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch study sets' });
+    }
+});
+
+// Get a study set with its items; quiz answers are only included for users who can edit the set
+router.get('/sets/:setId', verifyToken, authorize('study.read', loadFrom('setId')), async (req, res) => {
+    try {
+        // Checked before populate replaces createdBy
+        const canEdit = can(req.space, req.user._id, 'study.update', req.studySet);
+        const studySet = await req.studySet.populate('createdBy', 'name email');
+        const query = StudyItem.find({ setId: studySet._id }).sort({ type: 1, createdAt: 1 });
+        if (!canEdit) {
+            // Revealed in the result of a quiz attempt instead
+            query.select('-correctIndex -answer -explanation');
+        }
+        const items = await query;
+
+        res.json({ status: 'success', set: studySet, items });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to fetch study set' });
+    }
+});
+
+// Rename a study set (creator or owner/admin/editor)
+router.put('/sets/:setId', verifyToken, authorize('study.update', loadFrom('setId')), async (req, res) => {
+    const { title } = req.body;
+    const studySet = req.studySet;
+
+    try {
+        if (!title || !title.trim()) {
+            return res.status(400).json({ status: 'error', message: 'Title is required' });
+        }
+
+        studySet.title = title.trim();
+        studySet.updatedAt = new Date();
+        await studySet.save();
+
+        res.json({ status: 'success', set: studySet, message: 'Study set renamed successfully' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to update study set' });
+    }
+});
+
+// Delete a study set and its items (creator or owner/admin/editor)
+router.delete('/sets/:setId', verifyToken, authorize('study.delete', loadFrom('setId')), async (req, res) => {
+    const studySet = req.studySet;
+
+    try {
+        // Includes items trashed with one of the set's materials
+        const itemIds = await StudyItem.find({ setId: studySet._id }).withDeleted().distinct('_id');
+        await ReviewState.deleteMany({ itemId: { $in: itemIds } });
+        await QuizAttempt.deleteMany({ setId: studySet._id });
+        await StudyItem.deleteMany({ setId: studySet._id });
+        await StudySet.findByIdAndDelete(studySet._id);
+
+        await recordActivity({
+            spaceId: studySet.spaceId,
+            actor: req.user._id,
+            action: 'study.delete',
+            targetType: 'studySet',
+            targetId: studySet._id,
+            targetName: studySet.title,
+            summary: `Deleted study set "${studySet.title}"`,
+            metadata: { itemCount: itemIds.length }
+        });
+
+        res.json({ status: 'success', message: 'Study set deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to delete study set' });
+    }
+});
+
+// Edit a study item (creator or owner/admin/editor); the result must still pass validation
+router.put('/items/:itemId', verifyToken, authorize('study.update', loadFrom('itemId')), async (req, res) => {
+    const item = req.studyItem;
+
+    try {
+        const fields = ['question', 'options', 'correctIndex', 'answer', 'explanation', 'front', 'back'];
+        const updated = {};
+        for (const field of fields) {
+            updated[field] = req.body[field] !== undefined ? req.body[field] : item[field];
+        }
+        if (Array.isArray(updated.options)) {
+            updated.options = [...updated.options];
+        }
+
+        const errors = validateStudyItem(updated, item.type);
+        if (errors.length > 0) {
+            return res.status(400).json({ status: 'error', message: 'Invalid study item', errors });
+        }
+
+        Object.assign(item, normalizeStudyItem(updated, item.type));
+        item.updatedBy = req.user._id;
+        item.updatedAt = new Date();
+        await item.save();
+
+        res.json({ status: 'success', item, message: 'Study item updated successfully' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to update study item' });
+    }
+});
+
+// Delete a study item (creator or owner/admin/editor)
+router.delete('/items/:itemId', verifyToken, authorize('study.delete', loadFrom('itemId')), async (req, res) => {
+    const item = req.studyItem;
+
+    try {
+        await ReviewState.deleteMany({ itemId: item._id });
+        await StudyItem.findByIdAndDelete(item._id);
+
+        res.json({ status: 'success', message: 'Study item deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Failed to delete study item' });
+    }
+});
+
+module.exports = router;
@@ -2,44 +2,37 @@ const express = require('express');
 const router = express.Router();
 const verifyToken = require('../auth_middleware');
 const Subject = require('../models/Subject');
-const Space = require('../models/Space');
-const Material = require('../models/Material');
-
-// Helper function to check if user can edit
-const canUserEdit = (space, userId) => {
-    const userIdStr = userId.toString();
-    const isOwner = space.owner.toString() === userIdStr;
-    const isAdmin = space.admins.some(admin => admin.toString() === userIdStr);
-    const isEditor = space.editors && space.editors.some(editor => editor.toString() === userIdStr);
-    return isOwner || isAdmin || isEditor;
-};
+const { authorize, loadFrom } = require('../utils/policy');
+const { recordActivity } = require('../utils/activity');
+const { trashSubject, getPurgeDate } = require('../utils/trash');
 
 // Create a Subject
-router.post('/create', verifyToken, async (req, res) => {
+router.post('/create', verifyToken, authorize('subject.create', loadFrom('spaceId', 'body')), async (req, res) => {
     const { spaceId, name } = req.body;
     try {
-        // Check if user has edit permission
-        const space = await Space.findById(spaceId);
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        if (!canUserEdit(space, req.user._id)) {
-            return res.status(403).json({ status: 'error', message: 'You do not have permission to create subjects in this space' });
-        }
-
         const newSubject = new Subject({ spaceId, name });
         await newSubject.save();
+
+        await recordActivity({
+            spaceId: newSubject.spaceId,
+            actor: req.user._id,
+            action: 'subject.create',
+            targetType: 'subject',
+            targetId: newSubject._id,
+            targetName: newSubject.name,
+            summary: `Created subject "${newSubject.name}"`
+        });
+
         res.json({ status: 'success', subject: newSubject });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Failed to create subject' });
     }
 });
 
-// Get Subjects for a specific Space
-router.get('/:spaceId', verifyToken, async (req, res) => {
+// Get Subjects for a specific Space (members only)
+router.get('/:spaceId', verifyToken, authorize('subject.read'), async (req, res) => {
     try {
-        const subjects = await Subject.find({ spaceId: req.params.spaceId });
+        const subjects = await Subject.find({ spaceId: req.space._id });
         res.json({ status: 'success', subjects });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Failed to fetch subjects' });
@@ -47,60 +40,59 @@ router.get('/:spaceId', verifyToken, async (req, res) => {
 });
 
 // Update Subject name (owner/admin/editor only)
-router.put('/:subjectId', verifyToken, async (req, res) => {
-    const { subjectId } = req.params;
+router.put('/:subjectId', verifyToken, authorize('subject.update', loadFrom('subjectId')), async (req, res) => {
     const { name } = req.body;
 
     try {
-        const subject = await Subject.findById(subjectId);
-        if (!subject) {
-            return res.status(404).json({ status: 'error', message: 'Subject not found' });
-        }
-
-        const space = await Space.findById(subject.spaceId);
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        if (!canUserEdit(space, req.user._id)) {
-            return res.status(403).json({ status: 'error', message: 'You do not have permission to update this subject' });
-        }
+        const subject = req.subject;
+        const previousName = subject.name;
 
         subject.name = name;
         await subject.save();
 
+        if (previousName !== subject.name) {
+            await recordActivity({
+                spaceId: subject.spaceId,
+                actor: req.user._id,
+                action: 'subject.update',
+                targetType: 'subject',
+                targetId: subject._id,
+                targetName: subject.name,
+                summary: `Renamed subject "${previousName}" to "${subject.name}"`,
+                before: { name: previousName },
+                after: { name: subject.name }
+            });
+        }
+
         res.json({ status: 'success', subject, message: 'Subject renamed successfully' });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Failed to update subject' });
     }
 });
 
-// Delete a Subject (owner/admin/editor only)
-router.delete('/:subjectId', verifyToken, async (req, res) => {
-    const { subjectId } = req.params;
+// Move a Subject and its materials to the trash (owner/admin/editor only)
+router.delete('/:subjectId', verifyToken, authorize('subject.delete', loadFrom('subjectId')), async (req, res) => {
+    const subject = req.subject;
 
     try {
-        const subject = await Subject.findById(subjectId);
-        if (!subject) {
-            return res.status(404).json({ status: 'error', message: 'Subject not found' });
-        }
-
-        const space = await Space.findById(subject.spaceId);
-        if (!space) {
-            return res.status(404).json({ status: 'error', message: 'Space not found' });
-        }
-
-        if (!canUserEdit(space, req.user._id)) {
-            return res.status(403).json({ status: 'error', message: 'You do not have permission to delete this subject' });
-        }
-
-        // Delete all materials in this subject
-        await Material.deleteMany({ subjectId: subjectId });
-        
-        // Delete the subject
-        await Subject.findByIdAndDelete(subjectId);
-
-        res.json({ status: 'success', message: 'Subject and its materials deleted successfully' });
+        const materialCount = await trashSubject(subject, req.user._id);
+
+        await recordActivity({
+            spaceId: subject.spaceId,
+            actor: req.user._id,
+            action: 'subject.delete',
+            targetType: 'subject',
+            targetId: subject._id,
+            targetName: subject.name,
+            summary: `Moved subject "${subject.name}" to the trash`,
+            metadata: { materialCount }
+        });
+
+        res.json({
+            status: 'success',
+            message: 'Subject and its materials moved to trash',
+            purgeAt: getPurgeDate(subject)
+        });
     } catch (error) {
         res.status(500).json({ status: 'error', message: 'Failed to delete subject' });
     }
@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../auth_middleware');
+const Space = require('../models/Space');
+const Subject = require('../models/Subject');
+const Material = require('../models/Material');
+const { authorize, loadFrom, PolicyError } = require('../utils/policy');
+const { recordActivity } = require('../utils/activity');
+const { getRetentionDays, getPurgeDate, restoreSubject, restoreMaterial } = require('../utils/trash');
+
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+// Resolver for a document in the trash (the policy loaders only see live documents)
+const loadTrashed = (model, label, key, attachAs) => async (req) => {
+    const id = req.params[key];
+    if (!isValidId(id)) {
+        throw new PolicyError(400, `Invalid ${label.toLowerCase()} ID format`);
+    }
+
+    const resource = await model.findOne({ _id: id, deletedAt: { $ne: null } });
+    if (!resource) {
+        throw new PolicyError(404, `${label} not found in trash`);
+    }
+
+    const space = await Space.findById(resource.spaceId);
+    if (!space) {
+        throw new PolicyError(404, 'Space not found');
+    }
+
+    req[attachAs] = resource;
+    return { space, resource };
+};
+
+// Trashed item with when it will be purged
+const formatTrashed = (doc, extra = {}) => ({
+    _id: doc._id,
+    name: doc.name,
+    title: doc.title,
+    subjectId: doc.subjectId,
+    deletedAt: doc.deletedAt,
+    deletedBy: doc.deletedBy,
+    purgeAt: getPurgeDate(doc),
+    ...extra
+});
+
+// Spaces the current user owns that are in the trash
+router.get('/spaces', verifyToken, async (req, res) => {
+    try {
+        const spaces = await Space.find({ owner: req.user._id, deletedAt: { $ne: null } })
+            .sort({ deletedAt: -1 })
+            .select('name description deletedAt deletedBy');
+
+        res.json({
+            status: 'success',
+            retentionDays: getRetentionDays(),
+            spaces: spaces.map(space => formatTrashed(space, { description: space.description }))
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not fetch trashed spaces' });
+    }
+});
+
+// Restore a trashed space with everything in it (owner only)
+router.post('/spaces/:spaceId/restore', verifyToken, async (req, res) => {
+    const { spaceId } = req.params;
+
+    try {
+        if (!isValidId(spaceId)) {
+            return res.status(400).json({ status: 'error', message: 'Invalid space ID format' });
+        }
+
+        const space = await Space.findOne({ _id: spaceId, deletedAt: { $ne: null } });
+        if (!space) {
+            return res.status(404).json({ status: 'error', message: 'Space not found in trash' });
+        }
+        if (space.owner.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ status: 'error', message: 'Only owner can restore space' });
+        }
+
+        space.deletedAt = null;
+        space.deletedBy = undefined;
+        await space.save();
+
+        await recordActivity({
+            spaceId: space._id,
+            actor: req.user._id,
+            action: 'trash.restore',
+            targetType: 'space',
+            targetId: space._id,
+            targetName: space.name,
+            summary: `Restored space "${space.name}" from the trash`
+        });
+
+        res.json({ status: 'success', message: 'Space restored', space });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not restore space' });
+    }
+});
+
+// List a space's trashed subjects and materials (owner/admin/editor only)
+router.get('/', verifyToken, authorize('trash.manage', loadFrom('spaceId', 'query')), async (req, res) => {
+    const spaceId = req.space._id;
+
+    try {
+        const [subjects, materials] = await Promise.all([
+            Subject.find({ spaceId, deletedAt: { $ne: null } })
+                .sort({ deletedAt: -1 })
+                .populate('deletedBy', 'name email'),
+            Material.find({ spaceId, deletedAt: { $ne: null } })
+                .sort({ deletedAt: -1 })
+                .select('title subjectId deletedAt deletedBy deletedWith')
+                .populate('deletedBy', 'name email')
+        ]);
+
+        // Materials trashed along with a subject are listed under it
+        const countsBySubject = new Map();
+        for (const material of materials) {
+            if (material.deletedWith) {
+                const key = material.deletedWith.toString();
+                countsBySubject.set(key, (countsBySubject.get(key) || 0) + 1);
+            }
+        }
+
+        res.json({
+            status: 'success',
+            retentionDays: getRetentionDays(),
+            subjects: subjects.map(subject => formatTrashed(subject, {
+                materialCount: countsBySubject.get(subject._id.toString()) || 0
+            })),
+            materials: materials
+                .filter(material => !material.deletedWith)
+                .map(material => formatTrashed(material))
+        });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not fetch trash' });
+    }
+});
+
+// Restore a subject together with the materials trashed with it (owner/admin/editor only)
+router.post('/subjects/:subjectId/restore', verifyToken, authorize('trash.manage', loadTrashed(Subject, 'Subject', 'subjectId', 'subject')), async (req, res) => {
+    const subject = req.subject;
+
+    try {
+        const materialCount = await restoreSubject(subject);
+
+        await recordActivity({
+            spaceId: subject.spaceId,
+            actor: req.user._id,
+            action: 'trash.restore',
+            targetType: 'subject',
+            targetId: subject._id,
+            targetName: subject.name,
+            summary: `Restored subject "${subject.name}" from the trash`,
+            metadata: { materialCount }
+        });
+
+        res.json({ status: 'success', message: 'Subject restored', subject, materialCount });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not restore subject' });
+    }
+});
+
+// Restore a single material (owner/admin/editor only); its subject must not be in the trash
+router.post('/materials/:materialId/restore', verifyToken, authorize('trash.manage', loadTrashed(Material, 'Material', 'materialId', 'material')), async (req, res) => {
+    const material = req.material;
+
+    try {
+        const subject = await Subject.findOne({ _id: material.subjectId }).withDeleted();
+        if (!subject) {
+            return res.status(404).json({ status: 'error', message: 'Subject not found' });
+        }
+        if (subject.deletedAt) {
+            return res.status(409).json({ status: 'error', message: `Restore the subject "${subject.name}" first` });
+        }
+
+        await restoreMaterial(material);
+
+        await recordActivity({
+            spaceId: material.spaceId,
+            actor: req.user._id,
+            action: 'trash.restore',
+            targetType: 'material',
+            targetId: material._id,
+            targetName: material.title,
+            summary: `Restored material "${material.title}" from the trash`
+        });
+
+        res.json({ status: 'success', message: 'Material restored', material });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: 'Could not restore material' });
+    }
+});
+
+module.exports = router;
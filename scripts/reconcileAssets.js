@@ -0,0 +1,67 @@
+/**
+ * Rebuild asset references from materials and list (or purge) stored files no material uses.
+ * Scans the configured storage driver unless --storage is given.
+ *
+ * Usage:
+ *   npm run assets:reconcile                      # list orphans
+ *   npm run assets:reconcile -- --purge           # destroy them
+ *   npm run assets:reconcile -- --min-age-hours=48
+ *   npm run assets:reconcile -- --storage=cloudinary
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { findOrphanedAssets } = require('../utils/assets');
+const { getStorage } = require('../utils/storage');
+const { forgetCachedDiagrams } = require('../utils/kroki');
+
+const parseArgs = (argv) => {
+    const args = { purge: false, minAgeHours: 24 };
+    for (const arg of argv) {
+        if (arg === '--purge') {
+            args.purge = true;
+        } else if (arg.startsWith('--min-age-hours=')) {
+            const hours = Number(arg.split('=')[1]);
+            if (!Number.isFinite(hours) || hours < 0) {
+                throw new Error('--min-age-hours must be a non-negative number');
+            }
+            args.minAgeHours = hours;
+        } else if (arg.startsWith('--storage=')) {
+            args.storage = arg.split('=')[1];
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return args;
+};
+
+async function main() {
+    const { purge, minAgeHours, storage } = parseArgs(process.argv.slice(2));
+    const driver = getStorage(storage);
+
+    await connectDB();
+    const orphans = await findOrphanedAssets({ storage: driver.name, minAgeHours });
+    const totalBytes = orphans.reduce((sum, orphan) => sum + (orphan.bytes || 0), 0);
+
+    for (const orphan of orphans) {
+        console.log(`${orphan.publicId}\t${orphan.createdAt.toISOString()}\t${orphan.bytes} bytes`);
+    }
+    console.log(`${orphans.length} orphaned asset(s) in ${driver.name}, ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
+
+    if (purge && orphans.length > 0) {
+        const publicIds = orphans.map(orphan => orphan.publicId);
+        await forgetCachedDiagrams(driver.name, publicIds);
+        const deleted = await driver.delete(publicIds);
+        console.log(`Deleted ${deleted.length} asset(s)`);
+    } else if (orphans.length > 0) {
+        console.log('Run with --purge to delete them');
+    }
+}
+
+main()
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
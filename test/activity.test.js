@@ -0,0 +1,119 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const ActivityLog = require('../models/ActivityLog');
+
+helpers.describeWithDatabase('activity log', () => {
+    let owner;
+    let admin;
+    let member;
+    let fixture;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        admin = await helpers.createUser('admin');
+        member = await helpers.createUser('member');
+        fixture = await helpers.createSpaceFixture(owner, { admins: [admin], members: [member] });
+    });
+
+    // count entries a minute apart, oldest first; even ones by the owner, odd ones by the admin
+    const seed = (count) => ActivityLog.insertMany(Array.from({ length: count }, (_, i) => ({
+        spaceId: fixture.space._id,
+        actor: i % 2 === 0 ? owner._id : admin._id,
+        action: i % 2 === 0 ? 'subject.update' : 'member.ban',
+        targetType: i % 2 === 0 ? 'subject' : 'member',
+        targetId: i % 2 === 0 ? fixture.subject._id : member._id,
+        summary: `Entry ${i}`,
+        metadata: { reason: `Reason ${i}` },
+        createdAt: new Date(Date.UTC(2026, 0, 1, 12, i))
+    })));
+
+    const feed = (user, query = {}) => request(app)
+        .get(`/api/spaces/${fixture.space._id}/activity`)
+        .set('Authorization', helpers.authHeader(user))
+        .query(query);
+
+    it('pages through the feed newest first', async () => {
+        await seed(25);
+
+        const first = await feed(member, { limit: 10 });
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body.pagination, { page: 1, limit: 10, total: 25, pages: 3 });
+        assert.deepEqual(first.body.activity.map(entry => entry.summary), Array.from({ length: 10 }, (_, i) => `Entry ${24 - i}`));
+
+        const last = await feed(member, { limit: 10, page: 3 });
+        assert.deepEqual(last.body.activity.map(entry => entry.summary), ['Entry 4', 'Entry 3', 'Entry 2', 'Entry 1', 'Entry 0']);
+
+        const beyond = await feed(member, { limit: 10, page: 4 });
+        assert.deepEqual(beyond.body.activity, []);
+
+        const capped = await feed(member, { limit: 500 });
+        assert.equal(capped.body.pagination.limit, 50);
+        assert.equal(capped.body.activity.length, 25);
+    });
+
+    it('does not let members filter or see entry details', async () => {
+        await seed(4);
+
+        for (const query of [
+            { actor: owner._id.toString() },
+            { action: 'member' },
+            { targetType: 'subject' },
+            { from: '2026-01-01T12:02:00Z' },
+            { to: '2026-01-01T12:02:00Z' }
+        ]) {
+            const response = await feed(member, query);
+            assert.equal(response.status, 403, JSON.stringify(query));
+            assert.equal(response.body.message, 'Only owner or admins can filter activity');
+        }
+
+        const unfiltered = await feed(member);
+        assert.ok(unfiltered.body.activity.every(entry => entry.metadata === undefined));
+        assert.equal(unfiltered.body.activity[0].target.name, 'member');
+    });
+
+    it('lets admins filter by actor, action category and date', async () => {
+        await seed(6);
+
+        const byActor = await feed(admin, { actor: admin._id.toString() });
+        assert.equal(byActor.status, 200);
+        assert.deepEqual(byActor.body.activity.map(entry => entry.summary), ['Entry 5', 'Entry 3', 'Entry 1']);
+        assert.deepEqual(byActor.body.activity[0].metadata, { reason: 'Reason 5' });
+
+        const byCategory = await feed(owner, { action: 'subject' });
+        assert.equal(byCategory.body.pagination.total, 3);
+
+        const byDate = await feed(owner, { from: '2026-01-01T12:02:00Z', to: '2026-01-01T12:03:00Z' });
+        assert.deepEqual(byDate.body.activity.map(entry => entry.summary), ['Entry 3', 'Entry 2']);
+
+        const badActor = await feed(owner, { actor: 'someone' });
+        assert.equal(badActor.status, 400);
+
+        const badDate = await feed(owner, { from: 'yesterday' });
+        assert.equal(badDate.status, 400);
+    });
+
+    it('keeps the feed to members of the space', async () => {
+        const stranger = await helpers.createUser('stranger');
+        await seed(1);
+
+        const response = await feed(stranger);
+        assert.equal(response.status, 403);
+        assert.equal(response.body.message, 'Not a member of this space');
+    });
+
+    it('refuses to change a recorded entry', async () => {
+        const [entry] = await seed(1);
+
+        await assert.rejects(ActivityLog.updateOne({ _id: entry._id }, { summary: 'Rewritten' }), /append-only/);
+        entry.summary = 'Rewritten';
+        await assert.rejects(entry.save(), /append-only/);
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+require('./helpers');
+const { MOCK_RESPONSES, createOpenAICompatibleProvider, generateText } = require('../utils/ai');
+const { generateStudyItems, parseStudyItems } = require('../utils/studyItems');
+
+describe('mock provider', () => {
+    it('returns study items that pass validation in the requested counts', async () => {
+        const materials = [{ title: 'Cells', content: '# Cells\n\nThe membrane controls what enters the cell.' }];
+        const items = await generateStudyItems(materials, { mcq: 2, short: 1, flashcard: 3 });
+
+        const countOf = type => items.filter(item => item.type === type).length;
+        assert.deepEqual([countOf('mcq'), countOf('short'), countOf('flashcard')], [2, 1, 3]);
+    });
+
+    it('answers each task in the shape its caller expects', async () => {
+        const { text, provider } = await generateText('notes', 'Cell biology');
+        assert.equal(provider, 'mock');
+        assert.match(text, /^# Mock Notes\n/);
+
+        const chat = await generateText('chat', 'What does the membrane do?');
+        assert.equal(chat.text, MOCK_RESPONSES.chat('What does the membrane do?'));
+
+        const study = MOCK_RESPONSES.study('- 1 "flashcard" item');
+        assert.deepEqual(parseStudyItems(study, { flashcard: 1 }, 1).errors, []);
+    });
+});
+
+describe('OpenAI-compatible streaming', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        // Last event has no trailing newline
+        server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write('data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n');
+            res.end('data: {"choices":[{"delta":{"content":" world"}}]}');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('keeps a final event that is not followed by a newline', async () => {
+        const provider = createOpenAICompatibleProvider({ name: 'test', baseUrl, model: 'test-model' });
+        const chunks = [];
+        const { text } = await provider.stream('Hi', chunk => chunks.push(chunk));
+
+        assert.equal(text, 'Hello world');
+        assert.deepEqual(chunks, ['Hello', ' world']);
+    });
+});
@@ -0,0 +1,108 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { retainAssets, releaseAssets, findOrphanedAssets } = require('../utils/assets');
+const { registerStorageDriver } = require('../utils/storage');
+const { purgeMaterial } = require('../utils/trash');
+const Asset = require('../models/Asset');
+const Material = require('../models/Material');
+
+// In-memory driver that records deletes, so double deletes are visible
+const memoryStorage = {
+    name: 'memory',
+    files: new Map(),
+    deletes: [],
+
+    async put(buffer, { key }) {
+        this.files.set(key, { createdAt: new Date(), bytes: buffer.length });
+        return { key, storage: 'memory' };
+    },
+
+    async delete(keys) {
+        this.deletes.push(...keys);
+        const deleted = keys.filter(key => this.files.has(key));
+        deleted.forEach(key => this.files.delete(key));
+        return deleted;
+    },
+
+    async *list(prefix) {
+        for (const [key, file] of this.files) {
+            if (key.startsWith(prefix)) {
+                yield { key, ...file };
+            }
+        }
+    }
+};
+
+helpers.describeWithDatabase('asset references', () => {
+    let owner;
+    let fixture;
+
+    before(async () => {
+        registerStorageDriver('memory', memoryStorage);
+        await Asset.syncIndexes();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        memoryStorage.files.clear();
+        memoryStorage.deletes = [];
+        owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+    });
+
+    const diagram = (publicId) => ({ type: 'diagram', publicId, storage: 'memory', url: `memory://${publicId}` });
+
+    const materialWith = (title, images) => Material.create({
+        title,
+        content: `# ${title}`,
+        subjectId: fixture.subject._id,
+        spaceId: fixture.space._id,
+        createdBy: owner._id,
+        images
+    });
+
+    it('keeps a diagram shared by two materials when one of them is purged', async () => {
+        const shared = 'study_space/diagrams/shared';
+        await memoryStorage.put(Buffer.from('png'), { key: shared });
+        const first = await materialWith('First', [diagram(shared)]);
+        const second = await materialWith('Second', [diagram(shared)]);
+        await retainAssets(first);
+        await retainAssets(second);
+
+        await purgeMaterial(first._id);
+        assert.ok(memoryStorage.files.has(shared));
+        const asset = await Asset.findOne({ storage: 'memory', publicId: shared });
+        assert.deepEqual(asset.materials.map(String), [second._id.toString()]);
+
+        await purgeMaterial(second._id);
+        assert.ok(!memoryStorage.files.has(shared));
+        assert.equal(await Asset.countDocuments({ publicId: shared }), 0);
+    });
+
+    it('destroys an orphaned asset only once under concurrent releases', async () => {
+        const key = 'study_space/diagrams/single';
+        await memoryStorage.put(Buffer.from('png'), { key });
+        const material = await materialWith('Only', [diagram(key)]);
+        await retainAssets(material);
+
+        const results = await Promise.all([releaseAssets([material._id]), releaseAssets([material._id])]);
+
+        assert.deepEqual(results.flat(), [key]);
+        assert.deepEqual(memoryStorage.deletes, [key]);
+    });
+
+    it('only reports orphans older than the minimum age', async () => {
+        const hour = 60 * 60 * 1000;
+        memoryStorage.files.set('study_space/diagrams/old', { createdAt: new Date(Date.now() - 48 * hour), bytes: 3 });
+        memoryStorage.files.set('study_space/diagrams/fresh', { createdAt: new Date(Date.now() - hour), bytes: 3 });
+        memoryStorage.files.set('study_space/diagrams/used', { createdAt: new Date(Date.now() - 48 * hour), bytes: 3 });
+        await materialWith('Used', [diagram('study_space/diagrams/used')]);
+
+        const orphans = await findOrphanedAssets({ storage: 'memory' });
+        assert.deepEqual(orphans.map(orphan => orphan.publicId), ['study_space/diagrams/old']);
+
+        const allOrphans = await findOrphanedAssets({ storage: 'memory', minAgeHours: 0 });
+        assert.deepEqual(allOrphans.map(orphan => orphan.publicId).sort(), ['study_space/diagrams/fresh', 'study_space/diagrams/old']);
+    });
+});
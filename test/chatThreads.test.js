@@ -0,0 +1,211 @@
+const { it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const { registerAIProvider } = require('../utils/ai');
+const ChatThread = require('../models/ChatThread');
+
+// Sends one token, then fails the way a dropped upstream connection does
+const brokenProvider = {
+    name: 'broken',
+    mediaTypes: [],
+    defaultModel: 'broken',
+
+    async generate() {
+        throw new Error('Upstream connection reset');
+    },
+
+    async stream(content, onChunk) {
+        onChunk('Partial ');
+        throw new Error('Upstream connection reset');
+    }
+};
+
+helpers.describeWithDatabase('chat threads', () => {
+    let owner;
+    let fixture;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+        registerAIProvider('broken', brokenProvider);
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+    });
+
+    afterEach(() => {
+        delete process.env.AI_CHAIN_CHAT;
+    });
+
+    const createThread = (user, body) => request(app)
+        .post('/api/chat/threads')
+        .set('Authorization', helpers.authHeader(user))
+        .send(body);
+
+    const listThreads = (user, query = {}) => request(app)
+        .get('/api/chat/threads')
+        .set('Authorization', helpers.authHeader(user))
+        .query(query);
+
+    const ask = (user, threadId, content) => request(app)
+        .post(`/api/chat/threads/${threadId}/messages`)
+        .set('Authorization', helpers.authHeader(user))
+        .send({ content });
+
+    it('creates a thread scoped to a material in its space', async () => {
+        const response = await createThread(owner, { contextType: 'material', contextId: fixture.material._id.toString() });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.thread.title, 'New chat');
+        assert.equal(response.body.thread.contextType, 'material');
+        assert.equal(response.body.thread.contextId, fixture.material._id.toString());
+        assert.equal(response.body.thread.spaceId, fixture.space._id.toString());
+    });
+
+    it('rejects unknown context types and malformed context IDs', async () => {
+        const badType = await createThread(owner, { contextType: 'quiz', contextId: fixture.material._id.toString() });
+        assert.equal(badType.status, 400);
+
+        const badId = await createThread(owner, { contextType: 'material', contextId: 'not-an-id' });
+        assert.equal(badId.status, 400);
+    });
+
+    it('lists only your own threads, filtered by context', async () => {
+        const stranger = await helpers.createUser('stranger');
+        const onMaterial = await createThread(owner, { contextType: 'material', contextId: fixture.material._id.toString() });
+        const onSubject = await createThread(owner, { contextType: 'subject', contextId: fixture.subject._id.toString() });
+        await createThread(owner, { title: 'General' });
+        await createThread(stranger, { title: 'Not yours' });
+
+        const all = await listThreads(owner);
+        assert.equal(all.status, 200);
+        assert.equal(all.body.threads.length, 3);
+        assert.ok(all.body.threads.every(thread => thread.messageCount === 0 && !('messages' in thread)));
+
+        const material = await listThreads(owner, { contextType: 'material', contextId: fixture.material._id.toString() });
+        assert.deepEqual(material.body.threads.map(thread => thread._id), [onMaterial.body.thread._id]);
+
+        const subject = await listThreads(owner, { contextType: 'subject' });
+        assert.deepEqual(subject.body.threads.map(thread => thread._id), [onSubject.body.thread._id]);
+
+        const space = await listThreads(owner, { spaceId: fixture.space._id.toString() });
+        assert.equal(space.body.threads.length, 2);
+
+        const badId = await listThreads(owner, { contextId: 'not-an-id' });
+        assert.equal(badId.status, 400);
+    });
+
+    it('names a thread after its first question and lists the most recent first', async () => {
+        const older = await createThread(owner, {});
+        const newer = await createThread(owner, {});
+
+        const response = await ask(owner, older.body.thread._id, 'What does the membrane do?');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.thread.title, 'What does the membrane do?');
+        assert.equal(response.body.thread.messageCount, 2);
+
+        const list = await listThreads(owner);
+        assert.deepEqual(list.body.threads.map(thread => thread._id), [older.body.thread._id, newer.body.thread._id]);
+        assert.equal(list.body.threads[0].lastMessage.role, 'assistant');
+    });
+
+    it('keeps other users out of a thread', async () => {
+        const stranger = await helpers.createUser('stranger');
+        const created = await createThread(owner, {});
+        const threadId = created.body.thread._id;
+
+        const read = await request(app).get(`/api/chat/threads/${threadId}`).set('Authorization', helpers.authHeader(stranger));
+        assert.equal(read.status, 404);
+
+        const reply = await ask(stranger, threadId, 'Hello?');
+        assert.equal(reply.status, 404);
+
+        const removed = await request(app).delete(`/api/chat/threads/${threadId}`).set('Authorization', helpers.authHeader(stranger));
+        assert.equal(removed.status, 404);
+        assert.ok(await ChatThread.findById(threadId));
+    });
+
+    it('only lets space members open a thread on the space\'s content', async () => {
+        const stranger = await helpers.createUser('stranger');
+
+        const material = await createThread(stranger, { contextType: 'material', contextId: fixture.material._id.toString() });
+        assert.equal(material.status, 403);
+        assert.equal(material.body.message, 'Not a member of this space');
+
+        const subject = await createThread(stranger, { contextType: 'subject', contextId: fixture.subject._id.toString() });
+        assert.equal(subject.status, 403);
+
+        assert.equal(await ChatThread.countDocuments({}), 0);
+    });
+
+    it('stops a member who left the space from continuing its threads', async () => {
+        const member = await helpers.createUser('member');
+        fixture.space.members.push(member._id);
+        await fixture.space.save();
+
+        const created = await createThread(member, { contextType: 'subject', contextId: fixture.subject._id.toString() });
+        assert.equal(created.status, 200);
+
+        fixture.space.members.pull(member._id);
+        await fixture.space.save();
+
+        const response = await ask(member, created.body.thread._id, 'Still there?');
+        assert.equal(response.status, 403);
+        assert.equal(response.body.message, 'Not a member of this space');
+
+        // The thread itself stays readable to its owner
+        const read = await request(app).get(`/api/chat/threads/${created.body.thread._id}`).set('Authorization', helpers.authHeader(member));
+        assert.equal(read.status, 200);
+        assert.equal(read.body.thread.messages.length, 0);
+    });
+
+    it('keeps the question when the stream fails after it was accepted', async () => {
+        const created = await createThread(owner, { contextType: 'material', contextId: fixture.material._id.toString() });
+        assert.equal(created.status, 200);
+
+        process.env.AI_CHAIN_CHAT = 'broken';
+        const response = await request(app)
+            .post(`/api/chat/threads/${created.body.thread._id}/messages/stream`)
+            .set('Authorization', helpers.authHeader(owner))
+            .send({ content: 'What does the membrane do?' });
+
+        assert.equal(response.status, 200);
+        assert.match(response.text, /event: error/);
+
+        const thread = await ChatThread.findById(created.body.thread._id);
+        assert.deepEqual(thread.messages.map(message => [message.role, message.content]), [['user', 'What does the membrane do?']]);
+        assert.equal(thread.title, 'What does the membrane do?');
+    });
+
+    it('keeps the question when a non-streamed reply fails', async () => {
+        const created = await createThread(owner, {});
+
+        process.env.AI_CHAIN_CHAT = 'broken';
+        const response = await request(app)
+            .post(`/api/chat/threads/${created.body.thread._id}/messages`)
+            .set('Authorization', helpers.authHeader(owner))
+            .send({ content: 'Why do cells divide?' });
+
+        assert.equal(response.status, 500);
+        const thread = await ChatThread.findById(created.body.thread._id);
+        assert.equal(thread.messages.length, 1);
+        assert.equal(thread.messages[0].role, 'user');
+    });
+
+    it('appends the reply after the saved question', async () => {
+        const created = await createThread(owner, {});
+
+        const response = await request(app)
+            .post(`/api/chat/threads/${created.body.thread._id}/messages/stream`)
+            .set('Authorization', helpers.authHeader(owner))
+            .send({ content: 'Why do cells divide?' });
+
+        assert.match(response.text, /event: done/);
+        const thread = await ChatThread.findById(created.body.thread._id);
+        assert.deepEqual(thread.messages.map(message => message.role), ['user', 'assistant']);
+    });
+});
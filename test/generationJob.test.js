@@ -0,0 +1,107 @@
+const { it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const helpers = require('./helpers');
+const { registerAIProvider, getChain } = require('../utils/ai');
+const { saveJobFile } = require('../utils/jobFiles');
+const { runGenerationJob } = require('../utils/materialPipeline');
+const GenerationJob = require('../models/GenerationJob');
+const Material = require('../models/Material');
+
+helpers.describeWithDatabase('generation job retries', () => {
+    let owner;
+    let fixture;
+    let failuresLeft = 0;
+
+    before(() => {
+        // Fails the next failuresLeft calls, then answers like the mock provider
+        const [{ provider: mock }] = getChain('notes');
+        registerAIProvider('flaky', {
+            ...mock,
+            name: 'flaky',
+            async generate(content, options) {
+                if (failuresLeft > 0) {
+                    failuresLeft--;
+                    throw new Error('Model returned an invalid response');
+                }
+                return mock.generate(content, options);
+            }
+        });
+        process.env.AI_CHAIN_NOTES = 'flaky';
+    });
+
+    after(() => {
+        delete process.env.AI_CHAIN_NOTES;
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+    });
+
+    const createJob = async () => {
+        const image = await sharp({
+            create: { width: 64, height: 64, channels: 3, background: '#ffffff' }
+        }).png().toBuffer();
+        const fileId = await saveJobFile(image, 'board.png', 'image/png');
+
+        return GenerationJob.create({
+            createdBy: owner._id,
+            subjectId: fixture.subject._id,
+            spaceId: fixture.space._id,
+            prompt: 'Cell biology',
+            inputFiles: [{ fileId, originalName: 'board.png', mimeType: 'image/png', size: image.length, encoding: 'multipart' }]
+        });
+    };
+
+    it('rebuilds the content parts when a failed generate stage is retried', async () => {
+        const job = await createJob();
+        failuresLeft = 1;
+
+        await runGenerationJob(job._id);
+        const failed = await GenerationJob.findById(job._id);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.failedStage, 'generate');
+        assert.deepEqual([...failed.completedStages], ['upload', 'rasterise']);
+
+        await runGenerationJob(job._id);
+        const retried = await GenerationJob.findById(job._id);
+        assert.equal(retried.status, 'completed', retried.errorDetails);
+        assert.equal(retried.attempts, 2);
+
+        const material = await Material.findById(retried.materialId);
+        assert.ok(material);
+        assert.equal(material.subjectId.toString(), fixture.subject._id.toString());
+        assert.match(material.content, /1 attachment/);
+    });
+
+    it('resumes a job saved with the old diagrams and images stage names', async () => {
+        const job = await createJob();
+        const diagramUrl = 'http://localhost:3000/files/study_space/diagrams/mermaid_abc.png';
+        await GenerationJob.collection.updateOne({ _id: job._id }, {
+            $set: {
+                status: 'failed',
+                stage: 'images',
+                failedStage: 'images',
+                completedStages: ['upload', 'rasterise', 'generate', 'diagrams'],
+                'output.title': 'Cells',
+                'output.content': `## Membrane\n\n![Diagram](${diagramUrl})`,
+                'output.diagrams': [{ type: 'mermaid', source: 'graph TD; A-->B', url: diagramUrl, format: 'png' }]
+            }
+        });
+
+        const legacy = await GenerationJob.findById(job._id);
+        assert.equal(legacy.failedStage, 'enrich');
+        assert.deepEqual([...legacy.completedStages], ['upload', 'rasterise', 'generate']);
+
+        await runGenerationJob(job._id);
+        const resumed = await GenerationJob.findById(job._id);
+        assert.equal(resumed.status, 'completed', resumed.errorDetails);
+        assert.deepEqual([...resumed.completedStages], ['upload', 'rasterise', 'generate', 'enrich', 'save']);
+
+        const material = await Material.findById(resumed.materialId);
+        assert.equal(material.title, 'Cells');
+        assert.deepEqual(material.images.map(image => image.url), [diagramUrl]);
+    });
+});
@@ -0,0 +1,163 @@
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const mongoose = require('mongoose');
+const admin = require('firebase-admin');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Keep tests offline: mock AI, local embeddings and storage, no image search or mirroring
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    AI_CHAIN: 'mock',
+    EMBEDDING_PROVIDER: 'local',
+    STORAGE_DRIVER: 'local',
+    STORAGE_LOCAL_DIR: path.join(os.tmpdir(), `study-space-test-${process.pid}`),
+    STORAGE_SIGNING_SECRET: 'test-secret',
+    IMAGE_PROVIDERS: 'static',
+    IMAGE_MIRROR: 'false',
+    IMAGE_SEARCH_CACHE_HOURS: '0'
+});
+
+// config/firebase.js needs a well-formed service account; tokens are checked by stubFirebaseAuth instead
+Object.assign(process.env, {
+    FIREBASE_PROJECT_ID: 'study-space-test',
+    FIREBASE_CLIENT_EMAIL: 'test@study-space-test.iam.gserviceaccount.com',
+    FIREBASE_PRIVATE_KEY: crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+    }).privateKey
+});
+
+const User = require('../models/User');
+const Space = require('../models/Space');
+const Subject = require('../models/Subject');
+const Material = require('../models/Material');
+
+let mongoServer = null;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ */
+async function startDatabase() {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+}
+
+/**
+ * describe() for suites that need MongoDB. The database is started before the suite's tests are
+ * collected and stopped after them. Without a mongod binary (none cached, download blocked) the
+ * suite reports one skipped test giving the reason, instead of every test failing in a hook.
+ * @param {string} name
+ * @param {Function} fn - Suite body, as for describe()
+ */
+function describeWithDatabase(name, fn) {
+    describe(name, async () => {
+        try {
+            await startDatabase();
+        } catch (error) {
+            const reason = String(error.message).split(/\n|, Details:/)[0];
+            it('needs MongoDB', {
+                skip: `mongod is not available (${reason}). Set MONGOMS_SYSTEM_BINARY to a local mongod to run this suite`
+            }, () => {});
+            return;
+        }
+
+        after(stopDatabase);
+        fn();
+    });
+}
+
+/**
+ * Disconnect and stop the in-memory MongoDB
+ */
+async function stopDatabase() {
+    await mongoose.disconnect();
+    if (mongoServer) {
+        await mongoServer.stop();
+        mongoServer = null;
+    }
+}
+
+/**
+ * Drop every collection between tests
+ */
+async function clearDatabase() {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+/**
+ * Replace the Firebase verifier: a token is accepted as the UID it names
+ */
+function stubFirebaseAuth() {
+    Object.defineProperty(admin, 'auth', {
+        configurable: true,
+        value: () => ({
+            verifyIdToken: async (token) => {
+                if (!token.startsWith('uid-')) {
+                    throw new Error('Invalid token');
+                }
+                return { uid: token };
+            }
+        })
+    });
+}
+
+/**
+ * Create a user
+ * @param {string} name
+ * @returns {Promise<Object>} User document
+ */
+function createUser(name) {
+    return User.create({ uid: `uid-${name}`, email: `${name}@example.com`, name });
+}
+
+/**
+ * Authorization header for a user (see stubFirebaseAuth)
+ * @param {Object} user
+ * @returns {string}
+ */
+function authHeader(user) {
+    return `Bearer ${user.uid}`;
+}
+
+/**
+ * Create a space with one subject and one material
+ * @param {Object} owner - User document
+ * @param {Object} [roles] - { members, editors, admins } arrays of user documents
+ * @returns {Promise<{space: Object, subject: Object, material: Object}>}
+ */
+async function createSpaceFixture(owner, { members = [], editors = [], admins = [] } = {}) {
+    const ids = users => users.map(user => user._id);
+    const space = await Space.create({
+        name: 'Biology',
+        joinCode: Math.random().toString(36).substring(2, 8).toUpperCase(),
+        owner: owner._id,
+        admins: ids(admins),
+        editors: ids(editors),
+        members: [owner._id, ...ids([...admins, ...editors, ...members])]
+    });
+    const subject = await Subject.create({ spaceId: space._id, name: 'Cells' });
+    const material = await Material.create({
+        title: 'Cell structure',
+        content: '# Cell structure\n\n## Membrane\nThe cell membrane controls what enters and leaves the cell.',
+        subjectId: subject._id,
+        spaceId: space._id,
+        createdBy: owner._id
+    });
+
+    return { space, subject, material };
+}
+
+module.exports = {
+    describeWithDatabase,
+    startDatabase,
+    stopDatabase,
+    clearDatabase,
+    stubFirebaseAuth,
+    createUser,
+    authHeader,
+    createSpaceFixture
+};
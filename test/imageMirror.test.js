@@ -0,0 +1,146 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const sharp = require('sharp');
+const helpers = require('./helpers');
+const { mirrorImage, checkExternalImages, MirrorError } = require('../utils/imageMirror');
+const Material = require('../models/Material');
+const MaterialRevision = require('../models/MaterialRevision');
+
+// Serves /ok.png, /tiny.png, /large.png, /page.html and 404 for anything else
+const startImageServer = async () => {
+    const solid = (size) => sharp({ create: { width: size, height: size, channels: 3, background: '#3366cc' } }).png().toBuffer();
+    const files = {
+        '/ok.png': ['image/png', await solid(120)],
+        '/tiny.png': ['image/png', await solid(10)],
+        '/large.png': ['image/png', Buffer.alloc(4096, 1)],
+        '/page.html': ['text/html; charset=utf-8', Buffer.from('<html></html>')]
+    };
+
+    const server = http.createServer((req, res) => {
+        const file = files[req.url];
+        if (!file) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': file[0], 'Content-Length': file[1].length });
+        res.end(file[1]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+describe('mirrorImage', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        ({ server, baseUrl } = await startImageServer());
+        process.env.IMAGE_MIRROR_MAX_BYTES = '2048';
+    });
+
+    after(() => {
+        delete process.env.IMAGE_MIRROR_MAX_BYTES;
+        return new Promise(resolve => server.close(resolve));
+    });
+
+    it('stores a checked image as WebP', async () => {
+        const mirrored = await mirrorImage(`${baseUrl}/ok.png`);
+        assert.match(mirrored.publicId, /^study_space\/images\/mirrored_[0-9a-f]{12}\.webp$/);
+        assert.equal(mirrored.storage, 'local');
+        assert.deepEqual([mirrored.width, mirrored.height], [120, 120]);
+    });
+
+    it('rejects responses that are not a supported image type', async () => {
+        await assert.rejects(mirrorImage(`${baseUrl}/page.html`), (error) => {
+            assert.ok(error instanceof MirrorError);
+            assert.match(error.message, /Not a supported image type \(text\/html\)/);
+            return true;
+        });
+    });
+
+    it('rejects images over the size limit', async () => {
+        await assert.rejects(mirrorImage(`${baseUrl}/large.png`), /Download failed/);
+    });
+
+    it('rejects images below the minimum dimensions', async () => {
+        await assert.rejects(mirrorImage(`${baseUrl}/tiny.png`), /Image is too small \(10x10\)/);
+    });
+
+    it('marks missing images as dead', async () => {
+        await assert.rejects(mirrorImage(`${baseUrl}/missing.png`), (error) => error.dead === true);
+    });
+});
+
+helpers.describeWithDatabase('external image checks', () => {
+    let server;
+    let baseUrl;
+    let owner;
+    let fixture;
+    const longAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    before(async () => {
+        ({ server, baseUrl } = await startImageServer());
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+    });
+
+    const materialLinking = (title, url) => Material.create({
+        title,
+        content: `# ${title}\n\n![membrane](${url})`,
+        subjectId: fixture.subject._id,
+        spaceId: fixture.space._id,
+        createdBy: owner._id,
+        createdAt: longAgo,
+        images: [{ type: 'search', placeholder: 'membrane', url }]
+    });
+
+    it('copies working links into storage as a mirror revision', async () => {
+        const material = await materialLinking('Working', `${baseUrl}/ok.png`);
+
+        const totals = await checkExternalImages();
+        assert.deepEqual(totals, { checked: 1, mirrored: 1, dead: 0 });
+
+        const updated = await Material.findById(material._id);
+        const [image] = updated.images;
+        assert.equal(image.originalUrl, `${baseUrl}/ok.png`);
+        assert.ok(image.publicId);
+        assert.ok(updated.content.includes(`![membrane](${image.url})`));
+        assert.equal(updated.version, 2);
+
+        const revision = await MaterialRevision.findOne({ materialId: material._id, version: 2 });
+        assert.equal(revision.source, 'mirror');
+    });
+
+    it('flags dead links without saving a revision', async () => {
+        const material = await materialLinking('Dead', `${baseUrl}/missing.png`);
+
+        const totals = await checkExternalImages();
+        assert.deepEqual(totals, { checked: 1, mirrored: 0, dead: 1 });
+
+        const updated = await Material.findById(material._id);
+        assert.equal(updated.images[0].linkDead, true);
+        assert.ok(updated.images[0].linkCheckedAt);
+        assert.equal(updated.version, 1);
+        assert.equal(updated.content, material.content);
+    });
+
+    it('checks every due material, not just the first batch', async () => {
+        for (let i = 0; i < 55; i++) {
+            await materialLinking(`Dead ${i}`, `${baseUrl}/missing-${i}.png`);
+        }
+
+        const totals = await checkExternalImages();
+        assert.equal(totals.checked, 55);
+        assert.equal(await Material.countDocuments({ 'images.linkDead': true }), 55);
+
+        const again = await checkExternalImages();
+        assert.equal(again.checked, 0);
+    });
+});
@@ -0,0 +1,62 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const Material = require('../models/Material');
+
+helpers.describeWithDatabase('image uploads', () => {
+    let owner;
+    let material;
+    let image;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        const fixture = await helpers.createSpaceFixture(owner);
+        material = await Material.findByIdAndUpdate(
+            fixture.material._id,
+            {
+                $set: { content: `${fixture.material.content}\n\n{{IMAGE: cell membrane}}` },
+                $push: { images: { type: 'search', placeholder: 'cell membrane' } }
+            },
+            { new: true }
+        );
+        image = material.images[0];
+    });
+
+    const upload = (buffer, filename, contentType) => request(app)
+        .put(`/api/materials/${material._id}/images/${image._id}`)
+        .set('Authorization', helpers.authHeader(owner))
+        .attach('file', buffer, { filename, contentType });
+
+    it('stores an upload under the extension of its checked type', async () => {
+        const png = await sharp({ create: { width: 60, height: 60, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+        const response = await upload(png, 'membrane.html', 'image/png');
+        assert.equal(response.status, 200);
+
+        const updated = await Material.findById(material._id);
+        assert.match(updated.images[0].publicId, /^study_space\/images\/.+\.png$/);
+    });
+
+    it('rejects files that are not the image they claim to be', async () => {
+        const notAnImage = await upload(Buffer.from('<script>alert(1)</script>'), 'membrane.png', 'image/png');
+        assert.equal(notAnImage.status, 400);
+
+        const jpeg = await sharp({ create: { width: 60, height: 60, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+        const mislabelled = await upload(jpeg, 'membrane.png', 'image/png');
+        assert.equal(mislabelled.status, 400);
+
+        const svg = await upload(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'), 'membrane.svg', 'image/svg+xml');
+        assert.equal(svg.status, 400);
+
+        const unchanged = await Material.findById(material._id);
+        assert.equal(unchanged.images[0].publicId, undefined);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const { saveWithUniqueCode } = require('../utils/helpers');
+const Invite = require('../models/Invite');
+const Space = require('../models/Space');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('saveWithUniqueCode', () => {
+    it('retries with a new code when the save hits a duplicate key', async () => {
+        const tried = [];
+        const result = await saveWithUniqueCode(async () => false, async (code) => {
+            tried.push(code);
+            if (tried.length === 1) throw duplicateKeyError();
+            return code;
+        });
+
+        assert.equal(tried.length, 2);
+        assert.equal(result, tried[1]);
+    });
+
+    it('gives up after maxAttempts duplicate keys', async () => {
+        let saves = 0;
+        await assert.rejects(
+            saveWithUniqueCode(async () => false, async () => {
+                saves++;
+                throw duplicateKeyError();
+            }, 6, 3),
+            { code: 11000 }
+        );
+        assert.equal(saves, 3);
+    });
+
+    it('does not retry other save errors', async () => {
+        let saves = 0;
+        await assert.rejects(
+            saveWithUniqueCode(async () => false, async () => {
+                saves++;
+                throw new Error('validation failed');
+            }),
+            /validation failed/
+        );
+        assert.equal(saves, 1);
+    });
+});
+
+helpers.describeWithDatabase('invites and join codes', () => {
+    let owner;
+    let space;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        ({ space } = await helpers.createSpaceFixture(owner));
+    });
+
+    const post = (user, url, body) => request(app)
+        .post(url)
+        .set('Authorization', helpers.authHeader(user))
+        .send(body);
+
+    const join = (user, joinCode) => post(user, '/api/spaces/join', { joinCode });
+
+    const createInvite = async (body = {}) => {
+        const response = await post(owner, `/api/spaces/${space._id}/invites`, body);
+        assert.equal(response.status, 200);
+        return response.body.invite;
+    };
+
+    it('stops accepting the old join code once it is rotated', async () => {
+        const oldCode = space.joinCode;
+        const rotated = await post(owner, `/api/spaces/${space._id}/join-code/rotate`);
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.joinCode, oldCode);
+
+        const first = await helpers.createUser('first');
+        assert.equal((await join(first, oldCode)).status, 404);
+        assert.equal((await join(first, rotated.body.joinCode)).status, 200);
+    });
+
+    it('rejects an expired invite', async () => {
+        const invite = await createInvite({ expiresInHours: 1 });
+        await Invite.updateOne({ _id: invite._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+        const student = await helpers.createUser('student');
+        const joined = await join(student, invite.code);
+        assert.equal(joined.status, 410);
+    });
+
+    it('rejects a revoked invite', async () => {
+        const invite = await createInvite();
+        const revoked = await request(app)
+            .delete(`/api/spaces/${space._id}/invites/${invite._id}`)
+            .set('Authorization', helpers.authHeader(owner));
+        assert.equal(revoked.status, 200);
+        assert.equal(revoked.body.invite.active, false);
+
+        const student = await helpers.createUser('student');
+        const joined = await join(student, invite.code);
+        assert.equal(joined.status, 410);
+    });
+
+    it('lets only one of two concurrent joins claim a single-use invite', async () => {
+        const invite = await createInvite({ maxUses: 1, role: 'editor' });
+        const first = await helpers.createUser('first');
+        const second = await helpers.createUser('second');
+
+        const statuses = (await Promise.all([join(first, invite.code), join(second, invite.code)]))
+            .map(response => response.status)
+            .sort();
+        assert.deepEqual(statuses, [200, 410]);
+
+        const claimed = await Invite.findById(invite._id);
+        assert.equal(claimed.uses, 1);
+        const updated = await Space.findById(space._id);
+        assert.equal(updated.members.length, 2);
+        assert.equal(updated.editors.length, 1);
+    });
+});
@@ -0,0 +1,59 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const JoinRequest = require('../models/JoinRequest');
+
+helpers.describeWithDatabase('join requests', () => {
+    let owner;
+    let applicant;
+    let space;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        applicant = await helpers.createUser('applicant');
+        ({ space } = await helpers.createSpaceFixture(owner));
+        space.requireApproval = true;
+        await space.save();
+    });
+
+    const post = (user, url, body) => request(app)
+        .post(url)
+        .set('Authorization', helpers.authHeader(user))
+        .send(body);
+
+    it('rejects a pending request when remove-member bans the user', async () => {
+        const joined = await post(applicant, '/api/spaces/join', { joinCode: space.joinCode });
+        assert.ok(joined.status < 300, `expected success, got ${joined.status}: ${JSON.stringify(joined.body)}`);
+        const pending = await JoinRequest.findOne({ spaceId: space._id, user: applicant._id });
+        assert.equal(pending.status, 'pending');
+
+        const banned = await post(owner, `/api/spaces/${space._id}/remove-member`, { userId: applicant._id.toString(), ban: true });
+        assert.equal(banned.status, 200);
+
+        const closed = await JoinRequest.findById(pending._id);
+        assert.equal(closed.status, 'rejected');
+        assert.equal(closed.decidedBy.toString(), owner._id.toString());
+
+        const approved = await post(owner, `/api/spaces/${space._id}/join-requests/${pending._id}/approve`);
+        assert.equal(approved.status, 404);
+    });
+
+    it('validates remove-member input and only bans non-members explicitly', async () => {
+        const url = `/api/spaces/${space._id}/remove-member`;
+        const userId = applicant._id.toString();
+
+        assert.equal((await post(owner, url, { userId: 'not-an-id' })).status, 400);
+        assert.equal((await post(owner, url, { userId, ban: 'false' })).status, 400);
+        assert.equal((await post(owner, url, { userId })).status, 404);
+
+        const banned = await post(owner, url, { userId, ban: true });
+        assert.equal(banned.status, 200);
+    });
+});
@@ -0,0 +1,191 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const request = require('supertest');
+require('./helpers');
+const app = require('../app');
+const { processDiagramBlocks, sanitizeMermaidSource, generateDiagram } = require('../utils/kroki');
+const { registerLocalRenderer } = require('../utils/localDiagrams');
+const { repairDiagramSource } = require('../utils/materialPipeline');
+
+// The diagram cache is best-effort; without a database it is skipped instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+// Kroki stand-in: rejects any source containing BROKEN with a 400, renders everything else.
+// A down one answers every request, health checks included, with a 500.
+const startKroki = async ({ down = false } = {}) => {
+    const kroki = { renders: [], healthChecks: 0 };
+    kroki.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.method === 'GET' && req.url === '/health') {
+                kroki.healthChecks++;
+                res.writeHead(down ? 500 : 200);
+                return res.end();
+            }
+            kroki.renders.push({ path: req.url, source: body });
+            if (down) {
+                res.writeHead(500);
+                return res.end();
+            }
+            if (body.includes('BROKEN')) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                return res.end('Syntax error in graph');
+            }
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            res.end(PNG);
+        });
+    });
+    await new Promise(resolve => kroki.server.listen(0, '127.0.0.1', resolve));
+    kroki.url = `http://127.0.0.1:${kroki.server.address().port}`;
+    return kroki;
+};
+
+const mermaidBlock = (source) => `# Cells\n\n\`\`\`mermaid\n${source}\n\`\`\`\n\nAfter the diagram.`;
+
+describe('diagram repair', () => {
+    let kroki;
+
+    before(async () => {
+        kroki = await startKroki();
+        process.env.KROKI_URLS = kroki.url;
+    });
+
+    after(() => {
+        delete process.env.KROKI_URLS;
+        return new Promise(resolve => kroki.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        kroki.renders = [];
+    });
+
+    it('renders a rejected block with the source the AI provider repaired', async () => {
+        const result = await processDiagramBlocks(mermaidBlock('graph TD\n    BROKEN'), { repair: repairDiagramSource });
+
+        assert.equal(result.errors.length, 0);
+        const [diagram] = result.diagrams;
+        assert.equal(diagram.originalSource, 'graph TD\n    BROKEN');
+        assert.equal(diagram.source, 'graph TD\n    A[Start] --> B[End]');
+        assert.equal(diagram.repairAttempts.length, 1);
+        assert.equal(diagram.repairAttempts[0].source, 'graph TD\n    BROKEN');
+        assert.match(diagram.repairAttempts[0].error, /Syntax error in graph/);
+
+        assert.ok(result.content.includes(`![mermaid diagram](${diagram.url})`));
+        assert.ok(!result.content.includes('BROKEN'));
+        assert.equal(kroki.renders.length, 2);
+    });
+
+    it('stops after the configured repair rounds and records every attempt', async () => {
+        let repairs = 0;
+        const repair = async ({ source }) => `${source}\n    BROKEN ${++repairs}`;
+
+        const content = mermaidBlock('graph TD\n    BROKEN');
+        const result = await processDiagramBlocks(content, { repair, maxRepairAttempts: 2 });
+
+        assert.equal(repairs, 2);
+        assert.equal(kroki.renders.length, 3);
+        assert.equal(result.stats.failed, 1);
+        assert.equal(result.diagrams.length, 0);
+
+        const [error] = result.errors;
+        assert.equal(error.source, 'graph TD\n    BROKEN');
+        assert.deepEqual(error.attempts.map(attempt => attempt.source), [
+            'graph TD\n    BROKEN',
+            'graph TD\n    BROKEN\n    BROKEN 1',
+            'graph TD\n    BROKEN\n    BROKEN 1\n    BROKEN 2'
+        ]);
+        assert.ok(error.attempts.every(attempt => /Syntax error in graph/.test(attempt.error)));
+
+        // The unresolved block stays in the Markdown as code
+        assert.equal(result.content, content);
+    });
+
+    it('records a repair that suggests nothing new and gives up', async () => {
+        const result = await processDiagramBlocks(mermaidBlock('graph TD\n    BROKEN'), {
+            repair: async ({ source }) => source,
+            maxRepairAttempts: 3
+        });
+
+        assert.equal(kroki.renders.length, 1);
+        assert.equal(result.errors[0].attempts.length, 1);
+        assert.equal(result.errors[0].attempts[0].repairError, 'No change suggested');
+    });
+});
+
+describe('sanitizeMermaidSource', () => {
+    it('keeps apostrophes in labels and straightens smart quotes', () => {
+        const sanitized = sanitizeMermaidSource('graph TD\n    A[Cell\'s membrane] --> B[The cell’s “nucleus”]');
+        assert.equal(sanitized, 'graph TD\n    A[Cell\'s membrane] --> B[The cell\'s "nucleus"];');
+    });
+});
+
+describe('Kroki endpoints', () => {
+    let up;
+    let down;
+
+    // Fresh servers per test, so no endpoint health carries over
+    beforeEach(async () => {
+        up = await startKroki();
+        down = await startKroki({ down: true });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        delete process.env.KROKI_URLS;
+        delete process.env.DIAGRAM_LOCAL_RENDERER;
+        await Promise.all([up, down].map(kroki => new Promise(resolve => kroki.server.close(resolve))));
+    });
+
+    it('tries endpoints in order and skips a failed one until its cooldown ends', async () => {
+        process.env.KROKI_URLS = `${down.url},${up.url}`;
+
+        const first = await generateDiagram('graphviz', 'digraph { a -> b }');
+        assert.equal(first.renderer, up.url);
+        assert.equal(down.renders.length, 1);
+
+        const second = await generateDiagram('graphviz', 'digraph { b -> c }');
+        assert.equal(second.renderer, up.url);
+        assert.equal(down.renders.length, 1);
+        assert.equal(down.healthChecks, 0);
+
+        // After the cooldown the endpoint is health-checked before it is used again
+        const now = Date.now();
+        mock.method(Date, 'now', () => now + 61 * 1000);
+        await generateDiagram('graphviz', 'digraph { c -> d }');
+        assert.equal(down.healthChecks, 1);
+        assert.equal(down.renders.length, 1);
+    });
+
+    it('falls back to the local renderer when no endpoint responds', async () => {
+        process.env.KROKI_URLS = down.url;
+        process.env.DIAGRAM_LOCAL_RENDERER = 'true';
+        registerLocalRenderer('graphviz', async () => '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>');
+
+        const result = await generateDiagram('graphviz', 'digraph { a -> b }', 'svg');
+        assert.equal(result.success, true);
+        assert.equal(result.renderer, 'local');
+        assert.equal(down.renders.length, 1);
+    });
+
+    it('reports cached endpoint health without contacting Kroki', async () => {
+        process.env.KROKI_URLS = `${down.url},${up.url}`;
+
+        const unchecked = await request(app).get('/health/diagrams');
+        assert.equal(unchecked.status, 200);
+        assert.deepEqual(unchecked.body.endpoints.map(endpoint => endpoint.healthy), [null, null]);
+
+        process.env.KROKI_URLS = down.url;
+        await generateDiagram('graphviz', 'digraph { a -> b }');
+
+        const response = await request(app).get('/health/diagrams');
+        assert.equal(response.status, 503);
+        assert.equal(response.body.endpoints[0].healthy, false);
+        assert.equal(down.healthChecks + up.healthChecks, 0);
+        assert.equal(up.renders.length, 0);
+    });
+});
@@ -0,0 +1,85 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+
+helpers.describeWithDatabase('read endpoints require space membership', () => {
+    let owner;
+    let member;
+    let outsider;
+    let fixture;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        member = await helpers.createUser('member');
+        outsider = await helpers.createUser('outsider');
+        fixture = await helpers.createSpaceFixture(owner, { members: [member] });
+    });
+
+    const readRequests = () => [
+        ['GET /api/subjects/:spaceId', agent => agent.get(`/api/subjects/${fixture.space._id}`)],
+        ['GET /api/materials/:subjectId', agent => agent.get(`/api/materials/${fixture.subject._id}`)],
+        ['GET /api/materials/material/:id', agent => agent.get(`/api/materials/material/${fixture.material._id}`)],
+        ['POST /api/chat/ask', agent => agent.post('/api/chat/ask').send({
+            question: 'What does the membrane do?',
+            contextType: 'material',
+            contextId: fixture.material._id.toString()
+        })],
+        ['POST /api/chat/conversation', agent => agent.post('/api/chat/conversation').send({
+            messages: [{ role: 'user', content: 'What does the membrane do?' }],
+            contextType: 'material',
+            contextId: fixture.material._id.toString()
+        })],
+        ['POST /api/chat/threads', agent => agent.post('/api/chat/threads').send({
+            contextType: 'material',
+            contextId: fixture.material._id.toString()
+        })]
+    ];
+
+    const as = (user) => {
+        const agent = request(app);
+        const withAuth = (method) => (url) => agent[method](url).set('Authorization', helpers.authHeader(user));
+        return { get: withAuth('get'), post: withAuth('post') };
+    };
+
+    it('rejects requests without a token', async () => {
+        const response = await request(app).get(`/api/subjects/${fixture.space._id}`);
+        assert.equal(response.status, 401);
+    });
+
+    for (const [name, send] of readRequests()) {
+        it(`${name} returns 403 to non-members`, async () => {
+            const response = await send(as(outsider));
+            assert.equal(response.status, 403);
+            assert.equal(response.body.message, 'Not a member of this space');
+        });
+
+        it(`${name} succeeds for members`, async () => {
+            const response = await send(as(member));
+            assert.ok(response.status < 300, `expected success, got ${response.status}: ${JSON.stringify(response.body)}`);
+        });
+    }
+
+    it('GET /api/spaces/:spaceId/can-edit returns 403 to non-members', async () => {
+        const response = await as(outsider).get(`/api/spaces/${fixture.space._id}/can-edit`);
+        assert.equal(response.status, 403);
+        assert.equal(response.body.message, 'Not a member of this space');
+    });
+
+    it('GET /api/spaces/:spaceId/can-edit derives its flags from the role', async () => {
+        const asMember = await as(member).get(`/api/spaces/${fixture.space._id}/can-edit`);
+        assert.equal(asMember.status, 200);
+        assert.equal(asMember.body.role, 'member');
+        assert.equal(asMember.body.canEdit, false);
+
+        const asOwner = await as(owner).get(`/api/spaces/${fixture.space._id}/can-edit`);
+        assert.equal(asOwner.body.canEdit, true);
+        assert.deepEqual([asOwner.body.isOwner, asOwner.body.isAdmin, asOwner.body.isEditor], [true, false, false]);
+    });
+});
@@ -0,0 +1,99 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const Space = require('../models/Space');
+
+helpers.describeWithDatabase('ownership transfer', () => {
+    let owner;
+    let nominee;
+    let otherAdmin;
+    let space;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        nominee = await helpers.createUser('nominee');
+        otherAdmin = await helpers.createUser('other-admin');
+        ({ space } = await helpers.createSpaceFixture(owner, { admins: [nominee, otherAdmin] }));
+    });
+
+    const send = (user, method, path, body) => request(app)[method](`/api/spaces/${space._id}${path}`)
+        .set('Authorization', helpers.authHeader(user))
+        .send(body);
+
+    const nominate = () => send(owner, 'post', '/transfer-ownership', { userId: nominee._id.toString() });
+    const accept = user => send(user, 'post', '/transfer-ownership/accept');
+
+    it('hands the space to the nominee when they accept', async () => {
+        const nominated = await nominate();
+        assert.equal(nominated.status, 200);
+        assert.equal(nominated.body.pendingOwnerTransfer.user, nominee._id.toString());
+
+        const accepted = await accept(nominee);
+        assert.equal(accepted.status, 200);
+
+        const updated = await Space.findById(space._id);
+        assert.equal(updated.owner.toString(), nominee._id.toString());
+        assert.equal(updated.pendingOwnerTransfer, undefined);
+    });
+
+    it('keeps the old owner on as an admin without owner rights', async () => {
+        await nominate();
+        await accept(nominee);
+
+        const updated = await Space.findById(space._id);
+        const admins = updated.admins.map(admin => admin.toString());
+        assert.ok(admins.includes(owner._id.toString()));
+        assert.ok(!admins.includes(nominee._id.toString()));
+
+        const renamedByOldOwner = await send(owner, 'put', '', { name: 'Renamed' });
+        assert.equal(renamedByOldOwner.status, 403);
+        const renamedByNewOwner = await send(nominee, 'put', '', { name: 'Renamed' });
+        assert.equal(renamedByNewOwner.status, 200);
+    });
+
+    it('refuses an accept from anyone but the nominee', async () => {
+        await nominate();
+
+        const accepted = await accept(otherAdmin);
+        assert.equal(accepted.status, 404);
+
+        const unchanged = await Space.findById(space._id);
+        assert.equal(unchanged.owner.toString(), owner._id.toString());
+        assert.equal(unchanged.pendingOwnerTransfer.user.toString(), nominee._id.toString());
+    });
+
+    it('completes only once when accepted twice', async () => {
+        await nominate();
+
+        // The loser either finds nothing pending (404) or loses the atomic swap (409)
+        const statuses = (await Promise.all([accept(nominee), accept(nominee)])).map(response => response.status);
+        assert.equal(statuses.filter(status => status === 200).length, 1);
+        assert.ok(statuses.some(status => status === 404 || status === 409), `unexpected statuses ${statuses}`);
+
+        const again = await accept(nominee);
+        assert.equal(again.status, 404);
+
+        const updated = await Space.findById(space._id);
+        assert.equal(updated.owner.toString(), nominee._id.toString());
+        assert.equal(updated.admins.filter(admin => admin.toString() === owner._id.toString()).length, 1);
+    });
+
+    it('drops the nomination when the nominee loses admin', async () => {
+        await nominate();
+
+        const demoted = await send(owner, 'post', '/remove-admin', { userId: nominee._id.toString() });
+        assert.equal(demoted.status, 200);
+
+        const accepted = await accept(nominee);
+        assert.equal(accepted.status, 404);
+        const unchanged = await Space.findById(space._id);
+        assert.equal(unchanged.owner.toString(), owner._id.toString());
+    });
+});
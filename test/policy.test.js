@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { can, getRole } = require('../utils/policy');
+
+const space = {
+    owner: 'owner',
+    admins: ['admin'],
+    editors: ['editor'],
+    members: ['owner', 'admin', 'editor', 'member']
+};
+
+describe('space policy', () => {
+    it('resolves roles from the space lists', () => {
+        assert.deepEqual(['owner', 'admin', 'editor', 'member', 'outsider'].map(user => getRole(space, user)),
+            ['owner', 'admin', 'editor', 'member', null]);
+    });
+
+    for (const action of ['space.update', 'member.remove', 'member.setEditor', 'space.delete']) {
+        it(`only lets the owner ${action}`, () => {
+            assert.equal(can(space, 'owner', action), true);
+            assert.equal(can(space, 'admin', action), false);
+            assert.equal(can(space, 'editor', action), false);
+        });
+    }
+
+    it('lets admins manage join requests and bans', () => {
+        assert.equal(can(space, 'admin', 'member.approve'), true);
+        assert.equal(can(space, 'admin', 'member.ban'), true);
+        assert.equal(can(space, 'editor', 'member.ban'), false);
+    });
+});
@@ -0,0 +1,131 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+
+helpers.describeWithDatabase('quiz answers', () => {
+    let owner;
+    let student;
+    let studySet;
+    let question;
+    let shortQuestion;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        student = await helpers.createUser('student');
+        const fixture = await helpers.createSpaceFixture(owner, { members: [student] });
+
+        studySet = await StudySet.create({
+            title: 'Cells',
+            spaceId: fixture.space._id,
+            subjectId: fixture.subject._id,
+            materialIds: [fixture.material._id],
+            itemTypes: ['mcq', 'short'],
+            createdBy: owner._id
+        });
+        question = await StudyItem.create({
+            setId: studySet._id,
+            spaceId: fixture.space._id,
+            subjectId: fixture.subject._id,
+            materialId: fixture.material._id,
+            type: 'mcq',
+            question: 'What controls what enters the cell?',
+            options: ['Membrane', 'Nucleus', 'Ribosome'],
+            correctIndex: 0,
+            explanation: 'The membrane is selectively permeable.',
+            createdBy: owner._id
+        });
+        shortQuestion = await StudyItem.create({
+            setId: studySet._id,
+            spaceId: fixture.space._id,
+            subjectId: fixture.subject._id,
+            materialId: fixture.material._id,
+            type: 'short',
+            question: 'Where is ATP made?',
+            answer: 'Mitochondria',
+            createdBy: owner._id
+        });
+    });
+
+    const getSet = user => request(app)
+        .get(`/api/study/sets/${studySet._id}`)
+        .set('Authorization', helpers.authHeader(user));
+
+    const submit = (user, body) => request(app)
+        .post(`/api/quizzes/${studySet._id}/attempts`)
+        .set('Authorization', helpers.authHeader(user))
+        .send(body);
+
+    it('hides answers from members until they submit an attempt', async () => {
+        const listed = await getSet(student);
+        assert.equal(listed.status, 200);
+        assert.deepEqual(listed.body.items[0].options, ['Membrane', 'Nucleus', 'Ribosome']);
+        assert.equal(listed.body.items[0].correctIndex, undefined);
+        assert.equal(listed.body.items[0].explanation, undefined);
+
+        const attempt = await submit(student, { answers: [{ itemId: question._id, selectedIndex: 1 }] });
+        assert.equal(attempt.status, 200);
+        assert.equal(attempt.body.review[0].correctIndex, 0);
+        assert.equal(attempt.body.review[0].explanation, 'The membrane is selectively permeable.');
+    });
+
+    it('includes answers for users who can edit the set', async () => {
+        const response = await getSet(owner);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.items[0].correctIndex, 0);
+    });
+
+    it('rejects an invalid startedAt', async () => {
+        const response = await submit(student, { answers: [{ itemId: question._id, selectedIndex: 0 }], startedAt: 'garbage' });
+        assert.equal(response.status, 400);
+    });
+
+    const mark = (user, attemptId, marks) => request(app)
+        .put(`/api/quizzes/attempts/${attemptId}/marks`)
+        .set('Authorization', helpers.authHeader(user))
+        .send({ marks });
+
+    it('ignores self-marks sent with the submission', async () => {
+        const response = await submit(student, {
+            answers: [
+                { itemId: question._id, selectedIndex: 0 },
+                { itemId: shortQuestion._id, response: 'The nucleus', selfMarkedCorrect: true }
+            ]
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.attempt.score, 1);
+        assert.deepEqual(response.body.attempt.missedItemIds, [shortQuestion._id.toString()]);
+    });
+
+    it('lets the student mark their own short answers after submitting', async () => {
+        const submitted = await submit(student, {
+            answers: [
+                { itemId: question._id, selectedIndex: 1 },
+                { itemId: shortQuestion._id, response: 'the mitochondrion' }
+            ]
+        });
+        const attemptId = submitted.body.attempt._id;
+        assert.equal(submitted.body.attempt.score, 0);
+
+        const marked = await mark(student, attemptId, [{ itemId: shortQuestion._id, correct: true }]);
+        assert.equal(marked.status, 200);
+        assert.equal(marked.body.attempt.score, 1);
+        assert.equal(marked.body.attempt.percentage, 50);
+        const short = marked.body.attempt.answers.find(answer => answer.itemId === shortQuestion._id.toString());
+        assert.equal(short.selfMarked, true);
+
+        const mcq = await mark(student, attemptId, [{ itemId: question._id, correct: true }]);
+        assert.equal(mcq.status, 400);
+
+        const other = await mark(owner, attemptId, [{ itemId: shortQuestion._id, correct: true }]);
+        assert.equal(other.status, 403);
+    });
+});
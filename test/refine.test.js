@@ -0,0 +1,101 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const { runGenerationJob } = require('../utils/materialPipeline');
+const { saveMaterialRevision } = require('../utils/revisions');
+const GenerationJob = require('../models/GenerationJob');
+const Material = require('../models/Material');
+const MaterialRevision = require('../models/MaterialRevision');
+
+// Queued jobs run in the background; wait for this one to settle
+const waitForJob = async (jobId) => {
+    for (let i = 0; i < 100; i++) {
+        const job = await GenerationJob.findById(jobId);
+        if (['completed', 'failed'].includes(job.status)) return job;
+        await sleep(100);
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+};
+
+helpers.describeWithDatabase('material refinement', () => {
+    let owner;
+    let member;
+    let fixture;
+
+    before(async () => {
+        helpers.stubFirebaseAuth();
+        await MaterialRevision.syncIndexes();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        member = await helpers.createUser('member');
+        fixture = await helpers.createSpaceFixture(owner, { members: [member] });
+    });
+
+    const refine = (user, body) => request(app)
+        .post(`/api/materials/${fixture.material._id}/refine`)
+        .set('Authorization', helpers.authHeader(user))
+        .send(body);
+
+    it('saves the refined content as a new revision', async () => {
+        const response = await refine(owner, { instruction: 'Add more worked examples', useSourceFiles: false });
+        assert.equal(response.status, 202);
+
+        const job = await waitForJob(response.body.job.id);
+        assert.equal(job.status, 'completed', job.errorDetails);
+        assert.equal(job.baseVersion, 1);
+        assert.equal(job.revisionVersion, 2);
+
+        const material = await Material.findById(fixture.material._id);
+        assert.equal(material.version, 2);
+        assert.match(material.content, /^# Mock Notes/);
+
+        const revisions = await MaterialRevision.find({ materialId: material._id }).sort({ version: 1 });
+        assert.deepEqual(revisions.map(revision => revision.version), [1, 2]);
+        assert.equal(revisions[0].content, fixture.material.content);
+        assert.equal(revisions[1].source, 'refine');
+        assert.equal(revisions[1].instruction, 'Add more worked examples');
+    });
+
+    it('requires an instruction and edit rights', async () => {
+        const missing = await refine(owner, { instruction: '  ' });
+        assert.equal(missing.status, 400);
+
+        const forbidden = await refine(member, { instruction: 'Simplify for first-years' });
+        assert.equal(forbidden.status, 403);
+
+        assert.equal(await GenerationJob.countDocuments({}), 0);
+    });
+
+    it('fails instead of overwriting an edit saved while the job ran', async () => {
+        const job = await GenerationJob.create({
+            kind: 'refine',
+            createdBy: owner._id,
+            subjectId: fixture.subject._id,
+            spaceId: fixture.space._id,
+            materialId: fixture.material._id,
+            instruction: 'Translate to Hindi',
+            baseVersion: 1
+        });
+
+        const material = await Material.findById(fixture.material._id);
+        await saveMaterialRevision(material, { title: material.title, content: '# Cell structure\n\nEdited by hand.' }, owner._id);
+
+        await runGenerationJob(job._id);
+
+        const failed = await GenerationJob.findById(job._id);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.failedStage, 'save');
+        assert.equal(failed.error, 'This material was changed by someone else. Reload it and try again.');
+
+        const current = await Material.findById(fixture.material._id);
+        assert.equal(current.version, 2);
+        assert.equal(current.content, '# Cell structure\n\nEdited by hand.');
+        assert.equal(await MaterialRevision.countDocuments({ materialId: material._id, source: 'refine' }), 0);
+    });
+});
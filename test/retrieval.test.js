@@ -0,0 +1,69 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { indexMaterial, indexStaleMaterials, retrieveChunks } = require('../utils/retrieval');
+const { chunkMarkdown } = require('../utils/chunker');
+const MaterialChunk = require('../models/MaterialChunk');
+
+helpers.describeWithDatabase('material indexing', () => {
+    let fixture;
+
+    before(async () => {
+        await MaterialChunk.syncIndexes();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        const owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+    });
+
+    it('does not duplicate chunks when the same content is indexed concurrently', async () => {
+        await Promise.all([indexMaterial(fixture.material), indexMaterial(fixture.material)]);
+
+        const expected = chunkMarkdown(fixture.material.content).length;
+        assert.equal(await MaterialChunk.countDocuments({ materialId: fixture.material._id }), expected);
+        assert.equal(await indexMaterial(fixture.material), 0);
+    });
+
+    it('replaces the chunks of old content after an edit', async () => {
+        await indexMaterial(fixture.material);
+
+        fixture.material.content = '# Mitochondria\n\nMitochondria release energy from glucose.';
+        await fixture.material.save();
+        await indexMaterial(fixture.material);
+
+        const chunks = await MaterialChunk.find({ materialId: fixture.material._id });
+        assert.ok(chunks.length > 0);
+        assert.ok(chunks.every(chunk => chunk.text.includes('Mitochondria')));
+    });
+
+    it('only reads stored chunks at question time', async () => {
+        assert.deepEqual(await retrieveChunks('membrane', { subjectId: fixture.subject._id }), []);
+
+        assert.equal(await indexStaleMaterials(), 1);
+        const results = await retrieveChunks('What does the membrane control?', { subjectId: fixture.subject._id });
+        assert.equal(results[0].title, 'Cell structure');
+        assert.equal(await indexStaleMaterials(), 0);
+    });
+
+    it('scores at most RETRIEVAL_MAX_CANDIDATES chunks, keyword matches first', async () => {
+        fixture.material.content = [
+            '# Cells',
+            '## Membrane\nThe membrane controls what enters and leaves the cell.',
+            '## Mitochondria\nMitochondria release energy from glucose.',
+            '## Ribosomes\nRibosomes build proteins.'
+        ].join('\n\n');
+        await fixture.material.save();
+        await indexMaterial(fixture.material);
+
+        process.env.RETRIEVAL_MAX_CANDIDATES = '1';
+        try {
+            const results = await retrieveChunks('Where is energy released from glucose?', { subjectId: fixture.subject._id });
+            assert.equal(results.length, 1);
+            assert.match(results[0].text, /Mitochondria/);
+        } finally {
+            delete process.env.RETRIEVAL_MAX_CANDIDATES;
+        }
+    });
+});
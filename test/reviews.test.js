@@ -0,0 +1,64 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+const ReviewState = require('../models/ReviewState');
+const ReviewLog = require('../models/ReviewLog');
+
+helpers.describeWithDatabase('flashcard reviews', () => {
+    let owner;
+    let card;
+
+    before(async () => {
+        helpers.stubFirebaseAuth();
+        await ReviewState.syncIndexes();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        const fixture = await helpers.createSpaceFixture(owner);
+        const studySet = await StudySet.create({
+            title: 'Cells',
+            spaceId: fixture.space._id,
+            subjectId: fixture.subject._id,
+            materialIds: [fixture.material._id],
+            itemTypes: ['flashcard'],
+            createdBy: owner._id
+        });
+        card = await StudyItem.create({
+            setId: studySet._id,
+            spaceId: fixture.space._id,
+            subjectId: fixture.subject._id,
+            materialId: fixture.material._id,
+            type: 'flashcard',
+            front: 'Cell membrane',
+            back: 'Controls what enters and leaves the cell',
+            createdBy: owner._id
+        });
+    });
+
+    const review = grade => request(app)
+        .post(`/api/reviews/${card._id}`)
+        .set('Authorization', helpers.authHeader(owner))
+        .send({ grade });
+
+    it('shares one state between concurrent first reviews of a card', async () => {
+        const responses = await Promise.all([review(4), review(5)]);
+        assert.deepEqual(responses.map(response => response.status), [200, 200]);
+
+        assert.equal(await ReviewState.countDocuments({ user: owner._id, itemId: card._id }), 1);
+        assert.equal(await ReviewLog.countDocuments({ user: owner._id, itemId: card._id }), 2);
+    });
+
+    it('schedules later reviews from the stored state', async () => {
+        await review(5);
+        const second = await review(5);
+        assert.equal(second.status, 200);
+        assert.equal(second.body.state.repetitions, 2);
+        assert.equal(second.body.state.interval, 6);
+    });
+});
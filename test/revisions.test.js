@@ -0,0 +1,83 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../app');
+const { saveMaterialRevision, RevisionConflictError } = require('../utils/revisions');
+const Material = require('../models/Material');
+const MaterialRevision = require('../models/MaterialRevision');
+
+helpers.describeWithDatabase('material revisions', () => {
+    let owner;
+    let fixture;
+
+    before(async () => {
+        helpers.stubFirebaseAuth();
+        await MaterialRevision.syncIndexes();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+    });
+
+    it('lets only one of two saves from the same version through', async () => {
+        const first = await Material.findById(fixture.material._id);
+        const second = await Material.findById(fixture.material._id);
+
+        await saveMaterialRevision(first, { title: 'First edit', content: 'First' }, owner._id);
+        await assert.rejects(
+            saveMaterialRevision(second, { title: 'Second edit', content: 'Second' }, owner._id),
+            RevisionConflictError
+        );
+
+        const material = await Material.findById(fixture.material._id);
+        assert.equal(material.title, 'First edit');
+        assert.equal(material.version, 2);
+
+        const revisions = await MaterialRevision.find({ materialId: material._id }).sort({ version: 1 });
+        assert.deepEqual(revisions.map(revision => [revision.version, revision.title]), [[1, 'Cell structure'], [2, 'First edit']]);
+    });
+
+    it('returns 409 for an edit based on an old version', async () => {
+        const edit = (body) => request(app)
+            .put(`/api/materials/${fixture.material._id}`)
+            .set('Authorization', helpers.authHeader(owner))
+            .send(body);
+
+        const saved = await edit({ content: '# Cell structure\n\nEdited once.', version: 1 });
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.material.version, 2);
+
+        const stale = await edit({ content: '# Cell structure\n\nEdited from a stale copy.', version: 1 });
+        assert.equal(stale.status, 409);
+
+        const material = await Material.findById(fixture.material._id);
+        assert.equal(material.content, '# Cell structure\n\nEdited once.');
+    });
+
+    it('rejects a stale edit before rendering its diagrams', async () => {
+        await Material.updateOne({ _id: fixture.material._id }, { $set: { version: 2 } });
+
+        const originalGet = axios.get;
+        const originalPost = axios.post;
+        let krokiCalls = 0;
+        axios.get = axios.post = async () => {
+            krokiCalls++;
+            throw new Error('Kroki should not be called');
+        };
+        try {
+            const stale = await request(app)
+                .put(`/api/materials/${fixture.material._id}`)
+                .set('Authorization', helpers.authHeader(owner))
+                .send({ content: '# Cell structure\n\n```graphviz\ndigraph { a -> b }\n```', version: 1 });
+            assert.equal(stale.status, 409);
+        } finally {
+            axios.get = originalGet;
+            axios.post = originalPost;
+        }
+        assert.equal(krokiCalls, 0);
+    });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { highlight, buildSnippet, buildHighlights } = require('../utils/search');
+
+describe('search highlighting', () => {
+    it('marks every term occurrence', () => {
+        assert.equal(highlight('Entropy and entropy', ['entropy']), '<mark>Entropy</mark> and <mark>entropy</mark>');
+    });
+
+    it('escapes material text before adding marks', () => {
+        assert.equal(
+            highlight('<script>alert(1)</script> entropy', ['entropy']),
+            '&lt;script&gt;alert(1)&lt;/script&gt; <mark>entropy</mark>'
+        );
+        assert.equal(
+            buildSnippet('<img src=x onerror="steal()"> heat & entropy', ['entropy']),
+            '&lt;img src=x onerror=&quot;steal()&quot;&gt; heat &amp; <mark>entropy</mark>'
+        );
+    });
+
+    it('never matches inside an escape sequence', () => {
+        assert.equal(highlight('R&D', ['amp']), 'R&amp;D');
+    });
+
+    it('escapes the fallback snippet and headings', () => {
+        const hit = buildHighlights({
+            title: 'Heat <b>engines</b>',
+            content: '<iframe src="evil"></iframe>',
+            headings: ['<em>Heat</em> transfer'],
+            images: []
+        }, ['heat']);
+
+        assert.deepEqual(hit.matchedIn, ['title', 'headings']);
+        assert.equal(hit.title, '<mark>Heat</mark> &lt;b&gt;engines&lt;/b&gt;');
+        assert.equal(hit.snippet, '&lt;iframe src=&quot;evil&quot;&gt;&lt;/iframe&gt;');
+        assert.deepEqual(hit.headings, ['&lt;em&gt;<mark>Heat</mark>&lt;/em&gt; transfer']);
+    });
+});
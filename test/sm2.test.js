@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { initialState, scheduleReview, dayBounds, MIN_EASE_FACTOR } = require('../utils/sm2');
+
+const now = new Date('2026-03-01T10:00:00.000Z');
+
+// Apply grades in order, one review per call, all at the same time
+const review = (grades, state = initialState()) => grades.reduce((current, grade) => scheduleReview(current, grade, now), state);
+
+describe('scheduleReview', () => {
+    it('schedules 1 day, then 6 days, then the previous interval times the ease factor', () => {
+        let state = initialState();
+        const intervals = [];
+        for (let i = 0; i < 4; i++) {
+            state = scheduleReview(state, 4, now);
+            intervals.push(state.interval);
+        }
+
+        // Grade 4 leaves the ease factor at 2.5: 6 * 2.5 = 15, 15 * 2.5 = 37.5
+        assert.deepEqual(intervals, [1, 6, 15, 38]);
+        assert.equal(state.repetitions, 4);
+        assert.equal(state.easeFactor, 2.5);
+    });
+
+    it('multiplies by the ease factor from before the current review', () => {
+        const state = review([5, 5, 5]);
+        // 2.5 + 0.1 per perfect review; the third interval uses 2.7, the value after two reviews
+        assert.equal(state.easeFactor, 2.8);
+        assert.equal(state.interval, Math.round(6 * 2.7));
+    });
+
+    it('resets repetitions and the interval when the grade is below 3', () => {
+        const learned = review([4, 4, 4]);
+        assert.equal(learned.interval, 15);
+
+        const lapsed = scheduleReview(learned, 2, now);
+        assert.equal(lapsed.lapsed, true);
+        assert.equal(lapsed.repetitions, 0);
+        assert.equal(lapsed.interval, 1);
+        assert.equal(lapsed.easeFactor, 2.18);
+
+        // Relearning starts over at 1 then 6 days
+        const relearned = review([4, 4], lapsed);
+        assert.equal(relearned.interval, 6);
+        assert.equal(relearned.lapsed, false);
+    });
+
+    it('never lowers the ease factor below 1.3', () => {
+        const state = review([0, 0, 0, 0]);
+        assert.equal(state.easeFactor, MIN_EASE_FACTOR);
+        assert.equal(scheduleReview(state, 3, now).easeFactor, MIN_EASE_FACTOR);
+    });
+
+    it('sets the due date interval days after the given time', () => {
+        const first = scheduleReview(initialState(), 4, now);
+        assert.equal(first.dueAt.toISOString(), '2026-03-02T10:00:00.000Z');
+
+        const second = scheduleReview(first, 4, new Date('2026-03-02T18:30:00.000Z'));
+        assert.equal(second.dueAt.toISOString(), '2026-03-08T18:30:00.000Z');
+    });
+
+    it('rejects grades outside 0 to 5', () => {
+        assert.throws(() => scheduleReview(initialState(), 6, now), RangeError);
+        assert.throws(() => scheduleReview(initialState(), 2.5, now), RangeError);
+    });
+});
+
+describe('dayBounds', () => {
+    it('returns the local calendar day for a UTC offset', () => {
+        const { start, end } = dayBounds(new Date('2026-03-01T20:00:00.000Z'), 330);
+        // 20:00 UTC is 01:30 on 2 March in IST
+        assert.equal(start.toISOString(), '2026-03-01T18:30:00.000Z');
+        assert.equal(end.toISOString(), '2026-03-02T18:30:00.000Z');
+    });
+});
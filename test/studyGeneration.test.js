@@ -0,0 +1,65 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+
+helpers.describeWithDatabase('study set generation', () => {
+    let owner;
+    let fixture;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+    });
+
+    const as = (method, url) => request(app)[method](url).set('Authorization', helpers.authHeader(owner));
+
+    // Poll the job until it has finished (the mock provider answers immediately)
+    const waitForJob = async (jobId) => {
+        for (let i = 0; i < 50; i++) {
+            const { body } = await as('get', `/api/jobs/${jobId}`);
+            if (!['queued', 'running'].includes(body.job.status)) {
+                return body.job;
+            }
+            await sleep(100);
+        }
+        throw new Error('Job did not finish');
+    };
+
+    it('queues generation and saves the requested number of items', async () => {
+        const queued = await as('post', '/api/study/generate').send({
+            materialId: fixture.material._id.toString(),
+            types: ['mcq', 'flashcard'],
+            count: { mcq: 2, flashcard: 4 }
+        });
+        assert.equal(queued.status, 202);
+
+        const job = await waitForJob(queued.body.job.id);
+        assert.equal(job.status, 'completed', job.error);
+        assert.deepEqual(job.stages, ['generate', 'save']);
+
+        const result = await as('get', `/api/jobs/${job.id}/result`);
+        assert.equal(result.status, 200);
+        assert.equal(result.body.set.title, 'Cell structure');
+
+        const countOf = type => result.body.items.filter(item => item.type === type).length;
+        assert.deepEqual([countOf('mcq'), countOf('flashcard')], [2, 4]);
+        assert.ok(result.body.items.every(item => item.materialId === fixture.material._id.toString()));
+    });
+
+    it('rejects a null count instead of failing', async () => {
+        const response = await as('post', '/api/study/generate').send({
+            materialId: fixture.material._id.toString(),
+            types: ['mcq'],
+            count: null
+        });
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStudyItems } = require('../utils/studyItems');
+
+const flashcards = count => Array.from({ length: count }, (_, i) => ({ front: `Term ${i + 1}`, back: `Meaning ${i + 1}`, materialIndex: 1 }));
+
+describe('parseStudyItems', () => {
+    it('drops items beyond the requested count', () => {
+        const { items, errors } = parseStudyItems(JSON.stringify({ flashcard: flashcards(5) }), { flashcard: 3 }, 1);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(items.map(item => item.front), ['Term 1', 'Term 2', 'Term 3']);
+    });
+
+    it('fails validation when fewer items than requested are returned', () => {
+        const { errors } = parseStudyItems(JSON.stringify({ flashcard: flashcards(2) }), { flashcard: 3 }, 1);
+        assert.deepEqual(errors, ['"flashcard" must have 3 items, got 2']);
+    });
+
+    it('ignores invalid items beyond the requested count', () => {
+        const output = { flashcard: [...flashcards(2), { front: '' }] };
+        const { items, errors } = parseStudyItems(JSON.stringify(output), { flashcard: 2 }, 1);
+        assert.deepEqual(errors, []);
+        assert.equal(items.length, 2);
+    });
+});
@@ -0,0 +1,89 @@
+const { it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const request = require('supertest');
+const app = require('../app');
+const { trashSubject, restoreSubject, trashMaterial, restoreMaterial } = require('../utils/trash');
+const Material = require('../models/Material');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+const ReviewState = require('../models/ReviewState');
+const QuizAttempt = require('../models/QuizAttempt');
+
+helpers.describeWithDatabase('trashing study data with its source', () => {
+    let owner;
+    let fixture;
+
+    before(() => {
+        helpers.stubFirebaseAuth();
+    });
+
+    beforeEach(async () => {
+        await helpers.clearDatabase();
+        owner = await helpers.createUser('owner');
+        fixture = await helpers.createSpaceFixture(owner);
+
+        const { space, subject, material } = fixture;
+        const studySet = await StudySet.create({
+            title: 'Cells', spaceId: space._id, subjectId: subject._id,
+            materialIds: [material._id], itemTypes: ['flashcard'], createdBy: owner._id
+        });
+        const card = await StudyItem.create({
+            setId: studySet._id, spaceId: space._id, subjectId: subject._id, materialId: material._id,
+            type: 'flashcard', front: 'Membrane', back: 'Controls what enters the cell', createdBy: owner._id
+        });
+        await ReviewState.create({
+            user: owner._id, itemId: card._id, spaceId: space._id, subjectId: subject._id, dueAt: new Date(0)
+        });
+        await QuizAttempt.create({
+            user: owner._id, setId: studySet._id, spaceId: space._id, subjectId: subject._id,
+            answers: [], score: 0, total: 0, percentage: 0
+        });
+    });
+
+    const get = url => request(app).get(url).set('Authorization', helpers.authHeader(owner));
+
+    const listed = async () => {
+        const [sets, due] = await Promise.all([
+            get(`/api/study/sets?spaceId=${fixture.space._id}`),
+            get(`/api/reviews/due?spaceId=${fixture.space._id}`)
+        ]);
+        assert.equal(sets.status, 200);
+        assert.equal(due.status, 200);
+        return {
+            sets: sets.body.sets.length,
+            due: due.body.counts.due,
+            attempts: await QuizAttempt.countDocuments({ spaceId: fixture.space._id })
+        };
+    };
+
+    it('hides and restores study data with its subject', async () => {
+        assert.deepEqual(await listed(), { sets: 1, due: 1, attempts: 1 });
+
+        await trashSubject(fixture.subject, owner._id);
+        assert.deepEqual(await listed(), { sets: 0, due: 0, attempts: 0 });
+
+        await restoreSubject(fixture.subject);
+        assert.deepEqual(await listed(), { sets: 1, due: 1, attempts: 1 });
+    });
+
+    it('hides and restores study data with its only material', async () => {
+        await trashMaterial(fixture.material, owner._id);
+        assert.deepEqual(await listed(), { sets: 0, due: 0, attempts: 0 });
+
+        await restoreMaterial(await Material.findById(fixture.material._id).withDeleted());
+        assert.deepEqual(await listed(), { sets: 1, due: 1, attempts: 1 });
+    });
+
+    it('keeps a set while another of its materials is live', async () => {
+        const other = await Material.create({
+            title: 'Organelles', content: '# Organelles', subjectId: fixture.subject._id,
+            spaceId: fixture.space._id, createdBy: owner._id
+        });
+        await StudySet.updateMany({}, { $push: { materialIds: other._id } });
+
+        await trashMaterial(fixture.material, owner._id);
+        assert.deepEqual(await listed(), { sets: 1, due: 0, attempts: 1 });
+        assert.equal(await StudyItem.countDocuments({ subjectId: fixture.subject._id }), 0);
+    });
+});
@@ -0,0 +1,48 @@
+const ActivityLog = require('../models/ActivityLog');
+
+/**
+ * Append an entry to a space's activity log.
+ * Never throws: a failed audit write must not fail the request that triggered it.
+ * @param {Object} entry
+ * @param {string|Object} entry.spaceId
+ * @param {string|Object} [entry.actor] - User who acted (empty for system actions)
+ * @param {string} entry.action - Dotted action name, e.g. 'subject.delete'
+ * @param {string} [entry.targetType]
+ * @param {string|Object} [entry.targetId]
+ * @param {string} [entry.targetName]
+ * @param {string} [entry.summary] - One line for the feed
+ * @param {Object} [entry.before] - Changed fields before
+ * @param {Object} [entry.after] - Changed fields after
+ * @param {Object} [entry.metadata] - Anything else worth keeping (counts, roles, job IDs)
+ * @returns {Promise<Object|null>} Saved entry, or null if it could not be written
+ */
+async function recordActivity(entry) {
+    try {
+        return await ActivityLog.create(entry);
+    } catch (error) {
+        // Auditing is best-effort
+        return null;
+    }
+}
+
+/**
+ * Keep only the fields whose values differ, for compact before/after summaries
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {{before: Object, after: Object}|null} null when nothing changed
+ */
+function changedFields(before, after) {
+    const diff = { before: {}, after: {} };
+    for (const key of Object.keys(after)) {
+        if (after[key] !== undefined && String(before[key]) !== String(after[key])) {
+            diff.before[key] = before[key];
+            diff.after[key] = after[key];
+        }
+    }
+    return Object.keys(diff.after).length > 0 ? diff : null;
+}
+
+module.exports = {
+    recordActivity,
+    changedFields
+};
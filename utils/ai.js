@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Text generation providers. Each has
+ *   name
+ *   mediaTypes - MIME type prefixes of attachments it accepts; empty for text-only providers
+ *   defaultModel
+ *   generate(content, { model, task, temperature, maxTokens, json, signal }) -> { text }
+ *   stream(content, onChunk, options) -> { text }
+ * task is the TASKS entry being run. signal is an AbortSignal that cancels the request.
+ * content is a prompt string or an array of parts: strings, { text } and { inlineData: { data, mimeType } }.
+ */
+
+const OPENAI_TIMEOUT_MS = 300000;
+
+// Tasks with their own fallback chain (AI_CHAIN_<TASK>, e.g. AI_CHAIN_CHAT)
+const TASKS = ['notes', 'chat', 'study', 'repair'];
+
+// Errors worth moving on to the next model for: rate limits, overload and unreachable servers
+const FALLBACK_STATUSES = [429, 500, 502, 503, 504];
+const FALLBACK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'ECONNABORTED'];
+
+/**
+ * Error from an AI provider, or for a task no configured provider can run
+ */
+class AIProviderError extends Error {
+    constructor(message, { status, userMessage } = {}) {
+        super(message);
+        this.name = 'AIProviderError';
+        this.status = status;
+        this.userMessage = userMessage;
+    }
+}
+
+const toParts = (content) => (Array.isArray(content) ? content : [content])
+    .map(part => (typeof part === 'string' ? { text: part } : part));
+
+const mediaTypesOf = (content) => toParts(content)
+    .filter(part => part.inlineData)
+    .map(part => part.inlineData.mimeType || 'application/octet-stream');
+
+/**
+ * Whether a provider accepts every attachment in the content
+ * @param {Object} provider
+ * @param {string|Array} content
+ * @returns {boolean}
+ */
+function canHandle(provider, content) {
+    return mediaTypesOf(content).every(type => provider.mediaTypes.some(prefix => type.startsWith(prefix)));
+}
+
+/**
+ * Google Gemini (config/gemini.js)
+ */
+const geminiProvider = {
+    name: 'gemini',
+    mediaTypes: ['image/', 'application/pdf', 'audio/'],
+
+    get defaultModel() {
+        return require('../config/gemini').MODEL_HIERARCHY[0];
+    },
+
+    getModel(model, { temperature, maxTokens, json } = {}) {
+        const { genAI, generationConfig } = require('../config/gemini');
+        const overrides = {};
+        if (temperature !== undefined) overrides.temperature = temperature;
+        if (maxTokens !== undefined) overrides.maxOutputTokens = maxTokens;
+        if (json) overrides.responseMimeType = 'application/json';
+
+        return genAI.getGenerativeModel({ model, generationConfig: { ...generationConfig, ...overrides } });
+    },
+
+    async generate(content, { model, signal, ...options } = {}) {
+        const result = await this.getModel(model, options).generateContent(content, { signal });
+        const response = await result.response;
+        return { text: response.text() };
+    },
+
+    async stream(content, onChunk, { model, signal, ...options } = {}) {
+        const result = await this.getModel(model, options).generateContentStream(content, { signal });
+        let text = '';
+
+        for await (const chunk of result.stream) {
+            const chunkText = chunk.text();
+            if (chunkText) {
+                text += chunkText;
+                onChunk(chunkText);
+            }
+        }
+        return { text };
+    }
+};
+
+/**
+ * Any server with the OpenAI chat completions API: OpenAI itself, or a local
+ * Ollama / llama.cpp / vLLM server. Multimodal servers accept images only.
+ * @param {Object} config
+ * @param {string} config.name - Provider name used in chains
+ * @param {string} config.baseUrl - API root, e.g. http://localhost:11434/v1
+ * @param {string} [config.apiKey] - Sent as a bearer token if set
+ * @param {string} config.model - Model used when a chain entry does not name one
+ * @param {boolean} [config.multimodal=false] - Whether the model accepts images
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, model, multimodal = false }) {
+    const toMessageContent = (content) => toParts(content).map(part => (part.inlineData
+        ? { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }
+        : { type: 'text', text: part.text }));
+
+    const request = (content, { model: modelName, temperature, maxTokens, json, signal } = {}, stream = false) => {
+        const parts = toMessageContent(content);
+        // Text-only servers may not understand content arrays
+        const messageContent = parts.every(part => part.type === 'text')
+            ? parts.map(part => part.text).join('\n\n')
+            : parts;
+
+        return axios.post(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            model: modelName || model,
+            messages: [{ role: 'user', content: messageContent }],
+            temperature,
+            max_tokens: maxTokens,
+            response_format: json ? { type: 'json_object' } : undefined,
+            stream
+        }, {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            responseType: stream ? 'stream' : 'json',
+            timeout: OPENAI_TIMEOUT_MS,
+            signal
+        });
+    };
+
+    const wrapError = (error) => {
+        if (!error.response) {
+            return error;
+        }
+        const detail = error.response.data?.error?.message || error.message;
+        return new AIProviderError(`${name} API error: ${detail}`, { status: error.response.status });
+    };
+
+    return {
+        name,
+        mediaTypes: multimodal ? ['image/'] : [],
+        defaultModel: model,
+
+        async generate(content, options = {}) {
+            try {
+                const response = await request(content, options);
+                return { text: response.data.choices?.[0]?.message?.content || '' };
+            } catch (error) {
+                throw wrapError(error);
+            }
+        },
+
+        async stream(content, onChunk, options = {}) {
+            let response;
+            try {
+                response = await request(content, options, true);
+            } catch (error) {
+                throw wrapError(error);
+            }
+
+            // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+            let text = '';
+            let buffered = '';
+            const readLine = (line) => {
+                const payload = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !payload || payload === '[DONE]') {
+                    return;
+                }
+                const chunkText = JSON.parse(payload).choices?.[0]?.delta?.content;
+                if (chunkText) {
+                    text += chunkText;
+                    onChunk(chunkText);
+                }
+            };
+
+            for await (const data of response.data) {
+                buffered += data.toString('utf8');
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+                lines.forEach(readLine);
+            }
+            // Some servers end the stream without a newline after the last event
+            readLine(buffered);
+            return { text };
+        }
+    };
+}
+
+const promptText = (content) => toParts(content).filter(part => part.text).map(part => part.text).join('\n');
+const digestOf = (content) => crypto.createHash('md5').update(promptText(content)).digest('hex').substring(0, 8);
+
+/**
+ * Study items for the counts requested in a utils/studyItems.js prompt ("- 5 \"mcq\" items")
+ * @param {string|Array} content
+ * @returns {string} JSON matching OUTPUT_SCHEMA in utils/studyItems.js
+ */
+function mockStudyItems(content) {
+    const output = {};
+    for (const [, count, type] of promptText(content).matchAll(/^- (\d+) "(mcq|short|flashcard)" items?$/gm)) {
+        output[type] = Array.from({ length: parseInt(count, 10) }, (_, i) => {
+            const n = i + 1;
+            if (type === 'mcq') {
+                return {
+                    question: `Mock question ${n}?`,
+                    options: [`Right answer ${n}`, `Wrong answer ${n}a`, `Wrong answer ${n}b`],
+                    correctIndex: 0,
+                    explanation: `Mock explanation ${n}.`,
+                    materialIndex: 1
+                };
+            }
+            if (type === 'short') {
+                return { question: `Mock short question ${n}?`, answer: `Mock answer ${n}`, explanation: `Mock explanation ${n}.`, materialIndex: 1 };
+            }
+            return { front: `Mock term ${n}`, back: `Mock definition ${n}`, materialIndex: 1 };
+        });
+    }
+    return JSON.stringify(output);
+}
+
+/**
+ * Mock output per task, shaped like what each caller parses
+ */
+const MOCK_RESPONSES = {
+    notes: content => `# Mock Notes
+> **Summary:** Deterministic output from the mock AI provider.
+
+---
+Prompt digest ${digestOf(content)}, ${mediaTypesOf(content).length} attachment(s).`,
+    chat: content => `Mock answer (prompt digest ${digestOf(content)}).`,
+    study: mockStudyItems,
+    repair: () => 'graph TD\n    A[Start] --> B[End]'
+};
+
+/**
+ * Deterministic responses for tests and offline development, from MOCK_RESPONSES by task.
+ * Replace respond() (or register another provider as 'mock') to script answers.
+ */
+const mockProvider = {
+    name: 'mock',
+    mediaTypes: ['image/', 'application/pdf', 'audio/'],
+    defaultModel: 'mock',
+
+    respond(content, { task, json } = {}) {
+        if (MOCK_RESPONSES[task]) {
+            return MOCK_RESPONSES[task](content);
+        }
+        return json ? '{}' : MOCK_RESPONSES.notes(content);
+    },
+
+    async generate(content, options = {}) {
+        return { text: this.respond(content, options) };
+    },
+
+    async stream(content, onChunk, options = {}) {
+        const text = this.respond(content, options);
+        for (const chunk of text.match(/\S+\s*/g) || []) {
+            options.signal?.throwIfAborted();
+            onChunk(chunk);
+        }
+        return { text };
+    }
+};
+
+const providers = {
+    gemini: geminiProvider,
+    openai: createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        multimodal: process.env.OPENAI_MULTIMODAL !== 'false'
+    }),
+    local: createOpenAICompatibleProvider({
+        name: 'local',
+        baseUrl: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LOCAL_AI_API_KEY,
+        model: process.env.LOCAL_AI_MODEL || 'llama3.1',
+        multimodal: process.env.LOCAL_AI_MULTIMODAL === 'true'
+    }),
+    mock: mockProvider
+};
+
+/**
+ * Register or replace a provider
+ * @param {string} key - Name used in chains
+ * @param {Object} provider
+ */
+function registerAIProvider(key, provider) {
+    providers[key] = provider;
+}
+
+/**
+ * The ordered models to try for a task.
+ * AI_CHAIN_<TASK> (e.g. AI_CHAIN_CHAT), then AI_CHAIN, list "provider" or "provider:model" entries,
+ * e.g. "local:llama3.1,gemini:gemini-2.5-flash". Default: the Gemini models in config/gemini.js.
+ * @param {string} task - One of TASKS
+ * @returns {Array<{provider: Object, model: string}>}
+ */
+function getChain(task) {
+    const configured = process.env[`AI_CHAIN_${task.toUpperCase()}`] || process.env.AI_CHAIN;
+    if (!configured) {
+        const { MODEL_HIERARCHY } = require('../config/gemini');
+        return MODEL_HIERARCHY.map(model => ({ provider: geminiProvider, model }));
+    }
+
+    return configured.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [key, ...modelParts] = entry.split(':');
+            const provider = providers[key];
+            if (!provider) {
+                throw new AIProviderError(`Unknown AI provider "${key}" in the ${task} chain`);
+            }
+            return { provider, model: modelParts.join(':') || provider.defaultModel };
+        });
+}
+
+// A cancelled request (options.signal aborted) is never retried on another model
+const shouldFallBack = (error, { signal } = {}) => !signal?.aborted
+    && (FALLBACK_STATUSES.includes(error.status || error.response?.status) || FALLBACK_CODES.includes(error.code));
+
+// Chain entries able to take the content's attachments
+const usableChain = (task, content) => {
+    const chain = getChain(task).filter(({ provider }) => canHandle(provider, content));
+    if (chain.length === 0) {
+        throw new AIProviderError(`No model in the ${task} chain accepts ${mediaTypesOf(content).join(', ')}`, {
+            userMessage: 'No configured AI model can read these files. Try a text prompt instead.'
+        });
+    }
+    return chain;
+};
+
+/**
+ * Generate text for a task, moving down its chain when a model is rate limited, overloaded or unreachable.
+ * Models that cannot take the content's attachments are skipped.
+ * @param {string} task - 'notes', 'chat', 'study' or 'repair'
+ * @param {string|Array} content - Prompt or content parts
+ * @param {Object} [options] - { temperature, maxTokens, json, signal }
+ * @returns {Promise<{text: string, provider: string, modelId: string}>}
+ */
+async function generateText(task, content, options = {}) {
+    let lastError = null;
+
+    for (const { provider, model } of usableChain(task, content)) {
+        try {
+            const { text } = await provider.generate(content, { ...options, model, task });
+            return { text, provider: provider.name, modelId: model };
+        } catch (error) {
+            lastError = error;
+            if (!shouldFallBack(error, options)) {
+                throw error;
+            }
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Stream text for a task, falling back only while nothing has been sent to onChunk.
+ * Once text has been sent, errors are thrown rather than retried.
+ * @param {string} task - As for generateText
+ * @param {string|Array} content - Prompt or content parts
+ * @param {function(string): void} onChunk - Called with each text chunk
+ * @param {Object} [options] - { temperature, maxTokens, json, signal }; aborting signal stops the stream
+ * @returns {Promise<{text: string, provider: string, modelId: string}>}
+ */
+async function streamText(task, content, onChunk, options = {}) {
+    let lastError = null;
+
+    for (const { provider, model } of usableChain(task, content)) {
+        let sent = false;
+        try {
+            const { text } = await provider.stream(content, chunk => {
+                sent = true;
+                onChunk(chunk);
+            }, { ...options, model, task });
+            return { text, provider: provider.name, modelId: model };
+        } catch (error) {
+            lastError = error;
+            if (sent || !shouldFallBack(error, options)) {
+                throw error;
+            }
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Providers and models configured for each task, and what each accepts
+ * @returns {Object} Task name -> [{ provider, model, multimodal, mediaTypes }]
+ */
+function describeChains() {
+    return Object.fromEntries(TASKS.map(task => [task, getChain(task).map(({ provider, model }) => ({
+        provider: provider.name,
+        model,
+        multimodal: provider.mediaTypes.length > 0,
+        mediaTypes: provider.mediaTypes
+    }))]));
+}
+
+module.exports = {
+    TASKS,
+    MOCK_RESPONSES,
+    AIProviderError,
+    canHandle,
+    createOpenAICompatibleProvider,
+    registerAIProvider,
+    getChain,
+    describeChains,
+    generateText,
+    streamText
+};
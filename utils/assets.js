@@ -0,0 +1,176 @@
+const Asset = require('../models/Asset');
+const Material = require('../models/Material');
+const { getStorage } = require('./storage');
+const { forgetCachedDiagrams } = require('./kroki');
+
+// Every asset this app uploads lives under this folder
+const ASSET_ROOT_FOLDER = 'study_space';
+
+// Files recorded before storage drivers existed are in Cloudinary
+const storageOf = (entry) => entry.storage || 'cloudinary';
+
+/**
+ * Derive a Cloudinary public ID from a delivery URL (for materials saved before IDs were recorded)
+ * @param {string} url
+ * @returns {string|null}
+ */
+function publicIdFromUrl(url) {
+    if (typeof url !== 'string' || !url.includes('res.cloudinary.com')) {
+        return null;
+    }
+    const match = url.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-zA-Z0-9]+)?$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Stored files a material references (rendered diagrams and source files)
+ * @param {Object} material - Material document or lean object
+ * @returns {Array<{storage: string, publicId: string, kind: string}>}
+ */
+function getMaterialAssets(material) {
+    const assets = new Map();
+    const add = (entry, kind) => {
+        const publicId = entry.publicId || publicIdFromUrl(entry.url);
+        if (publicId) {
+            assets.set(`${storageOf(entry)}:${publicId}`, { storage: storageOf(entry), publicId, kind });
+        }
+    };
+
+    (material.images || []).forEach(image => {
+        add(image, image.type === 'diagram' ? 'diagram' : 'image');
+        (image.variants || []).forEach(variant => add(variant, 'diagram'));
+    });
+    (material.sourceFiles || []).forEach(file => add(file, 'source'));
+
+    return [...assets.values()];
+}
+
+/**
+ * Record that a material references its assets. Idempotent, so safe to call after every save.
+ * @param {Object} material - Material document
+ */
+async function retainAssets(material) {
+    for (const { storage, publicId, kind } of getMaterialAssets(material)) {
+        await Asset.updateOne(
+            { storage, publicId },
+            { $addToSet: { materials: material._id }, $setOnInsert: { kind } },
+            { upsert: true }
+        );
+    }
+}
+
+/**
+ * retainAssets for post-save paths that must not fail on it.
+ * The reconcile script rebuilds missed references.
+ * @param {Object} material - Material document
+ */
+async function retainAssetsQuietly(material) {
+    try {
+        await retainAssets(material);
+    } catch (error) {
+        // Picked up by the next reconcile
+    }
+}
+
+/**
+ * Drop materials' references and destroy assets nothing references any more.
+ * Call when materials are permanently deleted.
+ * @param {Array<string|Object>} materialIds
+ * @returns {Promise<string[]>} Public IDs that were destroyed
+ */
+async function releaseAssets(materialIds) {
+    if (materialIds.length === 0) {
+        return [];
+    }
+
+    const affected = await Asset.find({ materials: { $in: materialIds } }).select('storage publicId');
+    await Asset.updateMany(
+        { materials: { $in: materialIds } },
+        { $pull: { materials: { $in: materialIds } } }
+    );
+
+    // Claim each unreferenced asset by deleting its record first, so a concurrent release cannot destroy it twice
+    const orphanedByStorage = new Map();
+    for (const { storage, publicId } of affected) {
+        const asset = await Asset.findOneAndDelete({ storage, publicId, materials: { $size: 0 } });
+        if (asset) {
+            orphanedByStorage.set(storage, [...(orphanedByStorage.get(storage) || []), publicId]);
+        }
+    }
+
+    const destroyed = [];
+    for (const [storage, publicIds] of orphanedByStorage) {
+        try {
+            // Forget cached renders first so no new material picks up a file that is about to go
+            await forgetCachedDiagrams(storage, publicIds);
+            destroyed.push(...await getStorage(storage).delete(publicIds));
+        } catch (error) {
+            // Left in storage without a record; the reconcile script removes them
+        }
+    }
+    return destroyed;
+}
+
+/**
+ * Rebuild asset records from the materials that exist (trashed ones included)
+ * @returns {Promise<Map<string, Object>>} Referenced assets keyed by 'storage:publicId'
+ */
+async function rebuildAssetReferences() {
+    const referenced = new Map();
+    const cursor = Material.find({}).withDeleted().select('images sourceFiles').lean().cursor();
+
+    for await (const material of cursor) {
+        for (const asset of getMaterialAssets(material)) {
+            const key = `${asset.storage}:${asset.publicId}`;
+            if (!referenced.has(key)) {
+                referenced.set(key, { ...asset, materials: [] });
+            }
+            referenced.get(key).materials.push(material._id);
+        }
+    }
+
+    const keep = [];
+    for (const { storage, publicId, kind, materials } of referenced.values()) {
+        const asset = await Asset.findOneAndUpdate(
+            { storage, publicId },
+            { $set: { materials }, $setOnInsert: { kind } },
+            { upsert: true, new: true }
+        );
+        keep.push(asset._id);
+    }
+    await Asset.deleteMany({ _id: { $nin: keep } });
+
+    return referenced;
+}
+
+/**
+ * Find stored files no material references
+ * @param {Object} [options]
+ * @param {string} [options.storage] - Driver to scan (defaults to the configured one)
+ * @param {number} [options.minAgeHours=24] - Skip newer uploads (a generation job may not have saved its material yet)
+ * @returns {Promise<Array<{publicId: string, createdAt: Date, bytes: number}>>}
+ */
+async function findOrphanedAssets({ storage, minAgeHours = 24 } = {}) {
+    const driver = getStorage(storage);
+    const referenced = await rebuildAssetReferences();
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+    const orphans = [];
+
+    for await (const file of driver.list(`${ASSET_ROOT_FOLDER}/`)) {
+        if (!referenced.has(`${driver.name}:${file.key}`) && file.createdAt.getTime() < cutoff) {
+            orphans.push({ publicId: file.key, createdAt: file.createdAt, bytes: file.bytes });
+        }
+    }
+
+    return orphans;
+}
+
+module.exports = {
+    publicIdFromUrl,
+    getMaterialAssets,
+    retainAssets,
+    retainAssetsQuietly,
+    releaseAssets,
+    rebuildAssetReferences,
+    findOrphanedAssets
+};
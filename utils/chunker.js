@@ -0,0 +1,100 @@
+/**
+ * Split material Markdown into retrieval chunks
+ * Chunks follow heading boundaries and keep the heading path as the section name.
+ */
+
+const MAX_CHUNK_LENGTH = 1200;
+
+/**
+ * Split a long block of text into pieces on paragraph (then sentence) boundaries
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {Array<string>}
+ */
+function splitText(text, maxLength) {
+    if (text.length <= maxLength) {
+        return [text];
+    }
+
+    const pieces = [];
+    let current = '';
+
+    const units = text.split(/\n{2,}/).flatMap(paragraph =>
+        paragraph.length > maxLength ? paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph] : [paragraph]
+    );
+
+    for (const unit of units) {
+        const separator = current ? '\n\n' : '';
+        if (current && current.length + separator.length + unit.length > maxLength) {
+            pieces.push(current.trim());
+            current = unit;
+        } else {
+            current += separator + unit;
+        }
+    }
+
+    if (current.trim()) {
+        pieces.push(current.trim());
+    }
+
+    // Hard-split anything still too long (e.g. a huge table)
+    return pieces.flatMap(piece => {
+        if (piece.length <= maxLength) return [piece];
+        const parts = [];
+        for (let i = 0; i < piece.length; i += maxLength) {
+            parts.push(piece.substring(i, i + maxLength));
+        }
+        return parts;
+    });
+}
+
+/**
+ * Chunk Markdown content by heading
+ * @param {string} content - Markdown content
+ * @param {number} maxLength - Maximum characters per chunk
+ * @returns {Array<{index: number, section: string, text: string}>}
+ */
+function chunkMarkdown(content, maxLength = MAX_CHUNK_LENGTH) {
+    const lines = (content || '').split('\n');
+    const headingPath = [];
+    const sections = [];
+    let current = { section: '', lines: [] };
+    let inCodeBlock = false;
+
+    for (const line of lines) {
+        if (line.trim().startsWith('```')) {
+            inCodeBlock = !inCodeBlock;
+        }
+
+        const headingMatch = !inCodeBlock && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (headingMatch) {
+            sections.push(current);
+
+            const level = headingMatch[1].length;
+            headingPath.length = level - 1;
+            headingPath[level - 1] = headingMatch[2].trim();
+
+            current = { section: headingPath.filter(Boolean).join(' › '), lines: [line] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    const chunks = [];
+    for (const section of sections) {
+        const text = section.lines.join('\n').trim();
+        if (!text) continue;
+
+        for (const piece of splitText(text, maxLength)) {
+            chunks.push({ index: chunks.length, section: section.section, text: piece });
+        }
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    chunkMarkdown,
+    MAX_CHUNK_LENGTH
+};
@@ -0,0 +1,104 @@
+// Above this many LCS cells the diff falls back to "replace everything in between"
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Line-based diff of two texts (longest common subsequence)
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'equal'|'add'|'remove', text: string, oldLine?: number, newLine?: number}>}
+ */
+function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // Trim the common prefix and suffix so the LCS table stays small for typical edits
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+    const changes = [];
+
+    for (let i = 0; i < prefix; i++) {
+        changes.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: i + 1 });
+    }
+
+    if (midA.length * midB.length > MAX_DIFF_CELLS) {
+        midA.forEach((text, i) => changes.push({ type: 'remove', text, oldLine: prefix + i + 1 }));
+        midB.forEach((text, j) => changes.push({ type: 'add', text, newLine: prefix + j + 1 }));
+    } else {
+        // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+        const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lengths[i][j] = midA[i] === midB[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                changes.push({ type: 'equal', text: midA[i], oldLine: prefix + i + 1, newLine: prefix + j + 1 });
+                i++;
+                j++;
+            } else if (i < midA.length && (j === midB.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                changes.push({ type: 'remove', text: midA[i], oldLine: prefix + i + 1 });
+                i++;
+            } else {
+                changes.push({ type: 'add', text: midB[j], newLine: prefix + j + 1 });
+                j++;
+            }
+        }
+    }
+
+    for (let k = suffix; k > 0; k--) {
+        changes.push({
+            type: 'equal',
+            text: a[a.length - k],
+            oldLine: a.length - k + 1,
+            newLine: b.length - k + 1
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Summarise a change between two versions
+ * @param {{title: string, content: string}} before
+ * @param {{title: string, content: string}} after
+ * @returns {{linesAdded: number, linesRemoved: number, titleChanged: boolean, text: string}}
+ */
+function summarizeChange(before, after) {
+    const changes = diffLines(before.content, after.content);
+    const linesAdded = changes.filter(change => change.type === 'add').length;
+    const linesRemoved = changes.filter(change => change.type === 'remove').length;
+    const titleChanged = before.title !== after.title;
+
+    const parts = [];
+    if (titleChanged) parts.push('title changed');
+    if (linesAdded) parts.push(`${linesAdded} line${linesAdded === 1 ? '' : 's'} added`);
+    if (linesRemoved) parts.push(`${linesRemoved} line${linesRemoved === 1 ? '' : 's'} removed`);
+
+    return {
+        linesAdded,
+        linesRemoved,
+        titleChanged,
+        text: parts.length > 0 ? parts.join(', ') : 'no changes'
+    };
+}
+
+module.exports = {
+    diffLines,
+    summarizeChange
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+const LOCAL_DIMENSIONS = 512;
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+const GEMINI_BATCH_SIZE = 100;
+
+/**
+ * Deterministic local embedding: hashed bag of words and word bigrams.
+ * Needs no network, so it is used in tests and when no API key is configured.
+ */
+const localProvider = {
+    name: 'local',
+    async embed(texts) {
+        return texts.map(text => {
+            const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+            const tokens = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+            const features = [
+                ...tokens,
+                ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+            ];
+
+            for (const feature of features) {
+                const hash = crypto.createHash('md5').update(feature).digest();
+                const bucket = hash.readUInt32BE(0) % LOCAL_DIMENSIONS;
+                const sign = hash[4] & 1 ? 1 : -1;
+                vector[bucket] += sign;
+            }
+
+            return normalize(vector);
+        });
+    }
+};
+
+/**
+ * Gemini embedding API
+ */
+const geminiProvider = {
+    name: `gemini:${GEMINI_EMBEDDING_MODEL}`,
+    async embed(texts) {
+        const { genAI } = require('../config/gemini');
+        const embeddingModel = genAI.getGenerativeModel({ model: GEMINI_EMBEDDING_MODEL });
+        const vectors = [];
+
+        for (let i = 0; i < texts.length; i += GEMINI_BATCH_SIZE) {
+            const batch = texts.slice(i, i + GEMINI_BATCH_SIZE);
+            const result = await embeddingModel.batchEmbedContents({
+                requests: batch.map(text => ({
+                    content: { role: 'user', parts: [{ text }] }
+                }))
+            });
+            result.embeddings.forEach(embedding => vectors.push(normalize(embedding.values)));
+        }
+
+        return vectors;
+    }
+};
+
+const providers = {
+    local: localProvider,
+    gemini: geminiProvider
+};
+
+/**
+ * Register a custom embedding provider
+ * @param {string} key - Value of EMBEDDING_PROVIDER that selects it
+ * @param {{name: string, embed: function(Array<string>): Promise<Array<Array<number>>>}} provider
+ */
+function registerEmbeddingProvider(key, provider) {
+    providers[key] = provider;
+}
+
+/**
+ * Get the configured embedding provider.
+ * EMBEDDING_PROVIDER picks one explicitly; otherwise Gemini is used when an API key is set.
+ */
+function getEmbeddingProvider() {
+    const key = process.env.EMBEDDING_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'local');
+    return providers[key] || localProvider;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector
+ * @returns {Array<number>}
+ */
+function normalize(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return magnitude ? vector.map(value => value / magnitude) : vector;
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+    const length = Math.min(a.length, b.length);
+    let dot = 0;
+    for (let i = 0; i < length; i++) {
+        dot += a[i] * b[i];
+    }
+    return dot;
+}
+
+module.exports = {
+    getEmbeddingProvider,
+    registerEmbeddingProvider,
+    cosineSimilarity,
+    normalize
+};
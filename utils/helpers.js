@@ -1,16 +1,101 @@
+const crypto = require('crypto');
+
+const CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
 /**
- * Generate a random 6-character join code for spaces
+ * Generate a random join code for spaces using a cryptographically secure RNG
+ * @param {number} [length=6] - Code length
  * @returns {string} Random join code
  */
-function generateJoinCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+function generateJoinCode(length = 6) {
     let code = '';
-    for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+    for (let i = 0; i < length; i++) {
+        code += CODE_CHARS.charAt(crypto.randomInt(CODE_CHARS.length));
     }
     return code;
 }
 
+/**
+ * Generate a code that is not in use yet, retrying on collision
+ * @param {Function} isTaken - async (code) => boolean
+ * @param {number} [length=6] - Code length
+ * @param {number} [maxAttempts=5] - Attempts before giving up
+ * @returns {Promise<string>} Unused code
+ */
+async function generateUniqueCode(isTaken, length = 6, maxAttempts = 5) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const code = generateJoinCode(length);
+        if (!(await isTaken(code))) {
+            return code;
+        }
+    }
+    throw new Error('Could not generate a unique code');
+}
+
+/**
+ * Save something under a new unique code. The pre-check in generateUniqueCode can race with
+ * another request, so a duplicate-key error (E11000) from the save itself also retries with a new code.
+ * @param {Function} isTaken - async (code) => boolean
+ * @param {Function} save - async (code) => result
+ * @param {number} [length=6] - Code length
+ * @param {number} [maxAttempts=5] - Attempts before giving up
+ * @returns {Promise<*>} Result of save
+ */
+async function saveWithUniqueCode(isTaken, save, length = 6, maxAttempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+        const code = await generateUniqueCode(isTaken, length, maxAttempts);
+        try {
+            return await save(code);
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= maxAttempts) throw error;
+        }
+    }
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping results in input order
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise
+ * @param {number} timeoutMs
+ * @param {string} operationName - Used in the error message
+ * @returns {Promise<*>}
+ */
+function withTimeout(promise, timeoutMs, operationName) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`${operationName} timed out after ${timeoutMs/1000}s`)), timeoutMs);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
 module.exports = {
-    generateJoinCode
+    generateJoinCode,
+    generateUniqueCode,
+    saveWithUniqueCode,
+    mapWithConcurrency,
+    withTimeout
 };
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+const Material = require('../models/Material');
+const { getStorage } = require('./storage');
+const { mapWithConcurrency } = require('./helpers');
+const { imageDetails, swapImageInContent } = require('./imageSearch');
+const { saveMaterialRevision, RevisionConflictError } = require('./revisions');
+const { retainAssetsQuietly } = require('./assets');
+const { recordActivity } = require('./activity');
+const { reindexQuietly } = require('./retrieval');
+
+const DOWNLOAD_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_WIDTH = 1600;
+const MIN_DIMENSION = 50;
+// Refuse decompression bombs before sharp allocates them
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const USER_AGENT = 'StudySpace/1.0 (image mirroring for study notes)';
+
+// SVG is left out: it can carry script and is served from our origin by the local driver
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff'];
+
+// Responses that mean the image is gone rather than temporarily unavailable
+const DEAD_STATUSES = [404, 410, 451];
+const DEAD_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'CERT_HAS_EXPIRED'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const LINK_CHECK_BATCH_SIZE = 50;
+
+/**
+ * Error for an image that could not be mirrored; dead is set when the link itself is gone
+ */
+class MirrorError extends Error {
+    constructor(message, { dead = false } = {}) {
+        super(message);
+        this.name = 'MirrorError';
+        this.dead = dead;
+    }
+}
+
+/**
+ * Whether selected search images are copied into storage (IMAGE_MIRROR, default true)
+ * @returns {boolean}
+ */
+function isMirroringEnabled() {
+    return process.env.IMAGE_MIRROR !== 'false';
+}
+
+const getMaxBytes = () => parseInt(process.env.IMAGE_MIRROR_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+const getMaxWidth = () => parseInt(process.env.IMAGE_MIRROR_MAX_WIDTH, 10) || DEFAULT_MAX_WIDTH;
+
+/**
+ * Download an external image, check it, re-encode it as WebP and upload it to storage.
+ * Identical output is stored once (the key is a hash of the re-encoded image).
+ * @param {string} url - External image URL
+ * @returns {Promise<{url: string, publicId: string, storage: string, width: number, height: number, bytes: number}>}
+ * @throws {MirrorError}
+ */
+async function mirrorImage(url) {
+    let response;
+    try {
+        response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: DOWNLOAD_TIMEOUT_MS,
+            maxContentLength: getMaxBytes(),
+            maxRedirects: 5,
+            headers: { 'User-Agent': USER_AGENT, Accept: ACCEPTED_TYPES.join(',') }
+        });
+    } catch (error) {
+        const status = error.response?.status;
+        throw new MirrorError(
+            status ? `Download failed with status ${status}` : `Download failed: ${error.message}`,
+            { dead: DEAD_STATUSES.includes(status) || DEAD_CODES.includes(error.code) }
+        );
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!ACCEPTED_TYPES.includes(contentType)) {
+        throw new MirrorError(`Not a supported image type (${contentType || 'unknown'})`);
+    }
+
+    const input = Buffer.from(response.data);
+    let metadata;
+    try {
+        metadata = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        throw new MirrorError('The file could not be read as an image');
+    }
+    if (!metadata.width || !metadata.height || Math.min(metadata.width, metadata.height) < MIN_DIMENSION) {
+        throw new MirrorError(`Image is too small (${metadata.width || 0}x${metadata.height || 0})`);
+    }
+
+    const maxWidth = getMaxWidth();
+    const { data, info } = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate() // Apply EXIF orientation before it is stripped
+        .resize({ width: maxWidth, height: maxWidth, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+
+    const hash = crypto.createHash('md5').update(data).digest('hex').substring(0, 12);
+    const stored = await getStorage().put(data, {
+        key: `study_space/images/mirrored_${hash}.webp`,
+        contentType: 'image/webp',
+        public: true
+    });
+
+    return {
+        url: stored.url,
+        publicId: stored.key,
+        storage: stored.storage,
+        width: info.width,
+        height: info.height,
+        bytes: info.size
+    };
+}
+
+/**
+ * Mirror a search image, falling back to its other candidates in order
+ * @param {Object} image - Material image entry with url and candidates
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback=true] - Try the other candidates if the chosen one fails
+ * @returns {Promise<{updates?: Object, error?: string, dead?: boolean}>} updates to apply to the entry on success
+ */
+async function mirrorSearchImage(image, { fallback = true } = {}) {
+    const current = { ...imageDetails(image), url: image.originalUrl || image.url };
+    const others = fallback
+        ? (image.candidates || []).filter(candidate => candidate.url && candidate.url !== current.url)
+        : [];
+
+    let firstError = null;
+    for (const candidate of [current, ...others]) {
+        try {
+            const mirrored = await mirrorImage(candidate.url);
+            return {
+                updates: {
+                    ...imageDetails(candidate),
+                    url: mirrored.url,
+                    originalUrl: candidate.url,
+                    publicId: mirrored.publicId,
+                    storage: mirrored.storage,
+                    width: mirrored.width,
+                    height: mirrored.height,
+                    mirroredAt: new Date(),
+                    mirrorError: undefined,
+                    linkDead: false
+                }
+            };
+        } catch (error) {
+            firstError = firstError || error;
+        }
+    }
+
+    return { error: firstError?.message, dead: Boolean(firstError?.dead) };
+}
+
+/**
+ * Mirror the selected image of each search result (see findPlaceholderImages).
+ * Images that cannot be mirrored keep their external URL and get mirrorError.
+ * @param {Array} images - Search image entries
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4]
+ * @returns {Promise<{images: Array, stats: {mirrored: number, failed: number, durationMs: number}}>}
+ */
+async function mirrorSearchImages(images, { concurrency = 4 } = {}) {
+    const startedAt = Date.now();
+    const stats = { mirrored: 0, failed: 0, durationMs: 0 };
+
+    if (!isMirroringEnabled()) {
+        return { images, stats };
+    }
+
+    const mirrored = await mapWithConcurrency(images, concurrency, async (image) => {
+        if (!image.url) {
+            return image;
+        }
+        const { updates, error, dead } = await mirrorSearchImage(image);
+        if (updates) {
+            stats.mirrored++;
+            return { ...image, ...updates };
+        }
+        stats.failed++;
+        return { ...image, mirrorError: error, linkDead: dead };
+    });
+
+    stats.durationMs = Date.now() - startedAt;
+    return { images: mirrored, stats };
+}
+
+// Search images still pointing at an external URL that are due a check
+const isUnmirrored = (image, cutoff) =>
+    image.type === 'search' && image.url && !image.publicId
+    && (!image.linkCheckedAt || image.linkCheckedAt < cutoff);
+
+/**
+ * Check one material's due images and save what changed
+ * @param {Object} material - Material document
+ * @param {Date} now
+ * @param {Date} cutoff - Images checked since then are skipped
+ * @param {{checked: number, mirrored: number, dead: number}} totals - Updated in place
+ */
+async function checkMaterialImages(material, now, cutoff, totals) {
+    let content = material.content;
+    let mirroredCount = 0;
+    const checked = material.images.filter(entry => isUnmirrored(entry, cutoff));
+
+    for (const image of checked) {
+        totals.checked++;
+        image.linkCheckedAt = now;
+
+        // Images edited out of the content are not worth fetching
+        if (swapImageInContent(content, image, image.url) === null) {
+            continue;
+        }
+
+        const { updates, error, dead } = await mirrorSearchImage(image);
+        if (updates) {
+            content = swapImageInContent(content, image, updates.url);
+            image.set(updates);
+            mirroredCount++;
+        } else {
+            image.mirrorError = error;
+            image.linkDead = dead;
+            if (dead) totals.dead++;
+        }
+    }
+
+    if (mirroredCount === 0) {
+        // Update each image in place; saving the whole document could overwrite an edit made meanwhile
+        for (const image of checked) {
+            const fields = { linkCheckedAt: image.linkCheckedAt, mirrorError: image.mirrorError, linkDead: image.linkDead };
+            const $set = {};
+            for (const [field, value] of Object.entries(fields)) {
+                if (value !== undefined) $set[`images.$.${field}`] = value;
+            }
+            await Material.updateOne({ _id: material._id, 'images._id': image._id }, { $set });
+        }
+        return;
+    }
+
+    let revision;
+    try {
+        revision = await saveMaterialRevision(material, { title: material.title, content }, null, { source: 'mirror' });
+    } catch (error) {
+        // Edited while its images were being copied; the images are checked again on the next run
+        if (error instanceof RevisionConflictError) return;
+        throw error;
+    }
+    totals.mirrored += mirroredCount;
+
+    await retainAssetsQuietly(material);
+
+    await recordActivity({
+        spaceId: material.spaceId,
+        action: 'material.mirror',
+        targetType: 'material',
+        targetId: material._id,
+        targetName: material.title,
+        summary: `Copied ${mirroredCount} external image${mirroredCount === 1 ? '' : 's'} into storage for "${material.title}"`,
+        metadata: { version: revision.version }
+    });
+
+    await reindexQuietly(material);
+}
+
+/**
+ * Re-check materials that still hot-link external images: mirror the ones that load
+ * (or a working candidate in place of a dead one) and flag the rest with linkDead.
+ * Content changes are saved as a revision with source 'mirror'.
+ * Works through every due material in batches, in _id order.
+ * @param {Date} [now]
+ * @returns {Promise<{checked: number, mirrored: number, dead: number}>}
+ */
+async function checkExternalImages(now = new Date()) {
+    const recheckDays = parseFloat(process.env.IMAGE_LINK_RECHECK_DAYS) || 30;
+    const cutoff = new Date(now.getTime() - recheckDays * DAY_MS);
+    const totals = { checked: 0, mirrored: 0, dead: 0 };
+    let lastId = null;
+
+    for (;;) {
+        const materials = await Material.find({
+            // Paging by _id visits each material once, even those whose checks could not be saved
+            ...(lastId ? { _id: { $gt: lastId } } : {}),
+            // Leave materials a generation job may still be working on
+            createdAt: { $lt: new Date(now.getTime() - HOUR_MS) },
+            images: {
+                $elemMatch: {
+                    type: 'search',
+                    url: { $nin: [null, ''] },
+                    publicId: { $in: [null, ''] },
+                    linkCheckedAt: { $not: { $gte: cutoff } }
+                }
+            }
+        })
+            .sort({ _id: 1 })
+            .limit(LINK_CHECK_BATCH_SIZE);
+
+        if (materials.length === 0) {
+            return totals;
+        }
+        lastId = materials[materials.length - 1]._id;
+
+        for (const material of materials) {
+            await checkMaterialImages(material, now, cutoff, totals);
+        }
+    }
+}
+
+/**
+ * Check external images periodically (every IMAGE_LINK_CHECK_HOURS, default 24; 0 disables).
+ * Checking works by mirroring, so it is off when IMAGE_MIRROR=false.
+ */
+function startLinkCheck() {
+    const hours = parseFloat(process.env.IMAGE_LINK_CHECK_HOURS);
+    const intervalHours = Number.isFinite(hours) && hours >= 0 ? hours : 24;
+    if (intervalHours === 0 || !isMirroringEnabled()) {
+        return;
+    }
+
+    const run = async () => {
+        try {
+            await checkExternalImages();
+        } catch (error) {
+            // Unchecked images are picked up on the next run
+        }
+    };
+
+    setInterval(run, intervalHours * HOUR_MS).unref();
+}
+
+module.exports = {
+    MirrorError,
+    isMirroringEnabled,
+    mirrorImage,
+    mirrorSearchImage,
+    mirrorSearchImages,
+    checkExternalImages,
+    startLinkCheck
+};
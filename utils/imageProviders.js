@@ -0,0 +1,149 @@
+const fs = require('fs');
+const axios = require('axios');
+
+const SEARCH_TIMEOUT_MS = 15000;
+const WIKIMEDIA_API_URL = 'https://commons.wikimedia.org/w/api.php';
+// Wikimedia asks API clients to identify themselves
+const USER_AGENT = 'StudySpace/1.0 (image search for study notes)';
+
+/**
+ * Image search providers. Each has a name and
+ *   search(query, limit) -> [{ url, thumbnail, title, sourceUrl, license, licenseUrl, attribution, width, height }]
+ * and throws when the search itself fails (an empty array means no matches).
+ */
+
+// Strip HTML from Commons metadata (artist and credit fields are often links)
+const stripHtml = (value) => (value || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim() || undefined;
+
+/**
+ * Google Custom Search. It does not report licences; set GOOGLE_IMAGE_RIGHTS
+ * (e.g. cc_publicdomain|cc_attribute) to only get images labelled with those rights.
+ */
+const googleProvider = {
+    name: 'google',
+
+    async search(query, limit) {
+        const rights = process.env.GOOGLE_IMAGE_RIGHTS || undefined;
+        const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
+            params: {
+                key: process.env.GOOGLE_API_KEY,
+                cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
+                q: query,
+                searchType: 'image',
+                num: Math.min(limit, 10),
+                safe: 'active',
+                rights
+            },
+            timeout: SEARCH_TIMEOUT_MS
+        });
+
+        return (response.data.items || []).map(item => ({
+            url: item.link,
+            thumbnail: item.image?.thumbnailLink,
+            title: item.title,
+            sourceUrl: item.image?.contextLink,
+            license: rights,
+            attribution: item.displayLink,
+            width: item.image?.width,
+            height: item.image?.height
+        }));
+    }
+};
+
+/**
+ * Wikimedia Commons. Every file has a licence and author, so results can be attributed.
+ */
+const wikimediaProvider = {
+    name: 'wikimedia',
+
+    async search(query, limit) {
+        const response = await axios.get(WIKIMEDIA_API_URL, {
+            params: {
+                action: 'query',
+                format: 'json',
+                generator: 'search',
+                gsrsearch: `${query} filetype:bitmap|drawing`,
+                gsrnamespace: 6, // File: pages
+                gsrlimit: Math.min(limit, 20),
+                prop: 'imageinfo',
+                iiprop: 'url|size|extmetadata',
+                iiurlwidth: 1024
+            },
+            headers: { 'User-Agent': USER_AGENT },
+            timeout: SEARCH_TIMEOUT_MS
+        });
+
+        const pages = Object.values(response.data.query?.pages || {})
+            .sort((a, b) => (a.index || 0) - (b.index || 0));
+
+        return pages
+            .filter(page => page.imageinfo?.[0]?.url)
+            .map(page => {
+                const info = page.imageinfo[0];
+                const meta = info.extmetadata || {};
+                return {
+                    url: info.thumburl || info.url,
+                    thumbnail: info.thumburl,
+                    title: stripHtml(meta.ObjectName?.value) || page.title.replace(/^File:/, ''),
+                    sourceUrl: info.descriptionurl,
+                    license: stripHtml(meta.LicenseShortName?.value),
+                    licenseUrl: meta.LicenseUrl?.value,
+                    attribution: stripHtml(meta.Artist?.value) || stripHtml(meta.Credit?.value),
+                    width: info.thumbwidth || info.width,
+                    height: info.thumbheight || info.height
+                };
+            })
+            .slice(0, limit);
+    }
+};
+
+/**
+ * Fixed results, for tests and offline development. IMAGE_STATIC_FILE points to a JSON object
+ * mapping queries to arrays of results; "*" is used for any other query.
+ */
+const staticProvider = {
+    name: 'static',
+
+    async search(query, limit) {
+        if (!process.env.IMAGE_STATIC_FILE) {
+            return [];
+        }
+        const results = JSON.parse(fs.readFileSync(process.env.IMAGE_STATIC_FILE, 'utf8'));
+        const key = Object.keys(results).find(candidate => candidate.toLowerCase() === query.toLowerCase());
+        return (results[key] || results['*'] || []).slice(0, limit);
+    }
+};
+
+const providers = {
+    google: googleProvider,
+    wikimedia: wikimediaProvider,
+    static: staticProvider
+};
+
+/**
+ * Register or replace an image provider
+ * @param {string} key - Name used in IMAGE_PROVIDERS
+ * @param {Object} provider - Object with name and search()
+ */
+function registerImageProvider(key, provider) {
+    providers[key] = provider;
+}
+
+/**
+ * Providers to try, in order.
+ * IMAGE_PROVIDERS lists them (e.g. "wikimedia,google"); otherwise Google when it is configured, then Wikimedia.
+ * @returns {Array<Object>}
+ */
+function getImageProviders() {
+    const configured = process.env.IMAGE_PROVIDERS
+        || (process.env.GOOGLE_API_KEY && process.env.GOOGLE_SEARCH_ENGINE_ID ? 'google,wikimedia' : 'wikimedia');
+
+    return configured.split(',')
+        .map(key => providers[key.trim()])
+        .filter(Boolean);
+}
+
+module.exports = {
+    getImageProviders,
+    registerImageProvider
+};
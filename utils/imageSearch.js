@@ -1,35 +1,119 @@
-const axios = require('axios');
+const ImageSearchCache = require('../models/ImageSearchCache');
+const { mapWithConcurrency } = require('./helpers');
+const { getImageProviders } = require('./imageProviders');
+
+// How long search results are reused (IMAGE_SEARCH_CACHE_HOURS, 0 disables)
+const DEFAULT_CACHE_HOURS = 7 * 24;
+
+// Results kept per placeholder so an editor can pick another (IMAGE_CANDIDATES)
+const DEFAULT_CANDIDATES = 5;
+
+const getCandidateCount = () => {
+    const count = parseInt(process.env.IMAGE_CANDIDATES, 10);
+    return count > 0 ? count : DEFAULT_CANDIDATES;
+};
+
+const getCacheHours = () => {
+    const hours = parseFloat(process.env.IMAGE_SEARCH_CACHE_HOURS);
+    return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_CACHE_HOURS;
+};
+
+/**
+ * Normalise a search query so trivially different phrasings share a cache entry
+ * @param {string} query
+ * @returns {string} Lower-cased words without punctuation, single-spaced
+ */
+function normaliseQuery(query) {
+    return String(query)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Ask each provider in turn until one answers
+ * @returns {Promise<{results: Array, error?: string}>} error is set only if every provider failed
+ */
+async function searchProviders(query, numResults) {
+    const errors = [];
+
+    for (const provider of getImageProviders()) {
+        try {
+            const results = await provider.search(query, numResults);
+            if (results.length > 0) {
+                return { results: results.map(result => ({ ...result, provider: provider.name })) };
+            }
+        } catch (error) {
+            errors.push(`${provider.name}: ${error.message}`);
+        }
+    }
+
+    // No matches anywhere is a valid answer; it is only an error if nobody answered
+    return errors.length === getImageProviders().length && errors.length > 0
+        ? { results: [], error: errors.join('; ') }
+        : { results: [] };
+}
 
 /**
- * Search for images using Google Custom Search API
+ * Search for images, reusing cached results for the same normalised query
  * @param {string} query - Search query
  * @param {number} numResults - Number of results to return (default: 1)
- * @returns {Promise<Array>} Array of image URLs
+ * @returns {Promise<{results: Array, cached: boolean, error?: string}>} error is set when every provider failed
  */
-async function searchImages(query, numResults = 1) {
-    try {
-        const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-            params: {
-                key: process.env.GOOGLE_API_KEY,
-                cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
-                q: query,
-                searchType: 'image',
-                num: numResults,
-                safe: 'active'
+async function searchImagesWithCache(query, numResults = 1) {
+    const key = normaliseQuery(query);
+    const cacheHours = getCacheHours();
+
+    if (key && cacheHours > 0) {
+        try {
+            const cached = await ImageSearchCache.findOneAndUpdate(
+                { query: key, limit: { $gte: numResults }, expiresAt: { $gt: new Date() } },
+                { $inc: { hits: 1 } },
+                { new: true }
+            ).lean();
+            if (cached) {
+                return { results: cached.results.slice(0, numResults), cached: true };
             }
-        });
+        } catch (cacheError) {
+            // Fall through to a live search
+        }
+    }
 
-        if (response.data.items && response.data.items.length > 0) {
-            return response.data.items.map(item => ({
-                url: item.link,
-                title: item.title,
-                thumbnail: item.image.thumbnailLink
-            }));
+    const { results, error } = await searchProviders(query, numResults);
+
+    // Failed searches are not cached, so the next material tries again
+    if (!error && key && cacheHours > 0) {
+        try {
+            await ImageSearchCache.updateOne(
+                { query: key },
+                {
+                    $set: {
+                        limit: numResults,
+                        results,
+                        createdAt: new Date(),
+                        expiresAt: new Date(Date.now() + cacheHours * 60 * 60 * 1000)
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (cacheError) {
+            // Caching is best-effort
         }
-        return [];
-    } catch (error) {
-        return [];
     }
+
+    return { results, cached: false, error };
+}
+
+/**
+ * Search for images with the configured providers
+ * @param {string} query - Search query
+ * @param {number} numResults - Number of results to return (default: 1)
+ * @returns {Promise<Array>} Array of image URLs
+ */
+async function searchImages(query, numResults = 1) {
+    const { results } = await searchImagesWithCache(query, numResults);
+    return results;
 }
 
 /**
@@ -66,7 +150,7 @@ function replaceImagePlaceholders(content, images) {
     // Sort by position in reverse to maintain correct positions
     images.sort((a, b) => b.position - a.position);
 
-    images.forEach(image => {
+    images.filter(image => image.url).forEach(image => {
         const placeholder = image.placeholder;
         const imageMarkdown = `\n\n![${placeholder}](${image.url})\n\n`;
         updatedContent = updatedContent.replace(`{{IMAGE: ${placeholder}}}`, imageMarkdown);
@@ -75,8 +159,89 @@ function replaceImagePlaceholders(content, images) {
     return updatedContent;
 }
 
+/**
+ * Point an image's Markdown at a new URL, or fill in its placeholder if it never had one
+ * @param {string} content - Markdown content
+ * @param {Object} image - Material image entry (placeholder and current url)
+ * @param {string} url - New image URL
+ * @returns {string|null} Updated content, or null if the image is no longer in the content
+ */
+function swapImageInContent(content, image, url) {
+    const target = image.url
+        ? `![${image.placeholder}](${image.url})`
+        : `{{IMAGE: ${image.placeholder}}}`;
+
+    if (!content.includes(target)) {
+        return null;
+    }
+    return content.replace(target, image.url ? `![${image.placeholder}](${url})` : `\n\n![${image.placeholder}](${url})\n\n`);
+}
+
+/**
+ * Fields copied from a search result onto a material image
+ * @param {Object} result - Provider result
+ * @returns {Object}
+ */
+function imageDetails(result) {
+    return {
+        url: result.url,
+        provider: result.provider,
+        title: result.title,
+        sourceUrl: result.sourceUrl,
+        license: result.license,
+        licenseUrl: result.licenseUrl,
+        attribution: result.attribution
+    };
+}
+
+/**
+ * Search for images for every {{IMAGE: ...}} placeholder (pass the result to replaceImagePlaceholders).
+ * The top result is chosen and the top IMAGE_CANDIDATES kept so an editor can pick another.
+ * Placeholders with no result are returned without a url, with searchError if every provider failed.
+ * Repeated descriptions are searched once.
+ * @param {string} content - Markdown content
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Searches in flight at once
+ * @returns {Promise<{images: Array, stats: {total: number, queries: number, cached: number, found: number, failed: number, durationMs: number}}>}
+ */
+async function findPlaceholderImages(content, { concurrency = 4 } = {}) {
+    const startedAt = Date.now();
+    const placeholders = extractImagePlaceholders(content);
+    const queries = [...new Set(placeholders.map(placeholder => placeholder.description))];
+    const stats = { total: placeholders.length, queries: queries.length, cached: 0, found: 0, failed: 0, durationMs: 0 };
+    const candidateCount = getCandidateCount();
+
+    const lookups = await mapWithConcurrency(queries, concurrency, query => searchImagesWithCache(query, candidateCount));
+    const resultsByQuery = new Map(queries.map((query, index) => [query, lookups[index]]));
+    lookups.forEach(lookup => {
+        if (lookup.cached) stats.cached++;
+    });
+
+    const images = placeholders.map(placeholder => {
+        const { results, error } = resultsByQuery.get(placeholder.description);
+        return {
+            type: 'search',
+            placeholder: placeholder.description,
+            position: placeholder.position,
+            ...(results.length > 0 ? imageDetails(results[0]) : {}),
+            candidates: results.map(imageDetails),
+            searchError: error
+        };
+    });
+    stats.found = images.filter(image => image.url).length;
+    stats.failed = images.filter(image => image.searchError).length;
+    stats.durationMs = Date.now() - startedAt;
+
+    return { images, stats };
+}
+
 module.exports = {
+    normaliseQuery,
     searchImages,
+    searchImagesWithCache,
     extractImagePlaceholders,
-    replaceImagePlaceholders
+    replaceImagePlaceholders,
+    swapImageInContent,
+    imageDetails,
+    findPlaceholderImages
 };
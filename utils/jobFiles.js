@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const BUCKET_NAME = 'jobFiles';
+
+/**
+ * Get the GridFS bucket used for generation job input files
+ * @returns {mongoose.mongo.GridFSBucket}
+ */
+function getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+}
+
+/**
+ * Store a file buffer in GridFS
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name
+ * @param {string} mimeType - File MIME type
+ * @returns {Promise<mongoose.Types.ObjectId>} GridFS file ID
+ */
+function saveJobFile(buffer, filename, mimeType) {
+    return new Promise((resolve, reject) => {
+        const uploadStream = getBucket().openUploadStream(filename, {
+            metadata: { mimeType }
+        });
+
+        uploadStream.on('error', reject);
+        uploadStream.on('finish', () => resolve(uploadStream.id));
+        uploadStream.end(buffer);
+    });
+}
+
+/**
+ * Read a stored file back into memory
+ * @param {mongoose.Types.ObjectId|string} fileId - GridFS file ID
+ * @returns {Promise<Buffer>}
+ */
+function readJobFile(fileId) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        getBucket().openDownloadStream(new mongoose.Types.ObjectId(fileId.toString()))
+            .on('data', chunk => chunks.push(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * Delete stored files, ignoring ones that are already gone
+ * @param {Array} fileIds - GridFS file IDs
+ */
+async function deleteJobFiles(fileIds) {
+    const bucket = getBucket();
+    for (const fileId of fileIds) {
+        try {
+            await bucket.delete(new mongoose.Types.ObjectId(fileId.toString()));
+        } catch (error) {
+            // Ignore missing files
+        }
+    }
+}
+
+module.exports = {
+    saveJobFile,
+    readJobFile,
+    deleteJobFiles
+};
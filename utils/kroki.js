@@ -1,10 +1,28 @@
 const axios = require('axios');
 const zlib = require('zlib');
-const cloudinary = require('../config/cloudinary');
 const crypto = require('crypto');
-const { Readable } = require('stream');
+const { getStorage } = require('./storage');
+const { canRenderLocally, renderLocally } = require('./localDiagrams');
+const { mapWithConcurrency } = require('./helpers');
+const DiagramCache = require('../models/DiagramCache');
 
-const KROKI_BASE_URL = 'https://kroki.io';
+const DEFAULT_KROKI_URL = 'https://kroki.io';
+const RENDER_TIMEOUT_MS = 30000;
+const HEALTH_TIMEOUT_MS = 5000;
+// How long a failing endpoint is skipped before it is health-checked again
+const ENDPOINT_COOLDOWN_MS = 60 * 1000;
+
+// Diagrams rendered at once per material (ENRICHMENT_CONCURRENCY)
+const DEFAULT_CONCURRENCY = 4;
+
+// Repair rounds for a diagram the renderer rejects (DIAGRAM_REPAIR_ATTEMPTS, 0 disables)
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+const DIAGRAM_FORMATS = ['png', 'svg'];
+const CONTENT_TYPES = { png: 'image/png', svg: 'image/svg+xml' };
+
+// Endpoint URL -> { healthy, failures, lastError, downUntil, checkedAt }
+const endpointHealth = new Map();
 
 /**
  * Supported diagram types in Kroki
@@ -44,7 +62,19 @@ function encodeDiagramSource(source) {
 }
 
 /**
- * Generate a Kroki diagram URL
+ * Kroki endpoints in the order they are tried.
+ * KROKI_URLS is a comma-separated list (e.g. a self-hosted instance first); KROKI_BASE_URL sets a single one.
+ * @returns {string[]}
+ */
+function getKrokiEndpoints() {
+    const configured = process.env.KROKI_URLS || process.env.KROKI_BASE_URL || DEFAULT_KROKI_URL;
+    return configured.split(',')
+        .map(url => url.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Generate a Kroki diagram URL (on the first configured endpoint)
  * @param {string} type - Diagram type (mermaid, plantuml, graphviz, etc.)
  * @param {string} source - Diagram source code
  * @param {string} format - Output format (svg, png, pdf)
@@ -53,7 +83,132 @@ function encodeDiagramSource(source) {
 function getDiagramUrl(type, source, format = 'png') {
     const diagramType = DIAGRAM_TYPES[type.toLowerCase()] || type.toLowerCase();
     const encoded = encodeDiagramSource(source);
-    return `${KROKI_BASE_URL}/${diagramType}/${format}/${encoded}`;
+    return `${getKrokiEndpoints()[0]}/${diagramType}/${format}/${encoded}`;
+}
+
+/**
+ * Validate requested diagram formats. The first one is embedded in the notes; the rest are stored alongside.
+ * @param {string|string[]} [value] - Array or comma-separated list, e.g. 'svg,png'
+ * @returns {string[]|null} Formats, ['png'] when empty, or null if any is unsupported
+ */
+function parseDiagramFormats(value) {
+    if (value === undefined || value === null || value === '') {
+        return ['png'];
+    }
+    const formats = (Array.isArray(value) ? value : String(value).split(','))
+        .map(format => String(format).trim().toLowerCase())
+        .filter(Boolean);
+    if (formats.length === 0 || !formats.every(format => DIAGRAM_FORMATS.includes(format))) {
+        return null;
+    }
+    return [...new Set(formats)];
+}
+
+const markEndpoint = (url, healthy, error) => {
+    const previous = endpointHealth.get(url) || { failures: 0 };
+    endpointHealth.set(url, {
+        healthy,
+        failures: healthy ? 0 : previous.failures + 1,
+        lastError: healthy ? undefined : error,
+        downUntil: healthy ? undefined : Date.now() + ENDPOINT_COOLDOWN_MS,
+        checkedAt: new Date()
+    });
+};
+
+/**
+ * Probe one Kroki endpoint's /health route and record the result
+ * @param {string} url - Endpoint base URL
+ * @returns {Promise<boolean>}
+ */
+async function checkKrokiEndpoint(url) {
+    try {
+        await axios.get(`${url}/health`, { timeout: HEALTH_TIMEOUT_MS });
+        markEndpoint(url, true);
+        return true;
+    } catch (error) {
+        markEndpoint(url, false, error.message);
+        return false;
+    }
+}
+
+/**
+ * Current health of every configured endpoint (from the last render or probe, no new requests)
+ * @returns {Array<{url: string, healthy: boolean|null, failures: number, lastError?: string, checkedAt?: Date}>}
+ */
+function getKrokiStatus() {
+    return getKrokiEndpoints().map(url => {
+        const health = endpointHealth.get(url);
+        return health
+            ? { url, healthy: health.healthy, failures: health.failures, lastError: health.lastError, checkedAt: health.checkedAt }
+            : { url, healthy: null, failures: 0 };
+    });
+}
+
+/**
+ * Endpoints worth trying now: healthy or unchecked ones, and failed ones whose cooldown is over and pass a health check
+ * @returns {Promise<string[]>}
+ */
+async function getAvailableEndpoints() {
+    const available = [];
+    for (const url of getKrokiEndpoints()) {
+        const health = endpointHealth.get(url);
+        if (!health || health.healthy) {
+            available.push(url);
+        } else if (health.downUntil <= Date.now() && await checkKrokiEndpoint(url)) {
+            available.push(url);
+        }
+    }
+    return available;
+}
+
+// Error for diagram source Kroki rejected (another endpoint or renderer would reject it too)
+class DiagramSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiagramSyntaxError';
+    }
+}
+
+/**
+ * Render a diagram with the first Kroki endpoint that responds, then the local renderer
+ * @param {string} diagramType - Kroki diagram type
+ * @param {string} source - Cleaned diagram source
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Promise<{buffer: Buffer, renderer: string}>}
+ */
+async function renderDiagram(diagramType, source, format) {
+    let lastError = null;
+
+    for (const url of await getAvailableEndpoints()) {
+        try {
+            const response = await axios.post(`${url}/${diagramType}/${format}`, source, {
+                headers: { 'Content-Type': 'text/plain' },
+                responseType: 'arraybuffer',
+                timeout: RENDER_TIMEOUT_MS,
+                validateStatus: (status) => status < 500
+            });
+            markEndpoint(url, true);
+
+            if (response.status >= 400) {
+                const errorText = Buffer.from(response.data).toString('utf-8');
+                throw new DiagramSyntaxError(`Diagram syntax error: ${errorText.substring(0, 300)}`);
+            }
+            return { buffer: Buffer.from(response.data), renderer: url };
+        } catch (error) {
+            if (error instanceof DiagramSyntaxError) {
+                throw error;
+            }
+            // Server error or unreachable: skip this endpoint for a while and try the next
+            markEndpoint(url, false, error.message);
+            lastError = error;
+        }
+    }
+
+    if (canRenderLocally(diagramType)) {
+        return { buffer: await renderLocally(diagramType, source, format), renderer: 'local' };
+    }
+
+    throw lastError || new Error('No diagram renderer is available');
 }
 
 /**
@@ -64,11 +219,10 @@ function getDiagramUrl(type, source, format = 'png') {
 function sanitizeMermaidSource(source) {
     let cleaned = source.trim();
     
-    // Replace smart quotes and apostrophes with safe alternatives
+    // Normalise smart quotes; plain apostrophes are valid in labels and left alone
     cleaned = cleaned
-        .replace(/[\u2018\u2019]/g, '') // Remove smart single quotes
+        .replace(/[\u2018\u2019]/g, "'") // Replace smart single quotes
         .replace(/[\u201C\u201D]/g, '"') // Replace smart double quotes
-        .replace(/'/g, '')  // Remove apostrophes (they break mermaid node labels)
         .replace(/`/g, ''); // Remove backticks
     
     // Fix missing line breaks between mermaid statements
@@ -109,53 +263,56 @@ function sanitizeMermaidSource(source) {
 }
 
 /**
- * Upload a buffer to Cloudinary
- * @param {Buffer} buffer - Image buffer to upload
- * @param {string} folder - Cloudinary folder
- * @param {string} publicId - Public ID for the image
- * @returns {Promise<{url: string, publicId: string}>}
+ * Look up an already rendered diagram
+ * @returns {Promise<Object|null>} DiagramCache entry
  */
-async function uploadToCloudinary(buffer, folder = 'diagrams', publicId = null) {
-    return new Promise((resolve, reject) => {
-        const uploadOptions = {
-            folder: folder,
-            resource_type: 'image',
-            format: 'png',
-        };
-        
-        if (publicId) {
-            uploadOptions.public_id = publicId;
-        }
-        
-        const uploadStream = cloudinary.uploader.upload_stream(
-            uploadOptions,
-            (error, result) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve({
-                        url: result.secure_url,
-                        publicId: result.public_id
-                    });
-                }
-            }
+async function findCachedDiagram(storage, key) {
+    try {
+        return await DiagramCache.findOneAndUpdate(
+            { storage, key },
+            { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+            { new: true }
+        ).lean();
+    } catch (error) {
+        // Render instead
+        return null;
+    }
+}
+
+/**
+ * Remember a rendered diagram so identical source skips Kroki and the upload
+ */
+async function cacheDiagram({ storage, key, publicId, url, diagramType, format, renderer }) {
+    try {
+        await DiagramCache.updateOne(
+            { storage, key },
+            { $set: { publicId, url, diagramType, format, renderer, lastUsedAt: new Date() } },
+            { upsert: true }
         );
-        
-        // Convert buffer to stream and pipe to Cloudinary
-        const bufferStream = new Readable();
-        bufferStream.push(buffer);
-        bufferStream.push(null);
-        bufferStream.pipe(uploadStream);
-    });
+    } catch (error) {
+        // Caching is best-effort
+    }
+}
+
+/**
+ * Forget cached diagrams whose files were deleted from storage
+ * @param {string} storage - Storage driver name
+ * @param {string[]} publicIds - Deleted keys
+ */
+async function forgetCachedDiagrams(storage, publicIds) {
+    if (publicIds.length > 0) {
+        await DiagramCache.deleteMany({ storage, publicId: { $in: publicIds } });
+    }
 }
 
 /**
- * Generate a diagram using Kroki API and upload to Cloudinary
+ * Generate a diagram (Kroki, or the local renderer as a last resort) and save it to storage
  * @param {string} type - Diagram type
  * @param {string} source - Diagram source code
- * @returns {Promise<{success: boolean, url?: string, error?: string}>}
+ * @param {string} [format='png'] - 'png' or 'svg'
+ * @returns {Promise<{success: boolean, url?: string, publicId?: string, storage?: string, format?: string, renderer?: string, cached?: boolean, error?: string}>}
  */
-async function generateDiagram(type, source) {
+async function generateDiagram(type, source, format = 'png') {
     try {
         const diagramType = DIAGRAM_TYPES[type.toLowerCase()] || type.toLowerCase();
         
@@ -173,43 +330,44 @@ async function generateDiagram(type, source) {
             cleanedSource = sanitizeMermaidSource(cleanedSource);
         }
         
-        const response = await axios.post(
-            `${KROKI_BASE_URL}/${diagramType}/png`,
-            cleanedSource,
-            {
-                headers: {
-                    'Content-Type': 'text/plain'
-                },
-                responseType: 'arraybuffer', // Get binary data
-                timeout: 30000,
-                validateStatus: (status) => status < 500
-            }
-        );
-        
-        // Check if request was successful
-        if (response.status >= 400) {
-            const errorText = Buffer.from(response.data).toString('utf-8');
-            const errorMessage = errorText.substring(0, 300);
+        // The key is derived from the source, so identical diagrams share one file.
+        // PNGs keep the original key; other formats get a suffix (Cloudinary drops extensions).
+        const hash = crypto.createHash('md5').update(cleanedSource).digest('hex').substring(0, 12);
+        const suffix = format === 'png' ? '' : `_${format}`;
+        const key = `study_space/diagrams/diagram_${diagramType}_${hash}${suffix}.${format}`;
+        const storage = getStorage();
+
+        const cached = await findCachedDiagram(storage.name, key);
+        if (cached) {
             return {
-                success: false,
-                error: `Diagram syntax error: ${errorMessage}`
+                success: true,
+                url: cached.url,
+                publicId: cached.publicId,
+                storage: cached.storage,
+                type: diagramType,
+                format,
+                renderer: cached.renderer,
+                cached: true
             };
         }
-        
-        // Upload PNG to Cloudinary
-        const pngBuffer = Buffer.from(response.data);
-        
-        const hash = crypto.createHash('md5').update(cleanedSource).digest('hex').substring(0, 12);
-        const publicId = `diagram_${diagramType}_${hash}`;
-        
-        const cloudinaryResult = await uploadToCloudinary(pngBuffer, 'study_space/diagrams', publicId);
+
+        const { buffer, renderer } = await renderDiagram(diagramType, cleanedSource, format);
+        const stored = await storage.put(buffer, {
+            key,
+            contentType: CONTENT_TYPES[format],
+            public: true
+        });
+
+        await cacheDiagram({ key, diagramType, format, renderer, ...stored, publicId: stored.key });
         
         return {
             success: true,
-            url: cloudinaryResult.url,
-            publicId: cloudinaryResult.publicId,
+            url: stored.url,
+            publicId: stored.key,
+            storage: stored.storage,
             type: diagramType,
-            format: 'png'
+            format,
+            renderer
         };
         
     } catch (error) {
@@ -220,11 +378,63 @@ async function generateDiagram(type, source) {
             : error.message;
         return {
             success: false,
-            error: errorMessage
+            error: errorMessage,
+            // Only rejected source is worth repairing; an outage is not
+            syntaxError: error instanceof DiagramSyntaxError
         };
     }
 }
 
+/**
+ * Number of repair rounds for a rejected diagram
+ * @returns {number}
+ */
+function getRepairAttempts() {
+    const attempts = parseInt(process.env.DIAGRAM_REPAIR_ATTEMPTS, 10);
+    return Number.isInteger(attempts) && attempts >= 0 ? attempts : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+/**
+ * Render a diagram, asking repair() for corrected source each time the renderer rejects it
+ * @param {string} type - Diagram type
+ * @param {string} source - Diagram source as written
+ * @param {string} format - Output format
+ * @param {Function} [repair] - async ({type, source, error}) => corrected source
+ * @param {number} maxAttempts - Repair rounds
+ * @returns {Promise<{result: Object, source: string, attempts: Array<{source: string, error: string, repairError?: string, at: Date}>}>}
+ */
+async function generateWithRepair(type, source, format, repair, maxAttempts) {
+    const attempts = [];
+    let result = await generateDiagram(type, source, format);
+
+    while (!result.success && result.syntaxError && repair && attempts.length < maxAttempts) {
+        const attempt = { source, error: result.error, at: new Date() };
+        attempts.push(attempt);
+
+        let repaired;
+        try {
+            repaired = (await repair({ type, source, error: result.error }) || '').trim();
+        } catch (repairError) {
+            attempt.repairError = repairError.message;
+            break;
+        }
+        if (!repaired || repaired === source) {
+            attempt.repairError = 'No change suggested';
+            break;
+        }
+
+        source = repaired;
+        result = await generateDiagram(type, source, format);
+    }
+
+    // The last failed render is part of the history too
+    if (!result.success && attempts[attempts.length - 1]?.source !== source) {
+        attempts.push({ source, error: result.error, at: new Date() });
+    }
+
+    return { result, source, attempts };
+}
+
 /**
  * Extract diagram code blocks from content
  * Looks for ```mermaid, ```plantuml, ```graphviz, etc.
@@ -262,29 +472,79 @@ function extractDiagramBlocks(content) {
 }
 
 /**
- * Process content and convert all diagram blocks to Cloudinary image URLs
+ * Diagrams rendered at once for one material
+ * @returns {number}
+ */
+function getEnrichmentConcurrency() {
+    const limit = parseInt(process.env.ENRICHMENT_CONCURRENCY, 10);
+    return limit > 0 ? limit : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Process content and convert all diagram blocks to stored image URLs.
+ * Blocks render concurrently; ones that still fail are left in the content as code and reported in errors.
  * @param {string} content - Markdown content with diagram blocks
- * @returns {Promise<{content: string, diagrams: Array}>}
+ * @param {Object} [options]
+ * @param {string[]} [options.formats=['png']] - The first is embedded; the rest are stored as variants
+ * @param {Function} [options.repair] - async ({type, source, error}) => corrected source, for rejected blocks
+ * @param {number} [options.maxRepairAttempts] - Defaults to DIAGRAM_REPAIR_ATTEMPTS (2)
+ * @param {number} [options.concurrency] - Defaults to ENRICHMENT_CONCURRENCY (4)
+ * @returns {Promise<{content: string, diagrams: Array, errors: Array, stats: {total: number, cached: number, rendered: number, failed: number, durationMs: number}}>}
  */
-async function processDiagramBlocks(content) {
+async function processDiagramBlocks(content, {
+    formats = ['png'],
+    repair,
+    maxRepairAttempts = getRepairAttempts(),
+    concurrency = getEnrichmentConcurrency()
+} = {}) {
+    const startedAt = Date.now();
+    const [primaryFormat, ...extraFormats] = formats;
     const diagramBlocks = extractDiagramBlocks(content);
     const processedDiagrams = [];
+    const errors = [];
+    const stats = { total: diagramBlocks.length, cached: 0, rendered: 0, failed: 0, durationMs: 0 };
     
     if (diagramBlocks.length === 0) {
-        return { content, diagrams: [] };
+        return { content, diagrams: [], errors: [], stats };
     }
     
-    diagramBlocks.sort((a, b) => b.position - a.position);
+    diagramBlocks.sort((a, b) => a.position - b.position);
+    
+    const outcomes = await mapWithConcurrency(diagramBlocks, concurrency, async (block) => {
+        const rendered = await generateWithRepair(
+            block.type, block.source, primaryFormat, repair, maxRepairAttempts
+        );
+        
+        // Extra formats are best-effort: the embedded one is what readers see
+        const variants = [];
+        if (rendered.result.success) {
+            for (const format of extraFormats) {
+                const variant = await generateDiagram(block.type, rendered.source, format);
+                if (variant.success) {
+                    variants.push({ format, url: variant.url, publicId: variant.publicId, storage: variant.storage });
+                }
+            }
+        }
+        return { ...rendered, variants };
+    });
     
-    for (const block of diagramBlocks) {
-        const result = await generateDiagram(block.type, block.source);
+    // Rendering ran in parallel; the content is rewritten in document order
+    diagramBlocks.forEach((block, index) => {
+        const { result, source, attempts, variants } = outcomes[index];
         
         if (result.success) {
+            stats[result.cached ? 'cached' : 'rendered']++;
             processedDiagrams.push({
                 type: block.type,
                 url: result.url,
                 publicId: result.publicId,
-                source: block.source
+                storage: result.storage,
+                format: result.format,
+                renderer: result.renderer,
+                variants,
+                source,
+                originalSource: source !== block.source ? block.source : undefined,
+                repairAttempts: attempts
             });
             
             const altText = `${block.type} diagram`;
@@ -293,14 +553,38 @@ async function processDiagramBlocks(content) {
                 `![${altText}](${result.url})`
             );
         } else {
-            content = content.replace(
-                block.fullMatch,
-                `${block.fullMatch}\n\n*⚠️ Diagram rendering failed: ${result.error}*`
-            );
+            stats.failed++;
+            errors.push({
+                diagramType: block.type,
+                source: block.source,
+                error: result.error,
+                attempts
+            });
         }
-    }
+    });
     
-    return { content, diagrams: processedDiagrams };
+    stats.durationMs = Date.now() - startedAt;
+    return { content, diagrams: processedDiagrams, errors, stats };
+}
+
+/**
+ * Material image entry for a processed diagram
+ * @param {Object} diagram - Entry from processDiagramBlocks
+ * @returns {Object}
+ */
+function toMaterialImage(diagram) {
+    return {
+        type: 'diagram',
+        diagramType: diagram.type,
+        url: diagram.url,
+        source: diagram.source,
+        publicId: diagram.publicId,
+        storage: diagram.storage,
+        format: diagram.format,
+        variants: diagram.variants,
+        originalSource: diagram.originalSource,
+        repairAttempts: diagram.repairAttempts
+    };
 }
 
 /**
@@ -311,12 +595,19 @@ function getAvailableDiagramTypes() {
 }
 
 module.exports = {
+    DIAGRAM_FORMATS,
+    getKrokiEndpoints,
+    getKrokiStatus,
+    checkKrokiEndpoint,
+    getEnrichmentConcurrency,
+    forgetCachedDiagrams,
+    parseDiagramFormats,
     getDiagramUrl,
     generateDiagram,
+    toMaterialImage,
     extractDiagramBlocks,
     processDiagramBlocks,
     getAvailableDiagramTypes,
     sanitizeMermaidSource,
-    uploadToCloudinary,
     DIAGRAM_TYPES
 };
@@ -0,0 +1,87 @@
+const sharp = require('sharp');
+
+/**
+ * In-process renderers, used as a last resort when no Kroki endpoint is reachable.
+ * Only formats that render in plain JavaScript are covered (no browser, so no Mermaid).
+ * Each needs its package installed; they are not dependencies of the app:
+ *   graphviz/dot: @viz-js/viz
+ *   vega: vega
+ *   vegalite: vega + vega-lite
+ */
+const renderers = {
+    async graphviz(source) {
+        const { instance } = require('@viz-js/viz');
+        const viz = await instance();
+        return viz.renderString(source, { format: 'svg' });
+    },
+
+    async vega(source) {
+        const vega = require('vega');
+        const view = new vega.View(vega.parse(JSON.parse(source)), { renderer: 'none' });
+        return view.toSVG();
+    },
+
+    async vegalite(source) {
+        const vegaLite = require('vega-lite');
+        return renderers.vega(JSON.stringify(vegaLite.compile(JSON.parse(source)).spec));
+    }
+};
+
+/**
+ * Whether in-process rendering is switched on (DIAGRAM_LOCAL_RENDERER=true)
+ * @returns {boolean}
+ */
+function isLocalRenderingEnabled() {
+    return process.env.DIAGRAM_LOCAL_RENDERER === 'true';
+}
+
+/**
+ * Whether a diagram type has an in-process renderer
+ * @param {string} type - Kroki diagram type (already normalised, e.g. 'graphviz')
+ * @returns {boolean}
+ */
+function canRenderLocally(type) {
+    return isLocalRenderingEnabled() && Object.prototype.hasOwnProperty.call(renderers, type);
+}
+
+/**
+ * Render a diagram without Kroki
+ * @param {string} type - Kroki diagram type
+ * @param {string} source - Diagram source
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Promise<Buffer>}
+ */
+async function renderLocally(type, source, format) {
+    if (!canRenderLocally(type)) {
+        throw new Error(`No local renderer for ${type}`);
+    }
+
+    let svg;
+    try {
+        svg = await renderers[type](source);
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            throw new Error(`Local ${type} rendering needs an optional package that is not installed`);
+        }
+        throw error;
+    }
+
+    const buffer = Buffer.from(svg);
+    return format === 'png' ? sharp(buffer, { density: 144 }).png().toBuffer() : buffer;
+}
+
+/**
+ * Register or replace an in-process renderer
+ * @param {string} type - Kroki diagram type
+ * @param {function(string): Promise<string>} render - Returns SVG markup
+ */
+function registerLocalRenderer(type, render) {
+    renderers[type] = render;
+}
+
+module.exports = {
+    isLocalRenderingEnabled,
+    canRenderLocally,
+    renderLocally,
+    registerLocalRenderer
+};
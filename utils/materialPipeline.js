@@ -0,0 +1,659 @@
+const path = require('path');
+const axios = require('axios');
+const { pdf } = require('pdf-to-img');
+const { generateText } = require('./ai');
+const GenerationJob = require('../models/GenerationJob');
+const Material = require('../models/Material');
+const { readJobFile, deleteJobFiles } = require('./jobFiles');
+const { findPlaceholderImages, replaceImagePlaceholders } = require('./imageSearch');
+const { mirrorSearchImages } = require('./imageMirror');
+const { processDiagramBlocks, toMaterialImage, getEnrichmentConcurrency } = require('./kroki');
+const { indexMaterial, reindexQuietly } = require('./retrieval');
+const { ensureCurrentRevision, saveMaterialRevision } = require('./revisions');
+const { recordActivity } = require('./activity');
+const { retainAssetsQuietly } = require('./assets');
+const { getStorage } = require('./storage');
+const { withTimeout } = require('./helpers');
+const { runStudyGenerateStage, runStudySaveStage } = require('./studyItems');
+
+/**
+ * Pipeline stages in execution order
+ */
+const STAGES = ['upload', 'rasterise', 'generate', 'enrich', 'save'];
+
+/**
+ * Stages of a 'study' job, which generates a study set from existing materials
+ */
+const STUDY_STAGES = ['generate', 'save'];
+
+const getStages = job => (job.kind === 'study' ? STUDY_STAGES : STAGES);
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.GENERATION_JOB_CONCURRENCY, 10) || 2;
+
+const IMAGE_MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+const SYSTEM_PROMPT = `# Role
+You are an expert Academic Assistant that transforms rough study materials (blackboard photos, scribbled notes, or transcripts) into high-quality, structured Markdown notes.
+
+# Task
+Analyze the input and generate a comprehensive study guide. Expand fragmented thoughts into clear explanations and solve any homework questions or math problems found in the notes.
+
+# Guidelines
+1. **Formatting:** Use the full range of Markdown. Use # for titles, ## and ### for hierarchy, and **bold** for key terms. Use tables for comparisons and --- (horizontal rules) to separate different topics or sections.
+2. **Mathematical Notation:** Use LaTeX for all formulas and variables.
+   * Inline: $E = mc^2$
+   * Block: $$x = \frac{-b \pm \sqrt{b^2 - 4ac}}{2a}$$
+3. **Diagrams (Kroki.io):** Use code blocks to recreate sketches or logic. Use the best engine for the data (mermaid, plantuml, graphviz, dot, blockdiag, seqdiag, actdiag, nwdiag, packetdiag, rackdiag, c4plantuml, ditaa, erd, structurizr, vega, vegalite, wireviz).
+   * **Example: (Use the most relevant engine provided above, not only mermaid)**
+     \`\`\`mermaid
+     graph TD;
+     A[Light] --> B{Photosynthesis};
+     B --> C[Oxygen];
+     B --> D[Glucose];
+     \`\`\`
+4. **Visual Placeholders:** Use {{IMAGE: description}} for common graphs, anatomy, or complex photos, maps that cannot be coded.
+   * **Example:** {{IMAGE: supply and demand curve graph}} or {{IMAGE: structure of a plant cell}} or {{IMAGE: visible light spectrum}}.
+5. **Tone & Style:** Maintain a "Helpful Peer" tone—approachable, clear, and easy to read. Avoid dense jargon unless it is a key term being defined. Preferably use Indian English conventions.
+6. **Fallback Logic:** If the input is missing, blurry, or extremely sparse, generate a comprehensive college-level overview of the identified topic so the user still gets a useful study guide.
+7. **Safety:** If the content is inappropriate, harmful, or nonsensical, respond ONLY with "REFUSE".
+
+# Output Format
+# [Title]
+> **Summary:** A brief overview of the notes.
+
+---
+[Structured Markdown Content with Diagrams and Placeholders]
+
+---
+## Solutions
+[Step-by-step solutions for any problems found in the notes]
+`;
+
+/**
+ * Ask the AI to fix a diagram the renderer rejected
+ * @param {Object} diagram
+ * @param {string} diagram.type - Diagram type
+ * @param {string} diagram.source - Rejected source
+ * @param {string} diagram.error - Renderer error message
+ * @returns {Promise<string>} Corrected source
+ */
+async function repairDiagramSource({ type, source, error }) {
+    const prompt = `The following ${type} diagram failed to render with Kroki.
+
+Renderer error:
+${error}
+
+Diagram source:
+${source}
+
+Fix the syntax so it renders. Keep the same structure, labels and meaning. Respond with only the corrected ${type} source, without code fences or explanation.`;
+
+    const { text } = await withTimeout(
+        generateText('repair', prompt, { temperature: 0.2 }),
+        60000,
+        'Diagram repair'
+    );
+
+    return text.trim()
+        .replace(/^```[\w-]*\n/, '')
+        .replace(/\n?```$/, '')
+        .trim();
+}
+
+/**
+ * Error raised by a stage with a message that is safe to show to the user
+ */
+class StageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StageError';
+        this.userMessage = message;
+    }
+}
+
+/**
+ * Split model output into a title and Markdown body
+ * @param {string} generatedText - Raw model output
+ * @returns {{title: string, content: string}}
+ */
+function parseGeneratedNotes(generatedText) {
+    let title = 'Study Notes';
+    let content = generatedText;
+
+    // Match the expected format: # Title\n> **Summary:** ...\n---\nContent
+    // First try: title followed by summary blockquote then separator
+    let titleMatch = generatedText.match(/^#\s+(.+?)[\r\n]+>[\s\S]*?[\r\n]+---[\r\n]+([\s\S]+)/);
+
+    if (titleMatch) {
+        title = titleMatch[1].trim();
+        content = titleMatch[2].trim();
+    } else {
+        // Second try: title followed by separator
+        titleMatch = generatedText.match(/^#\s+(.+?)[\r\n]+---[\r\n]+([\s\S]+)/);
+        if (titleMatch) {
+            title = titleMatch[1].trim();
+            content = titleMatch[2].trim();
+        } else {
+            // Fallback: try to extract first H1 heading as title
+            const h1Match = generatedText.match(/^#\s+(.+?)[\r\n]+([\s\S]+)/);
+            if (h1Match) {
+                title = h1Match[1].trim();
+                content = h1Match[2].trim();
+            }
+        }
+    }
+
+    return { title, content };
+}
+
+/**
+ * Map a pipeline error to a user-facing message
+ * @param {Error} error
+ * @returns {string}
+ */
+function describeGenerationError(error) {
+    if (error.userMessage) {
+        return error.userMessage;
+    }
+    if (error.name === 'ValidationError') {
+        return 'Invalid data provided';
+    }
+    if (error.message && error.message.includes('timed out')) {
+        return 'Processing took too long. Try with a smaller file or fewer pages.';
+    }
+    if (error.message && error.message.includes('API')) {
+        return 'AI processing service temporarily unavailable. Please try again later.';
+    }
+    if (error.code === 'ENOSPC') {
+        return 'Server storage full. Please contact administrator.';
+    }
+    return 'Failed to process files';
+}
+
+/**
+ * Stage: persist the original files to storage and record sourceFiles metadata
+ */
+async function runUploadStage(job) {
+    // Refine jobs reuse the material's existing source files
+    if (job.kind === 'refine') {
+        return;
+    }
+
+    const storage = getStorage();
+    const sourceFiles = [];
+
+    for (const [index, file] of job.inputFiles.entries()) {
+        const isPdf = file.mimeType.includes('pdf') || path.extname(file.originalName).toLowerCase() === '.pdf';
+        const entry = {
+            originalName: file.originalName,
+            fileType: isPdf ? 'pdf' : 'image',
+            mimeType: file.mimeType,
+            size: file.size
+        };
+
+        // Keyed by job so a retried stage overwrites instead of leaving duplicates
+        try {
+            const stored = await storage.put(await readJobFile(file.fileId), {
+                key: `study_space/sources/${job._id}_${index}${path.extname(file.originalName).toLowerCase()}`,
+                contentType: file.mimeType
+            });
+            Object.assign(entry, { url: stored.url, publicId: stored.key, storage: stored.storage });
+        } catch (uploadError) {
+            // The material is still created; only the original is unavailable for download
+        }
+
+        sourceFiles.push(entry);
+    }
+
+    job.output.sourceFiles = sourceFiles;
+}
+
+/**
+ * Append AI content parts for one uploaded file (PDF pages become PNGs)
+ * @param {Array} contentParts - Parts to append to
+ * @param {Buffer} buffer - File contents
+ * @param {string} originalName - File name (its extension decides the handling)
+ */
+async function appendFileParts(contentParts, buffer, originalName) {
+    const ext = path.extname(originalName).toLowerCase();
+
+    if (ext === '.pdf') {
+        const pdfSizeMB = buffer.length / 1024 / 1024;
+
+        if (pdfSizeMB > 20) {
+            contentParts.push({
+                text: `PDF "${originalName}" is too large (${pdfSizeMB.toFixed(1)} MB). Please use a smaller file.`
+            });
+            return;
+        }
+
+        try {
+            const document = await pdf(buffer, { scale: 2.0 });
+            let pageNum = 0;
+
+            for await (const image of document) {
+                pageNum++;
+
+                if (pageNum > 20) {
+                    break;
+                }
+
+                contentParts.push({
+                    inlineData: {
+                        data: image.toString('base64'),
+                        mimeType: 'image/png'
+                    }
+                });
+            }
+        } catch (conversionError) {
+            contentParts.push({
+                inlineData: {
+                    data: buffer.toString('base64'),
+                    mimeType: 'application/pdf'
+                }
+            });
+        }
+    } else if (IMAGE_MIME_TYPES[ext]) {
+        contentParts.push({
+            inlineData: {
+                data: buffer.toString('base64'),
+                mimeType: IMAGE_MIME_TYPES[ext]
+            }
+        });
+    }
+}
+
+/**
+ * Build the prompt for refining an existing material
+ * @param {Object} material - Material being refined
+ * @param {string} instruction - What the user wants changed
+ * @returns {string}
+ */
+function buildRefinePrompt(material, instruction) {
+    return `${SYSTEM_PROMPT}
+# Refinement
+You are revising an existing set of notes instead of starting from scratch. Apply the instruction below to the current notes and return the complete revised notes in the Output Format above. Keep existing image links (![...](...)) unless the instruction requires removing them. Any attached files are the original sources the notes were made from.
+
+**Instruction:** ${instruction}
+
+# Current Notes
+# ${material.title}
+
+${material.content}`;
+}
+
+/**
+ * Stage: turn stored files into AI content parts
+ * @returns {Promise<Array>} Content parts, starting with the system prompt
+ */
+async function runRasteriseStage(job) {
+    if (job.kind === 'refine') {
+        return buildRefineParts(job);
+    }
+
+    const contentParts = [SYSTEM_PROMPT];
+
+    for (const file of job.inputFiles) {
+        const buffer = await readJobFile(file.fileId);
+
+        // Base64 files are passed through exactly as the client sent them
+        if (file.encoding === 'base64') {
+            contentParts.push({
+                inlineData: {
+                    data: buffer.toString('base64'),
+                    mimeType: file.mimeType
+                }
+            });
+            continue;
+        }
+
+        await appendFileParts(contentParts, buffer, file.originalName);
+    }
+
+    if (job.prompt && job.prompt.trim()) {
+        contentParts.push({
+            text: `User Prompt: ${job.prompt}`
+        });
+    }
+
+    return contentParts;
+}
+
+/**
+ * Content parts for a refine job: current notes, instruction and (optionally) the original files
+ * @returns {Promise<Array>}
+ */
+async function buildRefineParts(job) {
+    const material = await Material.findById(job.materialId);
+    if (!material) {
+        throw new StageError('Material not found');
+    }
+
+    const contentParts = [buildRefinePrompt(material, job.instruction)];
+
+    if (job.useSourceFiles) {
+        for (const file of material.sourceFiles) {
+            try {
+                let buffer;
+                if (file.publicId) {
+                    buffer = await getStorage(file.storage || 'cloudinary').get(file.publicId, { filename: file.originalName });
+                } else if (file.url && file.url.startsWith('http')) {
+                    const response = await axios.get(file.url, { responseType: 'arraybuffer', timeout: 30000 });
+                    buffer = Buffer.from(response.data);
+                } else {
+                    // The original was never stored
+                    continue;
+                }
+                await appendFileParts(contentParts, buffer, file.originalName);
+            } catch (downloadError) {
+                // Refine from the current notes alone if a source file is gone
+            }
+        }
+    }
+
+    return contentParts;
+}
+
+/**
+ * Stage: send content to the notes model chain and parse the notes
+ */
+async function runGenerateStage(job, contentParts) {
+    const { text: generatedText } = await withTimeout(
+        generateText('notes', contentParts),
+        300000,
+        'AI generation'
+    );
+
+    if (generatedText.trim().startsWith('REFUSE')) {
+        throw new StageError('The provided content was deemed inappropriate, harmful, or unsuitable for processing. Please review your input and try again with valid study materials.');
+    }
+
+    const { title, content } = parseGeneratedNotes(generatedText);
+    job.output.title = title;
+    job.output.content = content;
+}
+
+/**
+ * Stage: render diagrams and search images for placeholders, both concurrently and cache-backed
+ */
+async function runEnrichStage(job) {
+    const startedAt = Date.now();
+    const concurrency = getEnrichmentConcurrency();
+
+    const [diagramResult, imageResult] = await Promise.all([
+        processDiagramBlocks(job.output.content, {
+            formats: job.diagramFormats,
+            repair: repairDiagramSource,
+            concurrency
+        }),
+        findPlaceholderImages(job.output.content, { concurrency }).then(async (found) => {
+            // Copy the chosen images into storage so notes do not depend on the source site
+            const mirrored = await mirrorSearchImages(found.images, { concurrency });
+            return {
+                images: mirrored.images,
+                stats: { ...found.stats, mirrored: mirrored.stats.mirrored, mirrorFailed: mirrored.stats.failed }
+            };
+        })
+    ]);
+
+    job.output.content = imageResult.images.length > 0
+        ? replaceImagePlaceholders(diagramResult.content, imageResult.images)
+        : diagramResult.content;
+    // Diagrams already in output were rendered earlier and are no longer blocks in the content
+    job.output.diagrams = [...(job.output.diagrams || []), ...diagramResult.diagrams];
+    job.output.diagramErrors = diagramResult.errors;
+    job.output.images = imageResult.images;
+    job.output.enrichment = {
+        durationMs: Date.now() - startedAt,
+        diagrams: diagramResult.stats,
+        images: imageResult.stats
+    };
+}
+
+/**
+ * Stage: save the Material
+ */
+async function runSaveStage(job) {
+    if (job.kind === 'refine') {
+        return saveRefinedMaterial(job);
+    }
+
+    // A retry after a failure late in this stage must not create a second material
+    if (job.materialId && await Material.exists({ _id: job.materialId }).withDeleted()) {
+        return;
+    }
+
+    const allImages = [
+        ...(job.output.images || []),
+        ...(job.output.diagrams || []).map(toMaterialImage)
+    ];
+
+    const material = new Material({
+        title: job.output.title,
+        content: job.output.content,
+        subjectId: job.subjectId,
+        spaceId: job.spaceId,
+        createdBy: job.createdBy,
+        images: allImages,
+        diagramErrors: job.output.diagramErrors,
+        enrichment: job.output.enrichment,
+        sourceFiles: job.output.sourceFiles
+    });
+
+    await material.save();
+    job.materialId = material._id;
+
+    await retainAssetsQuietly(material);
+
+    await recordActivity({
+        spaceId: material.spaceId,
+        actor: job.createdBy,
+        action: 'material.generate',
+        targetType: 'material',
+        targetId: material._id,
+        targetName: material.title,
+        summary: `Generated material "${material.title}" with AI`,
+        metadata: { jobId: job._id, subjectId: material.subjectId, sourceFileCount: (job.inputFiles || []).length }
+    });
+
+    // Neither the first revision nor the chat index may fail the job (both are rebuilt later if missing)
+    try {
+        await ensureCurrentRevision(material);
+        await indexMaterial(material);
+    } catch (postSaveError) {
+        // Ignore post-save errors
+    }
+}
+
+/**
+ * Save refine output as a new revision of the existing material
+ */
+async function saveRefinedMaterial(job) {
+    const material = await Material.findById(job.materialId);
+    if (!material) {
+        throw new StageError('Material not found');
+    }
+
+    // A retry after a failure late in this stage must not add a second revision
+    if (job.revisionVersion && material.version >= job.revisionVersion) {
+        return;
+    }
+
+    (job.output.images || []).forEach(image => material.images.push(image));
+    (job.output.diagrams || []).forEach(d => material.images.push(toMaterialImage(d)));
+    material.diagramErrors = job.output.diagramErrors || [];
+    material.enrichment = job.output.enrichment;
+
+    // An edit made while the job ran would be overwritten by output based on the older content
+    const revision = await saveMaterialRevision(
+        material,
+        { title: job.output.title, content: job.output.content },
+        job.createdBy,
+        { source: 'refine', instruction: job.instruction, expectedVersion: job.baseVersion }
+    );
+    job.revisionVersion = revision.version;
+
+    await retainAssetsQuietly(material);
+
+    await recordActivity({
+        spaceId: material.spaceId,
+        actor: job.createdBy,
+        action: 'material.refine',
+        targetType: 'material',
+        targetId: material._id,
+        targetName: material.title,
+        summary: `Refined material "${material.title}" with AI (${revision.summary.text})`,
+        metadata: { jobId: job._id, version: revision.version, instruction: job.instruction }
+    });
+
+    await reindexQuietly(material);
+}
+
+/**
+ * Mark a stage as started and persist progress
+ */
+async function enterStage(job, stage) {
+    const stages = getStages(job);
+    job.stage = stage;
+    job.progress = Math.round((stages.indexOf(stage) / stages.length) * 100);
+    job.updatedAt = new Date();
+    await job.save();
+}
+
+/**
+ * Mark a stage as done so a retry can skip it
+ */
+async function completeStage(job, stage) {
+    if (!job.completedStages.includes(stage)) {
+        job.completedStages.push(stage);
+    }
+    job.updatedAt = new Date();
+    await job.save();
+}
+
+/**
+ * Run (or resume) a generation job through every stage
+ * @param {string} jobId
+ */
+async function runGenerationJob(jobId) {
+    const job = await GenerationJob.findById(jobId);
+    if (!job || job.status === 'completed') {
+        return;
+    }
+
+    job.status = 'running';
+    job.attempts += 1;
+    job.startedAt = new Date();
+    job.failedStage = undefined;
+    job.error = undefined;
+    job.errorDetails = undefined;
+
+    const isDone = stage => job.completedStages.includes(stage);
+    // Rasterised pages are not persisted, so rasterise runs again whenever generation still has to
+    const shouldSkip = stage => (stage === 'rasterise' ? isDone('generate') : isDone(stage));
+    let contentParts = null;
+
+    try {
+        for (const stage of getStages(job)) {
+            if (shouldSkip(stage)) {
+                continue;
+            }
+
+            await enterStage(job, stage);
+
+            if (job.kind === 'study') {
+                await (stage === 'generate' ? runStudyGenerateStage(job) : runStudySaveStage(job));
+            } else if (stage === 'upload') {
+                await runUploadStage(job);
+            } else if (stage === 'rasterise') {
+                contentParts = await runRasteriseStage(job);
+            } else if (stage === 'generate') {
+                await runGenerateStage(job, contentParts);
+            } else if (stage === 'enrich') {
+                await runEnrichStage(job);
+            } else if (stage === 'save') {
+                await runSaveStage(job);
+            }
+
+            await completeStage(job, stage);
+        }
+
+        job.status = 'completed';
+        job.progress = 100;
+        job.finishedAt = new Date();
+        job.updatedAt = new Date();
+        await job.save();
+
+        // Inputs are only kept around for retries
+        await deleteJobFiles(job.inputFiles.map(file => file.fileId));
+    } catch (error) {
+        job.status = 'failed';
+        job.failedStage = job.stage;
+        job.error = describeGenerationError(error);
+        job.errorDetails = error.message;
+        job.finishedAt = new Date();
+        job.updatedAt = new Date();
+        await job.save();
+    }
+}
+
+// In-process queue of job IDs waiting to run
+const queue = [];
+let activeJobs = 0;
+
+function drainQueue() {
+    while (activeJobs < MAX_CONCURRENT_JOBS && queue.length > 0) {
+        const jobId = queue.shift();
+        activeJobs++;
+        runGenerationJob(jobId)
+            .catch(() => {
+                // Failures are recorded on the job itself
+            })
+            .finally(() => {
+                activeJobs--;
+                drainQueue();
+            });
+    }
+}
+
+/**
+ * Queue a job for background processing
+ * @param {string} jobId
+ */
+function enqueueGenerationJob(jobId) {
+    const id = jobId.toString();
+    if (!queue.includes(id)) {
+        queue.push(id);
+    }
+    drainQueue();
+}
+
+/**
+ * Re-queue jobs that were queued or interrupted mid-run (e.g. by a restart)
+ */
+async function resumePendingJobs() {
+    const pendingJobs = await GenerationJob.find({ status: { $in: ['queued', 'running'] } })
+        .sort({ createdAt: 1 })
+        .select('_id');
+
+    pendingJobs.forEach(job => enqueueGenerationJob(job._id));
+}
+
+module.exports = {
+    STAGES,
+    STUDY_STAGES,
+    getStages,
+    SYSTEM_PROMPT,
+    repairDiagramSource,
+    parseGeneratedNotes,
+    describeGenerationError,
+    enqueueGenerationJob,
+    resumePendingJobs,
+    runGenerationJob
+};
@@ -0,0 +1,269 @@
+const Space = require('../models/Space');
+const Subject = require('../models/Subject');
+const Material = require('../models/Material');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+const QuizAttempt = require('../models/QuizAttempt');
+
+/**
+ * Space roles from least to most privileged. Every role includes the permissions of the ones below it.
+ */
+const ROLES = ['member', 'editor', 'admin', 'owner'];
+
+/**
+ * Named actions and the minimum role each needs.
+ * allowCreator lets members act on documents they created themselves.
+ * message is returned to members who lack the role (non-members always get "Not a member of this space").
+ */
+const POLICIES = {
+    'space.read': { role: 'member' },
+    'space.update': { role: 'owner', message: 'Only owner can update space details' },
+    'space.delete': { role: 'owner', message: 'Only owner can delete space' },
+    'space.leave': { role: 'member' },
+    'space.transfer': { role: 'owner', message: 'Only owner can transfer ownership' },
+
+    'member.list': { role: 'member' },
+    'member.remove': { role: 'owner', message: 'Only owner can remove members' },
+    'member.setEditor': { role: 'owner', message: 'Only owner can manage editor permissions' },
+    'admin.add': { role: 'admin', message: 'Only owner or admins can promote admins' },
+    'admin.remove': { role: 'owner', message: 'Only owner can remove admins' },
+    'invite.manage': { role: 'admin', message: 'Only owner or admins can manage invites' },
+    'member.approve': { role: 'admin', message: 'Only owner or admins can review join requests' },
+    'member.ban': { role: 'admin', message: 'Only owner or admins can manage bans' },
+
+    'activity.read': { role: 'member' },
+    'activity.filter': { role: 'admin', message: 'Only owner or admins can filter activity' },
+
+    'subject.read': { role: 'member' },
+    'subject.create': { role: 'editor', message: 'You do not have permission to create subjects in this space' },
+    'subject.update': { role: 'editor', message: 'You do not have permission to update this subject' },
+    'subject.delete': { role: 'editor', message: 'You do not have permission to delete this subject' },
+
+    'material.read': { role: 'member' },
+    'material.create': { role: 'editor', message: 'You do not have permission to create materials in this space' },
+    'material.update': { role: 'editor', message: 'You do not have permission to edit this material' },
+    'material.delete': { role: 'editor', message: 'You do not have permission to delete this material' },
+
+    'study.read': { role: 'member' },
+    'study.practice': { role: 'member' },
+    'study.generate': { role: 'editor', message: 'You do not have permission to create study items in this space' },
+    'study.update': { role: 'editor', allowCreator: true, message: 'You do not have permission to edit this study set or item' },
+    'study.delete': { role: 'editor', allowCreator: true, message: 'You do not have permission to delete this study set or item' },
+
+    'trash.manage': { role: 'editor', message: 'You do not have permission to manage the trash' },
+
+    'progress.viewAll': { role: 'admin', message: 'Only owner or admins can view other members\' progress' }
+};
+
+// Documents that can identify a space, keyed by the ID parameter that names them
+const RESOURCES = {
+    spaceId: { model: Space, label: 'Space' },
+    subjectId: { model: Subject, label: 'Subject', attachAs: 'subject' },
+    materialId: { model: Material, label: 'Material', attachAs: 'material' },
+    setId: { model: StudySet, label: 'Study set', attachAs: 'studySet' },
+    itemId: { model: StudyItem, label: 'Study item', attachAs: 'studyItem' },
+    attemptId: { model: QuizAttempt, label: 'Attempt', attachAs: 'quizAttempt' }
+};
+
+/**
+ * Error raised while resolving the space for a request (bad ID, missing document)
+ */
+class PolicyError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'PolicyError';
+        this.statusCode = statusCode;
+    }
+}
+
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Get a user's role in a space
+ * @param {Object} space - Space document
+ * @param {string|Object} userId
+ * @returns {string|null} 'owner', 'admin', 'editor', 'member' or null for non-members
+ */
+function getRole(space, userId) {
+    const userIdStr = userId.toString();
+    const matches = (list) => (list || []).some(entry => (entry._id || entry).toString() === userIdStr);
+
+    if ((space.owner._id || space.owner).toString() === userIdStr) return 'owner';
+    if (matches(space.admins)) return 'admin';
+    if (matches(space.editors)) return 'editor';
+    if (matches(space.members)) return 'member';
+    return null;
+}
+
+const rank = (role) => ROLES.indexOf(role);
+
+/**
+ * Check whether a role may perform an action
+ * @param {string|null} role - Role from getRole
+ * @param {string} action - Key of POLICIES
+ * @param {Object} [resource] - Document being acted on (for creator rules)
+ * @param {string|Object} [userId]
+ * @returns {boolean}
+ */
+function isAllowed(role, action, resource, userId) {
+    const policy = POLICIES[action];
+    if (!policy) {
+        throw new Error(`Unknown policy action: ${action}`);
+    }
+    if (!role) return false;
+    if (rank(role) >= rank(policy.role)) return true;
+
+    return Boolean(policy.allowCreator && resource && resource.createdBy && userId &&
+        resource.createdBy.toString() === userId.toString());
+}
+
+/**
+ * Check whether a user may perform an action in a space
+ * @param {Object} space - Space document
+ * @param {string|Object} userId
+ * @param {string} action - Key of POLICIES
+ * @param {Object} [resource]
+ * @returns {boolean}
+ */
+function can(space, userId, action, resource) {
+    return isAllowed(getRole(space, userId), action, resource, userId);
+}
+
+/**
+ * Whether the actor holds a strictly higher role than the target (used for actions on other members)
+ * @param {Object} space - Space document
+ * @param {string|Object} actorId
+ * @param {string|Object} targetId
+ * @returns {boolean}
+ */
+function outranks(space, actorId, targetId) {
+    return rank(getRole(space, actorId)) > rank(getRole(space, targetId));
+}
+
+/**
+ * Everything a user may do in a space, for clients to show or hide controls
+ * @param {Object} space - Space document
+ * @param {string|Object} userId
+ * @returns {{role: string|null, capabilities: Object<string, boolean>}}
+ */
+function getCapabilities(space, userId) {
+    const role = getRole(space, userId);
+    const capabilities = {};
+    for (const action of Object.keys(POLICIES)) {
+        capabilities[action] = isAllowed(role, action);
+    }
+    return { role, capabilities };
+}
+
+// Load one document by ID, throwing a PolicyError for a missing, malformed or unknown ID
+const loadDocument = async (kind, id) => {
+    const { model, label } = RESOURCES[kind];
+
+    if (!id) {
+        throw new PolicyError(400, `${label} ID is required`);
+    }
+    if (!isValidId(id)) {
+        throw new PolicyError(400, `Invalid ${label.toLowerCase()} ID format`);
+    }
+
+    const doc = await model.findById(id);
+    if (!doc) {
+        throw new PolicyError(404, `${label} not found`);
+    }
+    return doc;
+};
+
+// Resolve the space behind a document, attaching the document to req
+const resolveDocument = async (req, kind, id) => {
+    if (kind === 'spaceId') {
+        return { space: await loadDocument('spaceId', id) };
+    }
+
+    const resource = await loadDocument(kind, id);
+    req[RESOURCES[kind].attachAs] = resource;
+
+    const space = await Space.findById(resource.spaceId);
+    if (!space) {
+        throw new PolicyError(404, 'Space not found');
+    }
+    return { space, resource };
+};
+
+/**
+ * Resolver that finds the space through one document ID on the request
+ * @param {string} kind - Key of RESOURCES, e.g. 'materialId'
+ * @param {string} [source='params'] - 'params', 'body' or 'query'
+ * @param {string} [key=kind] - Field name when it differs from kind (e.g. ':id')
+ * @returns {Function} async (req) => ({ space, resource })
+ */
+function loadFrom(kind, source = 'params', key = kind) {
+    return (req) => resolveDocument(req, kind, (req[source] || {})[key]);
+}
+
+/**
+ * Resolver that uses the first of several document IDs present on the request
+ * @param {string[]} kinds - Keys of RESOURCES in order of preference
+ * @param {string} [source='query']
+ * @returns {Function} async (req) => ({ space, resource })
+ */
+function loadFirstOf(kinds, source = 'query') {
+    return (req) => {
+        const values = req[source] || {};
+        const kind = kinds.find(candidate => values[candidate]);
+        if (!kind) {
+            const labels = kinds.map(candidate => RESOURCES[candidate].label.toLowerCase());
+            const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+            throw new PolicyError(400, `A ${list} ID is required`);
+        }
+        return resolveDocument(req, kind, values[kind]);
+    };
+}
+
+/**
+ * Express middleware that allows the request only if the user may perform the action.
+ * On success sets req.space, req.spaceRole and the loaded document (req.subject, req.material, ...).
+ * @param {string} action - Key of POLICIES
+ * @param {Function} [resolve] - Resolver from loadFrom/loadFirstOf (defaults to :spaceId)
+ * @returns {Function} Express middleware
+ */
+function authorize(action, resolve = loadFrom('spaceId')) {
+    if (!POLICIES[action]) {
+        throw new Error(`Unknown policy action: ${action}`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            const { space, resource } = await resolve(req);
+            const role = getRole(space, req.user._id);
+
+            if (!isAllowed(role, action, resource, req.user._id)) {
+                return res.status(403).json({
+                    status: 'error',
+                    message: role ? (POLICIES[action].message || 'Permission denied') : 'Not a member of this space'
+                });
+            }
+
+            req.space = space;
+            req.spaceRole = role;
+            next();
+        } catch (error) {
+            if (error instanceof PolicyError) {
+                return res.status(error.statusCode).json({ status: 'error', message: error.message });
+            }
+            res.status(500).json({ status: 'error', message: 'Could not check permissions' });
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    POLICIES,
+    PolicyError,
+    getRole,
+    can,
+    outranks,
+    getCapabilities,
+    loadFrom,
+    loadFirstOf,
+    authorize
+};
@@ -0,0 +1,143 @@
+/**
+ * Quiz scoring and mastery calculations (pure functions)
+ */
+
+// Item types that can appear in a quiz (flashcards are reviewed, not quizzed)
+const QUIZ_ITEM_TYPES = ['mcq', 'short'];
+
+/**
+ * Normalise a short answer for comparison: case, punctuation, LaTeX delimiters and spacing are ignored
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeAnswer(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/\$/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Score submitted answers against quiz items
+ * @param {Array} items - Quiz items (mcq/short StudyItem documents)
+ * @param {Array} answers - [{ itemId, selectedIndex?, response? }]
+ * @returns {{answers: Array, score: number, total: number, percentage: number, missedItemIds: Array}}
+ */
+function scoreAttempt(items, answers) {
+    const answersByItem = new Map((answers || []).map(answer => [String(answer.itemId), answer]));
+    const scored = [];
+
+    for (const item of items) {
+        const answer = answersByItem.get(item._id.toString()) || {};
+        let correct = false;
+
+        if (item.type === 'mcq') {
+            correct = Number.isInteger(answer.selectedIndex) && answer.selectedIndex === item.correctIndex;
+        } else {
+            // Self-marking happens after submission (applySelfMarks), never from the submitted answers
+            correct = Boolean(answer.response) && normalizeAnswer(answer.response) === normalizeAnswer(item.answer);
+        }
+
+        scored.push({
+            itemId: item._id,
+            itemType: item.type,
+            selectedIndex: Number.isInteger(answer.selectedIndex) ? answer.selectedIndex : undefined,
+            response: typeof answer.response === 'string' ? answer.response : undefined,
+            correct
+        });
+    }
+
+    return { answers: scored, ...summarizeAnswers(scored) };
+}
+
+/**
+ * Score, percentage and missed items for scored answers
+ * @param {Array} answers - Scored answers with itemId and correct
+ * @returns {{score: number, total: number, percentage: number, missedItemIds: Array}}
+ */
+function summarizeAnswers(answers) {
+    const score = answers.filter(answer => answer.correct).length;
+    const total = answers.length;
+
+    return {
+        score,
+        total,
+        percentage: total > 0 ? Math.round((score / total) * 1000) / 10 : 0,
+        missedItemIds: answers.filter(answer => !answer.correct).map(answer => answer.itemId)
+    };
+}
+
+/**
+ * Apply a student's own marks to the short answers of a submitted attempt.
+ * Only answered short-answer questions can be marked; MCQs stay as scored.
+ * @param {Array} answers - The attempt's scored answers
+ * @param {Array} marks - [{ itemId, correct }]
+ * @returns {{answers: Array, errors: Array<string>}} Updated copies of the answers
+ */
+function applySelfMarks(answers, marks) {
+    const errors = [];
+    const updated = answers.map(answer => ({ ...answer }));
+    const byItem = new Map(updated.map(answer => [String(answer.itemId), answer]));
+
+    for (const mark of marks) {
+        const answer = byItem.get(String(mark && mark.itemId));
+        if (!answer) {
+            errors.push(`${mark && mark.itemId} is not a question in this attempt`);
+        } else if (answer.itemType !== 'short') {
+            errors.push(`${mark.itemId} is not a short-answer question`);
+        } else if (typeof mark.correct !== 'boolean') {
+            errors.push(`correct must be true or false for ${mark.itemId}`);
+        } else if (mark.correct && !(answer.response || '').trim()) {
+            errors.push(`${mark.itemId} was not answered`);
+        } else {
+            answer.correct = mark.correct;
+            answer.selfMarked = true;
+        }
+    }
+
+    return { answers: updated, errors };
+}
+
+/**
+ * Mastery from a user's attempts: each question counts by its most recent answer
+ * @param {Array} attempts - QuizAttempt documents (any order)
+ * @param {number} totalItems - Quiz questions available in the scope
+ * @returns {{attempts: number, averagePercentage: number|null, bestPercentage: number|null,
+ *   questionsAttempted: number, questionsMastered: number, totalQuestions: number,
+ *   mastery: number, lastAttemptAt: Date|null}}
+ */
+function computeMastery(attempts, totalItems) {
+    const sorted = [...attempts].sort((a, b) => a.submittedAt - b.submittedAt);
+    const latestByItem = new Map();
+
+    for (const attempt of sorted) {
+        for (const answer of attempt.answers) {
+            latestByItem.set(answer.itemId.toString(), answer.correct);
+        }
+    }
+
+    const questionsMastered = [...latestByItem.values()].filter(Boolean).length;
+    const percentages = sorted.map(attempt => attempt.percentage);
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+        attempts: sorted.length,
+        averagePercentage: percentages.length > 0 ? round(percentages.reduce((sum, p) => sum + p, 0) / percentages.length) : null,
+        bestPercentage: percentages.length > 0 ? Math.max(...percentages) : null,
+        questionsAttempted: latestByItem.size,
+        questionsMastered,
+        totalQuestions: totalItems,
+        mastery: totalItems > 0 ? Math.round((Math.min(questionsMastered, totalItems) / totalItems) * 1000) / 1000 : 0,
+        lastAttemptAt: sorted.length > 0 ? sorted[sorted.length - 1].submittedAt : null
+    };
+}
+
+module.exports = {
+    QUIZ_ITEM_TYPES,
+    normalizeAnswer,
+    scoreAttempt,
+    summarizeAnswers,
+    applySelfMarks,
+    computeMastery
+};
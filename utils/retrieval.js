@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const Material = require('../models/Material');
+const MaterialChunk = require('../models/MaterialChunk');
+const { chunkMarkdown } = require('./chunker');
+const { getEmbeddingProvider, cosineSimilarity } = require('./embeddings');
+
+const DEFAULT_TOP_K = 6;
+// Chunks scored per question (RETRIEVAL_MAX_CANDIDATES); larger scopes are narrowed by a text search first
+const DEFAULT_MAX_CANDIDATES = 500;
+const CANDIDATE_FIELDS = 'materialId section text embedding';
+
+/**
+ * Hash material content so stale chunks can be detected
+ * @param {string} content
+ * @returns {string}
+ */
+function hashContent(content) {
+    return crypto.createHash('md5').update(content || '').digest('hex');
+}
+
+/**
+ * Chunk and embed a material. Safe to run more than once, including concurrently: chunks are
+ * upserted by (material, provider, content hash, index), and chunks of other content are only
+ * removed once this content is confirmed to be the material's current content.
+ * @param {Object} material - Saved material document
+ * @returns {Promise<number>} Number of chunks stored (0 if already up to date)
+ */
+async function indexMaterial(material) {
+    const provider = getEmbeddingProvider();
+    const contentHash = hashContent(material.content);
+    const key = { materialId: material._id, provider: provider.name, contentHash };
+
+    const chunks = chunkMarkdown(material.content);
+    const stored = await MaterialChunk.countDocuments(key);
+    let written = 0;
+
+    if (stored < chunks.length) {
+        // Prefix the title so short sections still embed with their topic
+        const embeddings = await provider.embed(chunks.map(chunk => `${material.title}\n${chunk.section}\n${chunk.text}`));
+
+        await MaterialChunk.bulkWrite(chunks.map((chunk, i) => ({
+            updateOne: {
+                filter: { ...key, index: chunk.index },
+                update: {
+                    $set: {
+                        subjectId: material.subjectId,
+                        spaceId: material.spaceId,
+                        section: chunk.section,
+                        text: chunk.text,
+                        embedding: embeddings[i]
+                    },
+                    $setOnInsert: { createdAt: new Date() }
+                },
+                upsert: true
+            }
+        })));
+        written = chunks.length;
+    }
+
+    // Another edit may have landed while this ran; the run for that content keeps its own chunks
+    const current = await Material.findById(material._id).withDeleted().select('content');
+    if (current && hashContent(current.content) === contentHash) {
+        await MaterialChunk.deleteMany({
+            materialId: material._id,
+            $or: [{ provider: { $ne: provider.name } }, { contentHash: { $ne: contentHash } }]
+        });
+    } else {
+        await MaterialChunk.deleteMany(key);
+    }
+
+    return written;
+}
+
+/**
+ * Index a material after a save without failing the caller.
+ * Stale chunks are rebuilt at the next startup (indexStaleMaterials).
+ * @param {Object} material - Saved material document
+ */
+async function reindexQuietly(material) {
+    try {
+        await indexMaterial(material);
+    } catch (error) {
+        // Left stale until the next startup
+    }
+}
+
+/**
+ * Index materials whose chunks are missing or out of date (e.g. created before retrieval
+ * existed, or an index run failed after an edit)
+ * @returns {Promise<number>} Number of materials indexed
+ */
+async function indexStaleMaterials() {
+    const provider = getEmbeddingProvider();
+    const stored = await MaterialChunk.find({ provider: provider.name, index: 0 }).select('materialId contentHash');
+    const indexed = new Set(stored.map(chunk => `${chunk.materialId}:${chunk.contentHash}`));
+
+    let count = 0;
+    for await (const material of Material.find().select('title content subjectId spaceId').cursor()) {
+        if (indexed.has(`${material._id}:${hashContent(material.content)}`)) {
+            continue;
+        }
+        try {
+            await indexMaterial(material);
+            count++;
+        } catch (error) {
+            // Tried again on the next start
+        }
+    }
+    return count;
+}
+
+/**
+ * Remove all chunks of a material
+ * @param {string} materialId
+ */
+async function deleteMaterialChunks(materialId) {
+    await MaterialChunk.deleteMany({ materialId });
+}
+
+const getMaxCandidates = () => parseInt(process.env.RETRIEVAL_MAX_CANDIDATES, 10) || DEFAULT_MAX_CANDIDATES;
+
+/**
+ * Chunks worth scoring for a question. Small scopes are read whole; in larger ones the best
+ * keyword matches come first, topped up with the newest chunks so a question that shares no
+ * words with the notes still has something to rank.
+ * @param {string} question
+ * @param {Object} chunkFilter - Provider and scope
+ * @returns {Promise<Array>} At most RETRIEVAL_MAX_CANDIDATES chunks
+ */
+async function findCandidateChunks(question, chunkFilter) {
+    const maxCandidates = getMaxCandidates();
+    if (await MaterialChunk.countDocuments(chunkFilter) <= maxCandidates) {
+        return MaterialChunk.find(chunkFilter).select(CANDIDATE_FIELDS);
+    }
+
+    const matches = await MaterialChunk.find({ ...chunkFilter, $text: { $search: question } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(maxCandidates)
+        .select(CANDIDATE_FIELDS);
+    if (matches.length === maxCandidates) {
+        return matches;
+    }
+
+    const newest = await MaterialChunk.find({ ...chunkFilter, _id: { $nin: matches.map(chunk => chunk._id) } })
+        .sort({ createdAt: -1 })
+        .limit(maxCandidates - matches.length)
+        .select(CANDIDATE_FIELDS);
+    return [...matches, ...newest];
+}
+
+/**
+ * Find the chunks most relevant to a question. Only reads stored chunks; materials are
+ * indexed when they are saved (see indexMaterial).
+ * @param {string} question
+ * @param {Object} scope - One of { materialId }, { subjectId } or { spaceId }
+ * @param {number} topK - Number of chunks to return
+ * @returns {Promise<Array<{materialId, title: string, section: string, text: string, score: number}>>}
+ */
+async function retrieveChunks(question, scope, topK = DEFAULT_TOP_K) {
+    const provider = getEmbeddingProvider();
+    const chunkFilter = { provider: provider.name };
+    if (scope.materialId) chunkFilter.materialId = scope.materialId;
+    if (scope.subjectId) chunkFilter.subjectId = scope.subjectId;
+    if (scope.spaceId) chunkFilter.spaceId = scope.spaceId;
+
+    const chunks = await findCandidateChunks(question, chunkFilter);
+    if (chunks.length === 0) {
+        return [];
+    }
+
+    // Chunks outlive a trashed material until it is purged, so only keep live materials
+    const materials = await Material.find({ _id: { $in: [...new Set(chunks.map(chunk => chunk.materialId.toString()))] } })
+        .select('title');
+    const titles = new Map(materials.map(material => [material._id.toString(), material.title]));
+
+    const [questionEmbedding] = await provider.embed([question]);
+
+    return chunks
+        .filter(chunk => titles.has(chunk.materialId.toString()))
+        .map(chunk => ({
+            materialId: chunk.materialId,
+            title: titles.get(chunk.materialId.toString()),
+            section: chunk.section,
+            text: chunk.text,
+            score: cosineSimilarity(questionEmbedding, chunk.embedding)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
+
+/**
+ * Format retrieved chunks as a numbered context block for the prompt
+ * @param {Array} chunks - Output of retrieveChunks
+ * @returns {string}
+ */
+function formatChunksForPrompt(chunks) {
+    return chunks.map((chunk, i) => {
+        const label = chunk.section ? `${chunk.title} › ${chunk.section}` : chunk.title;
+        return `[${i + 1}] ${label}\n${chunk.text}`;
+    }).join('\n\n---\n\n');
+}
+
+/**
+ * Unique citation list for API responses
+ * @param {Array} chunks - Output of retrieveChunks
+ * @returns {Array<{materialId, title: string, section: string}>}
+ */
+function toSources(chunks) {
+    const seen = new Set();
+    const sources = [];
+
+    for (const chunk of chunks) {
+        const key = `${chunk.materialId}:${chunk.section}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        sources.push({ materialId: chunk.materialId, title: chunk.title, section: chunk.section });
+    }
+
+    return sources;
+}
+
+module.exports = {
+    indexMaterial,
+    reindexQuietly,
+    indexStaleMaterials,
+    deleteMaterialChunks,
+    retrieveChunks,
+    formatChunksForPrompt,
+    toSources
+};
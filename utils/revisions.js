@@ -0,0 +1,120 @@
+const MaterialRevision = require('../models/MaterialRevision');
+const { summarizeChange } = require('./diff');
+
+/**
+ * Error for a save based on a version that is no longer the material's current one
+ */
+class RevisionConflictError extends Error {
+    constructor(materialId, expectedVersion) {
+        super(`Material ${materialId} is no longer at version ${expectedVersion}`);
+        this.name = 'RevisionConflictError';
+        this.expectedVersion = expectedVersion;
+        this.userMessage = 'This material was changed by someone else. Reload it and try again.';
+    }
+}
+
+// Materials created before revisions existed have no version field
+const versionFilter = (version) => (version === 1 ? { $in: [1, null] } : version);
+
+/**
+ * Make sure a material has a revision for its current version.
+ * Materials created before revisions existed get one on first use.
+ * @param {Object} material - Material document
+ * @returns {Promise<Object>} Revision matching the material's current version
+ */
+async function ensureCurrentRevision(material) {
+    const version = material.version || 1;
+    const existing = await MaterialRevision.findOne({ materialId: material._id, version });
+    if (existing) {
+        return existing;
+    }
+
+    const revision = new MaterialRevision({
+        materialId: material._id,
+        version,
+        title: material.title,
+        content: material.content,
+        author: material.updatedBy || material.createdBy,
+        source: version === 1 ? 'create' : 'edit',
+        summary: { text: version === 1 ? 'initial version' : 'snapshot' },
+        createdAt: material.updatedAt || material.createdAt
+    });
+
+    try {
+        await revision.save();
+    } catch (error) {
+        // Another request created the same snapshot first
+        if (error.code !== 11000) throw error;
+        return MaterialRevision.findOne({ materialId: material._id, version });
+    }
+    return revision;
+}
+
+/**
+ * Apply a new title/content to a material and record it as the next revision.
+ * The material is only saved if it is still at the version it was loaded with (or options.expectedVersion),
+ * so concurrent saves cannot both claim the next version.
+ * @param {Object} material - Material document (saved by this function, with any other changes made to it)
+ * @param {{title: string, content: string}} changes - New title and content
+ * @param {string|null} authorId - User making the change (null for automatic changes)
+ * @param {Object} options - { source: 'edit'|'restore'|'refine'|'mirror', restoredFrom: number, instruction: string, expectedVersion: number }
+ * @returns {Promise<Object>} The new revision
+ * @throws {RevisionConflictError} If the material has moved on from the expected version
+ */
+async function saveMaterialRevision(material, changes, authorId, options = {}) {
+    const currentVersion = material.version || 1;
+    const expectedVersion = options.expectedVersion || currentVersion;
+    if (expectedVersion !== currentVersion) {
+        throw new RevisionConflictError(material._id, expectedVersion);
+    }
+
+    const previous = await ensureCurrentRevision(material);
+    const nextVersion = previous.version + 1;
+
+    const summary = summarizeChange(
+        { title: previous.title, content: previous.content },
+        { title: changes.title, content: changes.content }
+    );
+
+    material.title = changes.title;
+    material.content = changes.content;
+    material.version = nextVersion;
+    if (authorId) {
+        material.updatedBy = authorId;
+    }
+    material.updatedAt = new Date();
+
+    // Save with the version as a condition; no match means another save got there first
+    material.$where = { version: versionFilter(expectedVersion) };
+    try {
+        await material.save();
+    } catch (error) {
+        if (error.name === 'DocumentNotFoundError') {
+            throw new RevisionConflictError(material._id, expectedVersion);
+        }
+        throw error;
+    } finally {
+        material.$where = undefined;
+    }
+
+    const revision = new MaterialRevision({
+        materialId: material._id,
+        version: nextVersion,
+        title: changes.title,
+        content: changes.content,
+        author: authorId,
+        source: options.source || 'edit',
+        restoredFrom: options.restoredFrom,
+        instruction: options.instruction,
+        summary
+    });
+
+    await revision.save();
+    return revision;
+}
+
+module.exports = {
+    RevisionConflictError,
+    ensureCurrentRevision,
+    saveMaterialRevision
+};
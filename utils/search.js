@@ -0,0 +1,134 @@
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Split a search query into lowercase terms (quoted phrases kept whole)
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+function tokenizeQuery(query) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const term = (match[1] || match[2]).replace(/^-/, '').trim().toLowerCase();
+        // Negated terms ("-word") are excluded by MongoDB and never highlighted
+        if (term && !(match[2] && match[2].startsWith('-'))) {
+            terms.push(term);
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Build a regex that matches any of the terms anywhere in the text
+ * @param {Array<string>} terms
+ * @returns {RegExp|null}
+ */
+function termsRegExp(terms) {
+    if (terms.length === 0) return null;
+    return new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+}
+
+/**
+ * HTML-escape text and wrap every term occurrence in <mark> tags
+ * @param {string} text
+ * @param {Array<string>} terms
+ * @returns {string} HTML
+ */
+function highlight(text, terms) {
+    const regex = termsRegExp(terms);
+    if (!regex) return escapeHtml(text);
+
+    // Matches land at odd indices because the pattern has one capture group.
+    // Terms are matched against the raw text so they never match inside an escape like &amp;
+    return text.split(regex)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+}
+
+/**
+ * Cut a highlighted excerpt around the first term occurrence
+ * @param {string} text - Text to excerpt
+ * @param {Array<string>} terms - Query terms
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {string|null} Highlighted snippet (HTML), or null if no term occurs
+ */
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+    if (!text) return null;
+
+    const regex = termsRegExp(terms);
+    const match = regex && regex.exec(text);
+    if (!match) return null;
+
+    const start = Math.max(0, match.index - radius);
+    const end = Math.min(text.length, match.index + match[0].length + radius);
+    const excerpt = text.substring(start, end).replace(/\s+/g, ' ').trim();
+
+    return `${start > 0 ? '…' : ''}${highlight(excerpt, terms)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Build a search hit for a material: which fields matched plus highlighted snippets.
+ * Every returned string is HTML: material text is escaped and only <mark> tags are added.
+ * @param {Object} material - Material document with title, content, headings and images
+ * @param {Array<string>} terms - Query terms
+ * @returns {{matchedIn: Array<string>, title: string, snippet: string|null, headings: Array<string>, diagrams: Array<string>}}
+ */
+function buildHighlights(material, terms) {
+    const matchedIn = [];
+    const regex = termsRegExp(terms);
+    const matches = text => Boolean(regex && text && text.match(regex));
+
+    if (matches(material.title)) matchedIn.push('title');
+
+    const headings = (material.headings || []).filter(matches);
+    if (headings.length > 0) matchedIn.push('headings');
+
+    const snippet = buildSnippet(material.content, terms);
+    if (snippet) matchedIn.push('content');
+
+    const diagrams = (material.images || [])
+        .filter(image => image.type === 'diagram' && matches(image.source))
+        .map(image => buildSnippet(image.source, terms));
+    if (diagrams.length > 0) matchedIn.push('diagrams');
+
+    return {
+        matchedIn,
+        title: highlight(material.title, terms),
+        // Fall back to the opening text when only the title, headings or diagrams matched
+        snippet: snippet || escapeHtml(material.content.substring(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' ').trim()),
+        headings: headings.map(heading => highlight(heading, terms)),
+        diagrams
+    };
+}
+
+module.exports = {
+    escapeRegExp,
+    escapeHtml,
+    tokenizeQuery,
+    highlight,
+    buildSnippet,
+    buildHighlights
+};
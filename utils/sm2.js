@@ -0,0 +1,85 @@
+/**
+ * SM-2 spaced-repetition scheduling.
+ * Pure functions only: the caller passes "now", so results are deterministic.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+// Grades at or above this count as a successful recall
+const PASSING_GRADE = 3;
+
+/**
+ * Initial state for a card that has never been reviewed
+ * @returns {{repetitions: number, interval: number, easeFactor: number}}
+ */
+function initialState() {
+    return { repetitions: 0, interval: 0, easeFactor: DEFAULT_EASE_FACTOR };
+}
+
+/**
+ * Apply one review to a card's state
+ * @param {{repetitions: number, interval: number, easeFactor: number}} state - Current state
+ * @param {number} grade - Recall quality 0 (blackout) to 5 (perfect)
+ * @param {Date} now - Review time
+ * @returns {{repetitions: number, interval: number, easeFactor: number, dueAt: Date, lapsed: boolean}}
+ */
+function scheduleReview(state, grade, now) {
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+        throw new RangeError('Grade must be an integer from 0 to 5');
+    }
+
+    const current = { ...initialState(), ...state };
+    let { repetitions, interval } = current;
+    const lapsed = grade < PASSING_GRADE;
+
+    if (lapsed) {
+        repetitions = 0;
+        interval = 1;
+    } else {
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * current.easeFactor);
+        }
+        repetitions += 1;
+    }
+
+    const easeFactor = Math.max(
+        MIN_EASE_FACTOR,
+        current.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+    );
+
+    return {
+        repetitions,
+        interval,
+        // Round to avoid floating-point drift across many reviews
+        easeFactor: Math.round(easeFactor * 1000) / 1000,
+        dueAt: new Date(now.getTime() + interval * DAY_MS),
+        lapsed
+    };
+}
+
+/**
+ * Start and end of the calendar day containing "now" for a UTC offset
+ * @param {Date} now
+ * @param {number} tzOffsetMinutes - Minutes east of UTC (e.g. 330 for IST)
+ * @returns {{start: Date, end: Date}}
+ */
+function dayBounds(now, tzOffsetMinutes = 0) {
+    const offsetMs = tzOffsetMinutes * 60 * 1000;
+    const localMidnight = Math.floor((now.getTime() + offsetMs) / DAY_MS) * DAY_MS;
+    const start = new Date(localMidnight - offsetMs);
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+module.exports = {
+    DEFAULT_EASE_FACTOR,
+    MIN_EASE_FACTOR,
+    PASSING_GRADE,
+    initialState,
+    scheduleReview,
+    dayBounds
+};
@@ -0,0 +1,410 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+const DELETE_BATCH_SIZE = 100;
+
+/**
+ * Storage drivers share one interface:
+ *   name
+ *   put(buffer, { key, contentType, public }) -> { key, url, storage }
+ *     key is a path such as 'study_space/diagrams/x.png'; url is only set for public files
+ *   get(key) -> Buffer
+ *   delete(keys) -> keys that were deleted
+ *   signedUrl(key, { expiresIn, filename, public }) -> time-limited download URL
+ *   list(prefix) -> async iterable of { key, createdAt, bytes }
+ */
+
+const stripExtension = (key) => key.replace(/\.[a-zA-Z0-9]+$/, '');
+const extensionOf = (name) => path.extname(name || '').slice(1).toLowerCase();
+
+// Quote a file name for Content-Disposition
+const dispositionFor = (filename) => `attachment; filename="${(filename || 'download').replace(/["\\\r\n]/g, '')}"`;
+
+// Cloudinary delivery types: public files are plain uploads, private ones need a signed URL
+const CLOUDINARY_TYPES = ['upload', 'authenticated'];
+const cloudinaryType = (isPublic) => (isPublic ? 'upload' : 'authenticated');
+
+/**
+ * Cloudinary. Keys are stored as public IDs (Cloudinary drops the extension).
+ * Private files are uploaded as 'authenticated' so only signed URLs can fetch them.
+ */
+const cloudinaryDriver = {
+    name: 'cloudinary',
+
+    put(buffer, { key, public: isPublic }) {
+        const cloudinary = require('../config/cloudinary');
+
+        return new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                { public_id: stripExtension(key), resource_type: 'image', type: cloudinaryType(isPublic), overwrite: true },
+                (error, result) => {
+                    if (error) reject(error);
+                    else resolve({ key: result.public_id, url: isPublic ? result.secure_url : undefined, storage: 'cloudinary' });
+                }
+            );
+            uploadStream.end(buffer);
+        });
+    },
+
+    async get(key, { filename } = {}) {
+        const response = await axios.get(this.signedUrl(key, { filename, expiresIn: 60 }), {
+            responseType: 'arraybuffer',
+            timeout: 30000
+        });
+        return Buffer.from(response.data);
+    },
+
+    // Keys do not say whether a file is public, so try each delivery type for what is left
+    async delete(keys) {
+        const cloudinary = require('../config/cloudinary');
+        const deleted = new Set();
+
+        for (const type of CLOUDINARY_TYPES) {
+            const remaining = keys.filter(key => !deleted.has(key));
+            for (let i = 0; i < remaining.length; i += DELETE_BATCH_SIZE) {
+                const batch = remaining.slice(i, i + DELETE_BATCH_SIZE);
+                const result = await cloudinary.api.delete_resources(batch, { resource_type: 'image', type });
+                Object.keys(result.deleted || {}).filter(id => result.deleted[id] === 'deleted').forEach(id => deleted.add(id));
+            }
+        }
+        return [...deleted];
+    },
+
+    // Pass public: true for files uploaded before private files were 'authenticated'
+    signedUrl(key, { expiresIn = DEFAULT_URL_TTL_SECONDS, filename, public: isPublic } = {}) {
+        const cloudinary = require('../config/cloudinary');
+
+        return cloudinary.utils.private_download_url(key, extensionOf(filename) || 'png', {
+            resource_type: 'image',
+            type: cloudinaryType(isPublic),
+            attachment: true,
+            expires_at: Math.floor(Date.now() / 1000) + expiresIn
+        });
+    },
+
+    async *list(prefix) {
+        const cloudinary = require('../config/cloudinary');
+
+        for (const type of CLOUDINARY_TYPES) {
+            let nextCursor;
+            do {
+                const page = await cloudinary.api.resources({
+                    type,
+                    resource_type: 'image',
+                    prefix,
+                    max_results: 500,
+                    next_cursor: nextCursor
+                });
+                for (const resource of page.resources) {
+                    yield { key: resource.public_id, createdAt: new Date(resource.created_at), bytes: resource.bytes };
+                }
+                nextCursor = page.next_cursor;
+            } while (nextCursor);
+        }
+    }
+};
+
+/**
+ * Local filesystem under STORAGE_LOCAL_DIR, served by routes/files.js.
+ * URLs carry an HMAC signature; public files get one that never expires.
+ */
+const localDriver = {
+    name: 'local',
+
+    root() {
+        return path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+    },
+
+    // Absolute path for a key, refusing keys that escape the storage directory
+    pathFor(key) {
+        const root = this.root();
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return filePath;
+    },
+
+    signature(key, expires) {
+        const secret = process.env.STORAGE_SIGNING_SECRET;
+        if (!secret) {
+            throw new Error('STORAGE_SIGNING_SECRET is required for the local storage driver');
+        }
+        return crypto.createHmac('sha256', secret).update(`${key}\n${expires || ''}`).digest('hex');
+    },
+
+    verify(key, expires, signature) {
+        if (expires && Number(expires) < Math.floor(Date.now() / 1000)) {
+            return false;
+        }
+        const expected = Buffer.from(this.signature(key, expires));
+        const actual = Buffer.from(String(signature || ''));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    url(key, { expires, filename } = {}) {
+        const query = new URLSearchParams({ signature: this.signature(key, expires) });
+        if (expires) query.set('expires', expires);
+        if (filename) query.set('filename', filename);
+
+        const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+        return `${process.env.PUBLIC_BASE_URL || ''}/files/${encodedKey}?${query}`;
+    },
+
+    async put(buffer, { key, public: isPublic }) {
+        const filePath = this.pathFor(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return { key, url: isPublic ? this.url(key) : undefined, storage: 'local' };
+    },
+
+    get(key) {
+        return fs.readFile(this.pathFor(key));
+    },
+
+    async delete(keys) {
+        const deleted = [];
+        for (const key of keys) {
+            try {
+                await fs.unlink(this.pathFor(key));
+                deleted.push(key);
+            } catch (error) {
+                // Already gone
+            }
+        }
+        return deleted;
+    },
+
+    signedUrl(key, { expiresIn = DEFAULT_URL_TTL_SECONDS, filename } = {}) {
+        return this.url(key, { expires: Math.floor(Date.now() / 1000) + expiresIn, filename });
+    },
+
+    async *list(prefix) {
+        const root = this.root();
+        const walk = async function* (dir) {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                // Nothing stored under this prefix yet
+                return;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    yield* walk(fullPath);
+                } else {
+                    const stats = await fs.stat(fullPath);
+                    yield { key: path.relative(root, fullPath).split(path.sep).join('/'), createdAt: stats.birthtime, bytes: stats.size };
+                }
+            }
+        };
+        yield* walk(this.pathFor(prefix));
+    }
+};
+
+// RFC 3986 encoding as SigV4 expects it
+const uriEncode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = (key) => key.split('/').map(uriEncode).join('/');
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * AWS Signature Version 4 for S3
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.host
+ * @param {string} request.path - Already URI-encoded
+ * @param {Object} [request.query]
+ * @param {Object} [request.headers] - Lowercase names; host is added
+ * @param {string} request.payloadHash - Hex SHA-256 of the body or 'UNSIGNED-PAYLOAD'
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} now
+ * @returns {{signature: string, signedHeaders: string, scope: string, canonicalQuery: string}}
+ */
+function signV4({ method, host, path: requestPath, query = {}, headers = {}, payloadHash }, { secretAccessKey, region }, now) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const allHeaders = { ...headers, host };
+    const headerNames = Object.keys(allHeaders).sort();
+    const signedHeaders = headerNames.join(';');
+    const canonicalHeaders = headerNames.map(name => `${name}:${String(allHeaders[name]).trim()}\n`).join('');
+    const canonicalQuery = Object.keys(query).sort()
+        .map(name => `${uriEncode(name)}=${uriEncode(String(query[name]))}`)
+        .join('&');
+
+    const canonicalRequest = [method, requestPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+
+    return {
+        signature: hmac(signingKey, stringToSign).toString('hex'),
+        signedHeaders,
+        scope,
+        canonicalQuery
+    };
+}
+
+/**
+ * S3 or any S3-compatible service (MinIO, R2, ...), addressed path-style.
+ * Public files are expected to be readable through S3_PUBLIC_URL or a bucket policy.
+ */
+const s3Driver = {
+    name: 's3',
+
+    config() {
+        const config = {
+            endpoint: (process.env.S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/+$/, ''),
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        };
+        if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+            throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver');
+        }
+        return config;
+    },
+
+    async request(method, key, { body, query = {}, contentType, responseType = 'text' } = {}) {
+        const config = this.config();
+        const { host, origin } = new URL(config.endpoint);
+        const requestPath = `/${config.bucket}${key ? `/${encodeKey(key)}` : ''}`;
+        const payloadHash = sha256Hex(body || '');
+        const now = new Date();
+        const headers = {
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+        };
+        if (contentType) headers['content-type'] = contentType;
+
+        const { signature, signedHeaders, scope, canonicalQuery } = signV4(
+            { method, host, path: requestPath, query, headers, payloadHash }, config, now
+        );
+
+        return axios({
+            method,
+            url: `${origin}${requestPath}${canonicalQuery ? `?${canonicalQuery}` : ''}`,
+            data: body,
+            headers: {
+                ...headers,
+                authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            },
+            maxBodyLength: Infinity,
+            responseType,
+            timeout: 60000
+        });
+    },
+
+    publicUrl(key) {
+        const base = process.env.S3_PUBLIC_URL
+            ? process.env.S3_PUBLIC_URL.replace(/\/+$/, '')
+            : `${this.config().endpoint}/${this.config().bucket}`;
+        return `${base}/${encodeKey(key)}`;
+    },
+
+    async put(buffer, { key, contentType, public: isPublic }) {
+        await this.request('PUT', key, { body: buffer, contentType: contentType || 'application/octet-stream' });
+        return { key, url: isPublic ? this.publicUrl(key) : undefined, storage: 's3' };
+    },
+
+    async get(key) {
+        const { data } = await this.request('GET', key, { responseType: 'arraybuffer' });
+        return Buffer.from(data);
+    },
+
+    async delete(keys) {
+        const deleted = [];
+        for (const key of keys) {
+            await this.request('DELETE', key);
+            deleted.push(key);
+        }
+        return deleted;
+    },
+
+    signedUrl(key, { expiresIn = DEFAULT_URL_TTL_SECONDS, filename } = {}) {
+        const config = this.config();
+        const { host, origin } = new URL(config.endpoint);
+        const requestPath = `/${config.bucket}/${encodeKey(key)}`;
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+        const query = {
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': expiresIn,
+            'X-Amz-SignedHeaders': 'host',
+            'response-content-disposition': dispositionFor(filename)
+        };
+        const { signature, canonicalQuery } = signV4(
+            { method: 'GET', host, path: requestPath, query, payloadHash: 'UNSIGNED-PAYLOAD' }, config, now
+        );
+
+        return `${origin}${requestPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    },
+
+    async *list(prefix) {
+        let continuationToken;
+
+        do {
+            const query = { 'list-type': 2, prefix };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+
+            const { data } = await this.request('GET', null, { query });
+            for (const [, item] of data.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const field = (name) => (item.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`)) || [])[1];
+                yield {
+                    key: field('Key').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>'),
+                    createdAt: new Date(field('LastModified')),
+                    bytes: Number(field('Size'))
+                };
+            }
+            continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(data)
+                ? (data.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/) || [])[1]
+                : undefined;
+        } while (continuationToken);
+    }
+};
+
+const drivers = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+    s3: s3Driver
+};
+
+/**
+ * Register a custom storage driver
+ * @param {string} key - Value of STORAGE_DRIVER that selects it
+ * @param {Object} driver - Implements put, get, delete, signedUrl and list
+ */
+function registerStorageDriver(key, driver) {
+    drivers[key] = driver;
+}
+
+/**
+ * Get a storage driver.
+ * Without a name, STORAGE_DRIVER picks one; otherwise Cloudinary is used when USE_CLOUDINARY is on, else local disk.
+ * @param {string} [name] - Driver that stored a file (files keep working after the default changes)
+ * @returns {Object}
+ */
+function getStorage(name) {
+    const key = name || process.env.STORAGE_DRIVER || (process.env.USE_CLOUDINARY === 'true' ? 'cloudinary' : 'local');
+    const driver = drivers[key];
+    if (!driver) {
+        throw new Error(`Unknown storage driver: ${key}`);
+    }
+    return driver;
+}
+
+module.exports = {
+    DEFAULT_URL_TTL_SECONDS,
+    getStorage,
+    registerStorageDriver,
+    signV4
+};
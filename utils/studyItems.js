@@ -0,0 +1,303 @@
+const { generateText } = require('./ai');
+const { withTimeout } = require('./helpers');
+const { recordActivity } = require('./activity');
+const Material = require('../models/Material');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+
+const ITEM_TYPES = ['mcq', 'short', 'flashcard'];
+const MAX_GENERATION_ATTEMPTS = 3;
+const MAX_ITEMS_PER_TYPE = 30;
+// Total characters of material content sent to the model
+const MAX_SOURCE_LENGTH = 60000;
+
+/**
+ * Expected output, shown to the model verbatim
+ */
+const OUTPUT_SCHEMA = `{
+  "mcq": [
+    { "question": string, "options": string[3..6], "correctIndex": integer, "explanation": string, "materialIndex": integer }
+  ],
+  "short": [
+    { "question": string, "answer": string, "explanation": string, "materialIndex": integer }
+  ],
+  "flashcard": [
+    { "front": string, "back": string, "materialIndex": integer }
+  ]
+}`;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate one study item
+ * @param {Object} item - Item fields
+ * @param {string} type - 'mcq', 'short' or 'flashcard'
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateStudyItem(item, type) {
+    const errors = [];
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return ['must be an object'];
+    }
+
+    if (type === 'mcq') {
+        if (!isNonEmptyString(item.question)) errors.push('question must be a non-empty string');
+        if (!Array.isArray(item.options) || item.options.length < 3 || item.options.length > 6) {
+            errors.push('options must be an array of 3 to 6 strings');
+        } else {
+            if (!item.options.every(isNonEmptyString)) errors.push('every option must be a non-empty string');
+            const normalized = item.options.map(option => String(option).trim().toLowerCase());
+            if (new Set(normalized).size !== normalized.length) errors.push('options must be distinct');
+            if (!Number.isInteger(item.correctIndex) || item.correctIndex < 0 || item.correctIndex >= item.options.length) {
+                errors.push('correctIndex must be the index of the correct option');
+            }
+        }
+        if (!isNonEmptyString(item.explanation)) errors.push('explanation must be a non-empty string');
+    } else if (type === 'short') {
+        if (!isNonEmptyString(item.question)) errors.push('question must be a non-empty string');
+        if (!isNonEmptyString(item.answer)) errors.push('answer must be a non-empty string');
+        if (item.explanation !== undefined && typeof item.explanation !== 'string') errors.push('explanation must be a string');
+    } else if (type === 'flashcard') {
+        if (!isNonEmptyString(item.front)) errors.push('front must be a non-empty string');
+        if (!isNonEmptyString(item.back)) errors.push('back must be a non-empty string');
+    } else {
+        errors.push(`unknown item type "${type}"`);
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate raw model output against OUTPUT_SCHEMA and the requested counts
+ * @param {string} text - Model output
+ * @param {Object} counts - Requested count per type, e.g. { mcq: 5, flashcard: 10 }
+ * @param {number} materialCount - Number of materials in the prompt
+ * @returns {{items: Array, errors: Array<string>}}
+ */
+function parseStudyItems(text, counts, materialCount) {
+    let data;
+    try {
+        // Tolerate a ```json fence even though JSON output is requested
+        data = JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+        return { items: [], errors: [`output is not valid JSON: ${error.message}`] };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { items: [], errors: ['output must be a JSON object'] };
+    }
+
+    const items = [];
+    const errors = [];
+
+    for (const type of Object.keys(counts)) {
+        if (!Array.isArray(data[type]) || data[type].length === 0) {
+            errors.push(`"${type}" must be a non-empty array`);
+            continue;
+        }
+        if (data[type].length < counts[type]) {
+            errors.push(`"${type}" must have ${counts[type]} items, got ${data[type].length}`);
+            continue;
+        }
+
+        // Extra items are dropped rather than sent back for another attempt
+        const list = data[type].slice(0, counts[type]);
+        list.forEach((item, i) => {
+            const itemErrors = validateStudyItem(item, type);
+            if (itemErrors.length > 0) {
+                errors.push(...itemErrors.map(message => `${type}[${i}]: ${message}`));
+                return;
+            }
+
+            const materialIndex = Number.isInteger(item.materialIndex) && item.materialIndex >= 1 && item.materialIndex <= materialCount
+                ? item.materialIndex - 1
+                : 0;
+
+            items.push({ type, materialIndex, ...normalizeStudyItem(item, type) });
+        });
+    }
+
+    return { items, errors };
+}
+
+/**
+ * Keep only the fields that belong to an item type, trimmed
+ * @param {Object} item
+ * @param {string} type
+ * @returns {Object}
+ */
+function normalizeStudyItem(item, type) {
+    if (type === 'mcq') {
+        return {
+            question: item.question.trim(),
+            options: item.options.map(option => option.trim()),
+            correctIndex: item.correctIndex,
+            explanation: item.explanation.trim()
+        };
+    }
+    if (type === 'short') {
+        return {
+            question: item.question.trim(),
+            answer: item.answer.trim(),
+            explanation: (item.explanation || '').trim()
+        };
+    }
+    return {
+        front: item.front.trim(),
+        back: item.back.trim()
+    };
+}
+
+/**
+ * Build the generation prompt
+ * @param {Array} materials - Materials with title and content
+ * @param {Object} counts - Requested count per type
+ * @returns {string}
+ */
+function buildStudyItemsPrompt(materials, counts) {
+    const budget = Math.floor(MAX_SOURCE_LENGTH / materials.length);
+    const sources = materials.map((material, i) =>
+        `## Material ${i + 1}: ${material.title}\n\n${material.content.substring(0, budget)}`
+    ).join('\n\n---\n\n');
+
+    const requested = Object.entries(counts)
+        .map(([type, count]) => `- ${count} "${type}" item${count === 1 ? '' : 's'}`)
+        .join('\n');
+
+    return `# Role
+You are an expert teacher writing revision questions from a student's study notes.
+
+# Task
+Create the following study items from the materials below:
+${requested}
+
+# Rules
+1. Only use facts from the materials. Cover the most important ideas, not trivia.
+2. MCQs need plausible distractors that reflect common misconceptions, exactly one correct option, and an explanation of why it is correct.
+3. Short-answer questions need a concise model answer.
+4. Flashcards have a term or prompt on the front and a brief answer on the back.
+5. Use LaTeX for formulas ($...$).
+6. Set materialIndex to the number of the material each item is based on.
+7. Respond with ONLY a JSON object in exactly this shape (omit types that were not requested):
+${OUTPUT_SCHEMA}
+
+# Materials
+${sources}`;
+}
+
+/**
+ * Generate validated study items, re-prompting with the validation errors on malformed output
+ * @param {Array} materials - Materials with title and content
+ * @param {Object} counts - Requested count per type, e.g. { mcq: 5, flashcard: 10 }
+ * @returns {Promise<Array>} Items with type, materialIndex and type-specific fields
+ */
+async function generateStudyItems(materials, counts) {
+    const basePrompt = buildStudyItemsPrompt(materials, counts);
+    let prompt = basePrompt;
+    let lastErrors = [];
+
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+        const { text } = await withTimeout(
+            generateText('study', prompt, { json: true, temperature: 0.4 }),
+            120000,
+            'Study item generation'
+        );
+        const { items, errors } = parseStudyItems(text, counts, materials.length);
+
+        if (errors.length === 0) {
+            return items;
+        }
+
+        lastErrors = errors;
+        prompt = `${basePrompt}
+
+# Previous Attempt Was Invalid
+Your previous response failed validation with these errors:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected JSON object.`;
+    }
+
+    const error = new Error(`Study item generation returned invalid output: ${lastErrors.slice(0, 5).join('; ')}`);
+    error.name = 'StudyItemValidationError';
+    error.userMessage = 'The AI returned malformed study items. Please try again.';
+    throw error;
+}
+
+/**
+ * Job stage: generate items from the job's materials and keep them on the job
+ * @param {Object} job - GenerationJob of kind 'study'
+ */
+async function runStudyGenerateStage(job) {
+    const found = await Material.find({ _id: { $in: job.study.materialIds } });
+    // Keep the order the materials were listed in when the job was queued
+    const materials = job.study.materialIds
+        .map(id => found.find(material => material._id.equals(id)))
+        .filter(Boolean);
+
+    if (materials.length === 0) {
+        const error = new Error('Study set materials not found');
+        error.userMessage = 'The materials for this study set no longer exist.';
+        throw error;
+    }
+
+    const generated = await generateStudyItems(materials, job.study.counts);
+    job.output.studyItems = generated.map(({ materialIndex, ...item }) => ({
+        ...item,
+        materialId: materials[materialIndex]._id
+    }));
+}
+
+/**
+ * Job stage: save the generated items as a study set
+ * @param {Object} job - GenerationJob of kind 'study'
+ */
+async function runStudySaveStage(job) {
+    // A retry after a failure late in this stage reuses the set and replaces any partial items
+    let studySet = job.studySetId ? await StudySet.findById(job.studySetId) : null;
+    if (studySet) {
+        await StudyItem.deleteMany({ setId: studySet._id });
+    } else {
+        studySet = new StudySet({
+            title: job.study.title,
+            spaceId: job.spaceId,
+            subjectId: job.subjectId,
+            materialIds: job.study.materialIds,
+            itemTypes: Object.keys(job.study.counts),
+            createdBy: job.createdBy
+        });
+        await studySet.save();
+        job.studySetId = studySet._id;
+    }
+
+    const items = await StudyItem.insertMany(job.output.studyItems.map(item => ({
+        ...item,
+        setId: studySet._id,
+        spaceId: job.spaceId,
+        subjectId: job.subjectId,
+        createdBy: job.createdBy
+    })));
+
+    await recordActivity({
+        spaceId: studySet.spaceId,
+        actor: job.createdBy,
+        action: 'study.generate',
+        targetType: 'studySet',
+        targetId: studySet._id,
+        targetName: studySet.title,
+        summary: `Generated study set "${studySet.title}" with ${items.length} items`,
+        metadata: { jobId: job._id, subjectId: job.subjectId, materialCount: job.study.materialIds.length, counts: job.study.counts }
+    });
+}
+
+module.exports = {
+    ITEM_TYPES,
+    MAX_ITEMS_PER_TYPE,
+    validateStudyItem,
+    normalizeStudyItem,
+    parseStudyItems,
+    generateStudyItems,
+    runStudyGenerateStage,
+    runStudySaveStage
+};
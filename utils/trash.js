@@ -0,0 +1,287 @@
+const Space = require('../models/Space');
+const Subject = require('../models/Subject');
+const Material = require('../models/Material');
+const MaterialChunk = require('../models/MaterialChunk');
+const MaterialRevision = require('../models/MaterialRevision');
+const StudySet = require('../models/StudySet');
+const StudyItem = require('../models/StudyItem');
+const ReviewState = require('../models/ReviewState');
+const ReviewLog = require('../models/ReviewLog');
+const QuizAttempt = require('../models/QuizAttempt');
+const Invite = require('../models/Invite');
+const JoinRequest = require('../models/JoinRequest');
+const { recordActivity } = require('./activity');
+const { deleteMaterialChunks } = require('./retrieval');
+const { releaseAssets } = require('./assets');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Days trashed spaces, subjects and materials are kept before they are purged
+ * @returns {number}
+ */
+function getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : 30;
+}
+
+/**
+ * When a trashed document will be permanently deleted
+ * @param {Object} doc - Trashed document
+ * @returns {Date|null}
+ */
+function getPurgeDate(doc) {
+    return doc.deletedAt ? new Date(doc.deletedAt.getTime() + getRetentionDays() * DAY_MS) : null;
+}
+
+/**
+ * Trash study data matched by per-model filters, recording what it was trashed with
+ * @param {Object} filters - Filter per model: { sets, items, states, attempts }
+ * @param {Object} deletion - { deletedAt, deletedBy, deletedWith }
+ */
+async function trashStudyData(filters, deletion) {
+    const update = { $set: deletion };
+    await StudySet.updateMany({ ...filters.sets, deletedAt: null }, update);
+    await StudyItem.updateMany({ ...filters.items, deletedAt: null }, update);
+    await ReviewState.updateMany({ ...filters.states, deletedAt: null }, update);
+    await QuizAttempt.updateMany({ ...filters.attempts, deletedAt: null }, update);
+}
+
+/**
+ * Restore study data trashed together with a subject or material
+ * @param {string|Object} deletedWith - Subject or material ID
+ */
+async function restoreStudyData(deletedWith) {
+    const filter = { deletedWith, deletedAt: { $ne: null } };
+    const update = { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWith: 1 } };
+    await StudySet.updateMany(filter, update);
+    await StudyItem.updateMany(filter, update);
+    await ReviewState.updateMany(filter, update);
+    await QuizAttempt.updateMany(filter, update);
+}
+
+/**
+ * Move a subject and its materials and study data to the trash
+ * @param {Object} subject - Subject document
+ * @param {string|Object} userId - User deleting it
+ * @returns {Promise<number>} Number of materials trashed with it
+ */
+async function trashSubject(subject, userId) {
+    const deletedAt = new Date();
+
+    // Materials already in the trash keep their own deletion date
+    const { modifiedCount } = await Material.updateMany(
+        { subjectId: subject._id, deletedAt: null },
+        { $set: { deletedAt, deletedBy: userId, deletedWith: subject._id } }
+    );
+
+    const bySubject = { subjectId: subject._id };
+    await trashStudyData(
+        { sets: bySubject, items: bySubject, states: bySubject, attempts: bySubject },
+        { deletedAt, deletedBy: userId, deletedWith: subject._id }
+    );
+
+    subject.deletedAt = deletedAt;
+    subject.deletedBy = userId;
+    await subject.save();
+
+    return modifiedCount;
+}
+
+/**
+ * Bring a subject back together with the materials and study data trashed along with it
+ * @param {Object} subject - Trashed subject document
+ * @returns {Promise<number>} Number of materials restored
+ */
+async function restoreSubject(subject) {
+    const { modifiedCount } = await Material.updateMany(
+        { subjectId: subject._id, deletedWith: subject._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWith: 1 } }
+    );
+    await restoreStudyData(subject._id);
+
+    subject.deletedAt = null;
+    subject.deletedBy = undefined;
+    await subject.save();
+
+    return modifiedCount;
+}
+
+/**
+ * Move a material to the trash with the study items generated from it.
+ * Study sets (and their attempts) follow once none of their materials are left.
+ * @param {Object} material - Material document
+ * @param {string|Object} userId - User deleting it
+ */
+async function trashMaterial(material, userId) {
+    const deletedAt = new Date();
+
+    material.deletedAt = deletedAt;
+    material.deletedBy = userId;
+    await material.save();
+
+    const sets = await StudySet.find({ materialIds: material._id }).select('materialIds');
+    const emptiedSetIds = [];
+    for (const set of sets) {
+        if (!(await Material.exists({ _id: { $in: set.materialIds } }))) {
+            emptiedSetIds.push(set._id);
+        }
+    }
+
+    const itemIds = await StudyItem.find({ materialId: material._id }).distinct('_id');
+    await trashStudyData(
+        {
+            sets: { _id: { $in: emptiedSetIds } },
+            items: { _id: { $in: itemIds } },
+            states: { itemId: { $in: itemIds } },
+            attempts: { setId: { $in: emptiedSetIds } }
+        },
+        { deletedAt, deletedBy: userId, deletedWith: material._id }
+    );
+}
+
+/**
+ * Bring a material back with the study data trashed along with it
+ * @param {Object} material - Trashed material document (its subject must not be trashed)
+ */
+async function restoreMaterial(material) {
+    material.deletedAt = null;
+    material.deletedBy = undefined;
+    material.deletedWith = undefined;
+    await material.save();
+
+    await restoreStudyData(material._id);
+
+    // A set emptied by trashing one of its other materials comes back with this one
+    const sets = await StudySet.find({ materialIds: material._id, deletedAt: { $ne: null } }).select('deletedWith');
+    for (const set of sets) {
+        const update = { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWith: 1 } };
+        await StudySet.updateOne({ _id: set._id, deletedAt: { $ne: null } }, update);
+        await QuizAttempt.updateMany({ setId: set._id, deletedWith: set.deletedWith, deletedAt: { $ne: null } }, update);
+    }
+}
+
+/**
+ * Permanently delete a material and its chunks, revisions and the study data trashed with it,
+ * releasing its stored files
+ * @param {string|Object} materialId
+ */
+async function purgeMaterial(materialId) {
+    await deleteMaterialChunks(materialId);
+    await MaterialRevision.deleteMany({ materialId });
+    await Material.deleteOne({ _id: materialId });
+    await releaseAssets([materialId]);
+
+    await StudyItem.deleteMany({ deletedWith: materialId });
+    await StudySet.deleteMany({ deletedWith: materialId });
+    await ReviewState.deleteMany({ deletedWith: materialId });
+    await QuizAttempt.deleteMany({ deletedWith: materialId });
+}
+
+/**
+ * Permanently delete a subject with its materials and study data
+ * @param {string|Object} subjectId
+ */
+async function purgeSubject(subjectId) {
+    const materialIds = await Material.find({ subjectId }).withDeleted().distinct('_id');
+    await MaterialRevision.deleteMany({ materialId: { $in: materialIds } });
+    await MaterialChunk.deleteMany({ subjectId });
+    await Material.deleteMany({ subjectId });
+    await releaseAssets(materialIds);
+
+    await StudyItem.deleteMany({ subjectId });
+    await StudySet.deleteMany({ subjectId });
+    await ReviewState.deleteMany({ subjectId });
+    await ReviewLog.deleteMany({ subjectId });
+    await QuizAttempt.deleteMany({ subjectId });
+
+    await Subject.deleteOne({ _id: subjectId });
+}
+
+/**
+ * Permanently delete a space and everything in it (its activity log is kept)
+ * @param {string|Object} spaceId
+ */
+async function purgeSpace(spaceId) {
+    const materialIds = await Material.find({ spaceId }).withDeleted().distinct('_id');
+    await MaterialRevision.deleteMany({ materialId: { $in: materialIds } });
+    await MaterialChunk.deleteMany({ spaceId });
+    await Material.deleteMany({ spaceId });
+    await releaseAssets(materialIds);
+
+    await StudyItem.deleteMany({ spaceId });
+    await StudySet.deleteMany({ spaceId });
+    await ReviewState.deleteMany({ spaceId });
+    await ReviewLog.deleteMany({ spaceId });
+    await QuizAttempt.deleteMany({ spaceId });
+
+    await Invite.deleteMany({ spaceId });
+    await JoinRequest.deleteMany({ spaceId });
+    await Subject.deleteMany({ spaceId });
+
+    await Space.deleteOne({ _id: spaceId });
+}
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period
+ * @param {Date} [now]
+ * @returns {Promise<{spaces: number, subjects: number, materials: number}>}
+ */
+async function purgeExpiredTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+    const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+    const purged = { spaces: 0, subjects: 0, materials: 0 };
+
+    const purgeEach = async (docs, purge, targetType, key) => {
+        for (const doc of docs) {
+            await purge(doc._id);
+            purged[key]++;
+            await recordActivity({
+                spaceId: doc.spaceId || doc._id,
+                action: 'trash.purge',
+                targetType,
+                targetId: doc._id,
+                targetName: doc.name || doc.title,
+                summary: `Permanently deleted ${targetType} "${doc.name || doc.title}" from the trash`
+            });
+        }
+    };
+
+    // Subjects before materials, so materials trashed with a subject are purged along with it
+    await purgeEach(await Space.find(expired).select('name'), purgeSpace, 'space', 'spaces');
+    await purgeEach(await Subject.find(expired).select('spaceId name'), purgeSubject, 'subject', 'subjects');
+    await purgeEach(await Material.find(expired).select('spaceId title'), purgeMaterial, 'material', 'materials');
+
+    return purged;
+}
+
+/**
+ * Purge expired trash now and then every hour
+ */
+function startTrashPurge() {
+    const run = async () => {
+        try {
+            await purgeExpiredTrash();
+        } catch (error) {
+            // Whatever is left is picked up on the next run
+        }
+    };
+
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    getRetentionDays,
+    getPurgeDate,
+    trashSubject,
+    restoreSubject,
+    trashMaterial,
+    restoreMaterial,
+    purgeMaterial,
+    purgeSubject,
+    purgeSpace,
+    purgeExpiredTrash,
+    startTrashPurge
+};